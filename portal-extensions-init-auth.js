@@ -1,210 +1,370 @@
 /**
  * Portal Extensions Initialization (Authentication Required)
  * Initializes all portal extensions that require user authentication
+ *
+ * GENERATED by tools/generate-init-files.js - do not edit by hand.
+ * Change the extension manifest.json and run: node tools/generate-init-files.js
+ *
+ * Sources:
+ *   - portal-inbox-extension/manifest.json
  * 
  * @author Daniel Penrod <daniel.penrod@microsoft.com>
  */
 
-// Injects the inbox extension container element into the navigation bar
-function injectInboxContainer() {
-    // Navbar weblinks ul element
-    const navbarWeblinks = document.querySelector('ul.nav.navbar-nav.weblinks');
+// Injects an extension container element into the page as described by its manifest
+function injectExtensionContainer(containerId, container) {
+    if (document.getElementById(containerId)) {
+        return;
+    }
+    
+    const parent = document.querySelector(container.parentSelector);
     
-    if (navbarWeblinks) {
-        // New li element with utility-nav class
-        const utilityNavItem = document.createElement('li');
-        utilityNavItem.className = 'utility-nav';
+    if (parent) {
+        // Wrapper element (e.g. li for navigation lists)
+        const wrapper = document.createElement(container.wrapperTag || 'div');
+        if (container.wrapperClass) {
+            wrapper.className = container.wrapperClass;
+        }
         
-        // Container div for the inbox extension
+        // Container div for the extension
         const containerDiv = document.createElement('div');
-        containerDiv.id = 'portal-inbox-extension';
-        containerDiv.style.marginRight = '10px';
+        containerDiv.id = containerId;
+        Object.assign(containerDiv.style, container.style || {});
         
-        // Attach container to list item
-        utilityNavItem.appendChild(containerDiv);
+        // Attach container to wrapper
+        wrapper.appendChild(containerDiv);
         
-        // Position before user dropdown (after last divider)
-        const dividers = navbarWeblinks.querySelectorAll('li.nav-item.divider-vertical');
-        const lastDivider = dividers[dividers.length - 1];
+        // Position after the last matching anchor element when configured
+        const anchors = container.insertAfterLast ? parent.querySelectorAll(container.insertAfterLast) : [];
+        const lastAnchor = anchors[anchors.length - 1];
         
-        if (lastDivider) {
-            // Position after the last divider
-            lastDivider.parentNode.insertBefore(utilityNavItem, lastDivider.nextSibling);
+        if (lastAnchor) {
+            lastAnchor.parentNode.insertBefore(wrapper, lastAnchor.nextSibling);
         } else {
-            // Append to end if no divider exists
-            navbarWeblinks.appendChild(utilityNavItem);
+            // Append to end if no anchor exists
+            parent.appendChild(wrapper);
         }
         
-        window.PortalExtensions.log('Inbox extension container injected into navbar');
+        window.PortalExtensions.log(`Container #${containerId} injected into ${container.parentSelector}`);
     } else {
-        window.PortalExtensions.warn('Navbar weblinks not found, could not inject inbox container');
+        window.PortalExtensions.warn(`${container.parentSelector} not found, could not inject #${containerId}`);
     }
 }
 
 // Portal extensions loaded event handler
 document.addEventListener('portalExtensionsLoaded', function() {
     window.PortalExtensions.log('All portal extensions loaded successfully');
-    
-    // Inject container element into DOM
-    injectInboxContainer();
-    
-    // Portal Inbox Extension configuration
+
+    // Portal Inbox Extension 1.0.0 (portal-inbox-extension/manifest.json)
+    injectExtensionContainer('portal-inbox-extension', {
+        parentSelector: 'ul.nav.navbar-nav.weblinks',
+        wrapperTag: 'li',
+        wrapperClass: 'utility-nav',
+        insertAfterLast: 'li.nav-item.divider-vertical',
+        style: {
+            marginRight: '10px'
+        }
+    });
+
     PortalInboxExtension.init({
-        // ========================================================================
-        // PUBLISHER CONFIGURATION
-        // ========================================================================
         publisher: {
-            prefix: 'msfed'  // Change to your organization's publisher prefix (e.g., 'usss', 'contoso')
+            prefix: 'msfed'
         },
-        
-        // ========================================================================
-        // DATA SOURCE CONFIGURATION
-        // ========================================================================
-        
-        // JSON file for local development and testing
         localDataSource: 'portal-inbox-extension/localDataSource.json',
-        
-        // Power Pages Web API configuration for portal environment
         portalDataSource: {
             entitySetName: 'adx_portalcomments',
             baseUrl: '/_api',
+            retry: {
+                maxRetries: 3,
+                baseDelayMs: 500,
+                maxDelayMs: 30000
+            },
+            polling: {
+                enabled: true,
+                intervalMs: 60000,
+                maxIntervalMs: 600000
+            },
             fieldMapping: {
-                hasread: 'msfed_hasread'  // Override default {prefix}_hasread if needed
+                hasread: 'msfed_hasread',
+                isarchived: 'msfed_isarchived'
             },
             regardingObject: {
-                entityName: 'msfed_application',           // Logical name of your custom entity
-                entitySetName: 'msfed_applications',        // Entity set name for Web API
-                navigationProperty: 'regardingobjectid_msfed_application'  // Navigation property name
+                entityName: 'msfed_application',
+                entitySetName: 'msfed_applications',
+                navigationProperty: 'regardingobjectid_msfed_application',
+                primaryIdField: 'msfed_applicationid',
+                primaryNameField: 'msfed_name',
+                filter: null
             },
             operations: {
                 read: {
                     enabled: true,
-                    select: 'subject,description,_regardingobjectid_value,statecode,statuscode,activityid,activitytypecode,adx_portalcommentdirectioncode,createdon,_createdby_value,msfed_hasread',  // Fields to retrieve from portal comments (update msfed_hasread to match your fieldMapping)
-                    filter: '(adx_portalcommentdirectioncode eq 2)',  // Filter for messages sent to contact from staff (direction = 2). Note: The extension always applies this filter automatically, so this is technically redundant but kept for clarity.
-                    orderBy: 'createdon desc',  // Sort by creation date descending
-                    expand: 'adx_portalcomment_activity_parties($select=_partyid_value,participationtypemask;$expand=partyid_systemuser($select=fullname,systemuserid);$filter=(participationtypemask eq 1)),adx_portalcomment_activity_parties($select=_partyid_value;$expand=partyid_contact($select=fullname,contactid);$filter=(participationtypemask eq 2))'  // Related sender and recipient entities
+                    select: 'subject,description,_regardingobjectid_value,statecode,statuscode,activityid,activitytypecode,adx_portalcommentdirectioncode,createdon,msfed_hasread,msfed_isarchived,_createdby_value',
+                    filter: null,
+                    orderBy: 'createdon desc',
+                    expand: 'adx_portalcomment_activity_parties($select=_partyid_value,participationtypemask;$expand=partyid_contact($select=fullname,contactid))',
+                    pageSize: 25
                 },
                 create: {
-                    enabled: true  // Enables reply functionality
+                    enabled: true
                 },
                 update: {
-                    enabled: true  // Enables read status tracking
+                    enabled: true
                 },
                 delete: {
-                    enabled: false  // Prevents deletion of messages
+                    enabled: false
                 }
             }
         },
-        
-        // ========================================================================
-        // CONTAINER CONFIGURATION
-        // ========================================================================
         containerId: 'portal-inbox-extension',
-        
-        // ========================================================================
-        // COLOR CONFIGURATION
-        // ========================================================================
+        fullPage: {
+            containerId: 'portal-inbox-page',
+            deepLinkParameter: 'message'
+        },
+        newMessage: {
+            routeToOwner: true,
+            defaultRecipient: {
+                type: 'queue',
+                id: null
+            }
+        },
+        htmlSanitizer: {
+            allowedTags: [
+                'a',
+                'p',
+                'br',
+                'hr',
+                'div',
+                'span',
+                'b',
+                'strong',
+                'i',
+                'em',
+                'u',
+                's',
+                'small',
+                'sub',
+                'sup',
+                'ul',
+                'ol',
+                'li',
+                'blockquote',
+                'pre',
+                'code',
+                'h1',
+                'h2',
+                'h3',
+                'h4',
+                'h5',
+                'h6',
+                'table',
+                'thead',
+                'tbody',
+                'tr',
+                'th',
+                'td'
+            ],
+            allowedAttributes: {
+                '*': [
+                    'title'
+                ],
+                a: [
+                    'href'
+                ],
+                ol: [
+                    'start'
+                ],
+                th: [
+                    'colspan',
+                    'rowspan'
+                ],
+                td: [
+                    'colspan',
+                    'rowspan'
+                ]
+            },
+            allowedSchemes: [
+                'http',
+                'https',
+                'mailto',
+                'tel'
+            ]
+        },
+        linkPolicy: {
+            trustedDomains: [],
+            blockedDomains: [],
+            domainWarnings: {}
+        },
+        attachments: {
+            entitySetName: 'annotations',
+            navigationProperty: 'objectid_adx_portalcomment',
+            fileColumns: [],
+            maxFileSize: 5242880,
+            maxFiles: 5,
+            allowedMimeTypes: [
+                'application/pdf',
+                'image/jpeg',
+                'image/png',
+                'text/plain',
+                'application/msword',
+                'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+            ]
+        },
+        i18n: {
+            locale: null,
+            bundles: {}
+        },
         colors: {
-            // Circular avatar icon gradient for message senders
             avatarGradientStart: '#0078d4',
             avatarGradientEnd: '#005a9e',
             avatarText: '#ffffff',
-            
-            // Dropdown header section gradient
             headerGradientStart: '#0078d4',
             headerGradientEnd: '#005a9e',
             headerText: '#ffffff',
-            
-            // Message list item text colors
             messageFrom: '#1e293b',
             messageSubject: '#64748b',
             messageTime: '#94a3b8',
-            
-            // Dropdown menu container styling
             dropdownBorder: '#e2e8f0',
             dropdownShadow: 'rgba(0, 0, 0, 0.15)',
-            
-            // Message list item background states
             itemHoverBackground: '#f1f5f9',
             itemUnreadBackground: '#f8f9ff',
             itemBorderColor: '#e2e8f0',
-            
-            // Unread count badge styling
             badgeBackground: '#dc3545',
             badgeText: '#ffffff',
-            
-            // Navbar inbox icon styling
+            conversationIncomingBackground: '#f1f3f5',
+            conversationOutgoingBackground: '#e8f1fb',
             navLinkColor: '#ffffff',
             navLinkCaretColor: '#ffffff',
-            
-            // Primary action buttons and interactive elements
             primaryColor: '#0078d4'
         },
-        
-        // ========================================================================
-        // TEXT CONFIGURATION
-        // ========================================================================
         text: {
             dropdownToggleIcon: 'bi bi-envelope-fill',
+            inboxButtonLabel: '{count, plural, =0 {Messages} other {Messages, # unread}}',
+            unreadAnnouncement: '{count, plural, =0 {No unread messages} one {# unread message} other {# unread messages}}',
+            newMessagesAnnouncement: '{count, plural, one {# new message} other {# new messages}}, {unread} unread',
             messagesHeader: 'Messages',
             archivedHeader: 'Archived Messages',
-            unreadLabel: 'unread',
-            noUnreadMessages: 'No unread messages',
+            unreadLabel: '{count} unread',
+            noUnreadMessages: 'No messages',
             noArchivedMessages: 'No archived messages',
             viewArchived: 'View Archived Messages',
-            viewUnread: 'View Unread Messages',
+            viewUnread: 'View Inbox',
             loadingMessages: 'Loading messages...',
+            loadMoreMessages: 'Load more messages',
+            loadingMoreMessages: 'Loading more messages...',
             failedToLoad: 'Failed to load messages',
             modalTitle: 'Message',
             closeButton: 'Close',
             replyButton: 'Reply',
             sendReplyButton: 'Send Reply',
             cancelButton: 'Cancel',
+            confirmButton: 'Confirm',
+            okButton: 'OK',
+            archiveButton: 'Archive',
+            unarchiveButton: 'Move to Inbox',
+            markUnreadButton: 'Mark as unread',
+            archiveFailed: 'Some messages could not be moved. Please try again.',
+            selectAll: 'Select all',
+            selectedCount: '{count} selected',
+            selectThread: 'Select',
+            archiveSelected: 'Archive selected',
+            unarchiveSelected: 'Move selected to Inbox',
             replyPlaceholder: 'Type your reply here...',
             replyLabel: 'Your Reply:',
-            originalMessageLabel: 'Original Message:',
-            toLabel: 'To: You',
+            sendingLabel: 'Sending...',
+            sendReplyFailed: 'Failed to send reply: {error}',
+            selectMessage: 'Select a message to read it.',
+            searchPlaceholder: 'Search messages',
+            searchFromDate: 'From',
+            searchToDate: 'To',
+            searchRegarding: 'All records',
+            searchSender: 'All senders',
+            clearSearch: 'Clear search',
+            searchingServer: 'Searching all messages...',
+            searchResultCount: '{count, plural, one {# matching message} other {# matching messages}}',
+            noSearchResults: 'No messages match your search',
+            youLabel: 'You',
+            regardingLabel: 'Regarding:',
+            loadingConversation: 'Loading conversation...',
+            conversationLoadFailed: 'Earlier messages in this conversation could not be loaded.',
+            attachFiles: 'Attach files',
+            attachmentLimits: '{count, plural, one {Up to # file, {size}} other {Up to # files, {size} each}}',
+            attachmentTooLarge: '{name} is larger than {size}.',
+            attachmentTypeNotAllowed: '{name} is not an allowed file type.',
+            tooManyAttachments: '{count, plural, one {Only one file can be attached.} other {No more than # files can be attached.}}',
+            removeAttachment: 'Remove',
+            attachmentsLoadFailed: 'Attachments could not be loaded.',
+            attachmentUploadFailed: 'Your reply was sent, but these attachments could not be uploaded: {names}',
+            downloadFailed: 'The attachment could not be downloaded.',
+            newMessageButton: 'New message',
+            composeTitle: 'New Message',
+            composeRegardingLabel: 'Regarding:',
+            composeRegardingPlaceholder: 'Select a record',
+            composeSubjectLabel: 'Subject:',
+            composeBodyLabel: 'Message:',
+            composePlaceholder: 'Type your message here...',
+            sendMessageButton: 'Send Message',
+            loadingRegardingRecords: 'Loading records...',
+            noRegardingRecords: 'No records available',
+            regardingRecordsLoadFailed: 'Records could not be loaded',
+            composePrompt: 'Please select a record and enter a subject and message.',
+            confirmSendMessage: 'Are you sure you want to send this message?',
+            messageSent: 'Your message was sent.',
+            messageSentAttachmentsFailed: 'Your message was sent, but these attachments could not be uploaded: {names}',
+            sendMessageFailed: 'Failed to send message: {error}',
             newBadge: 'New',
+            threadSizeLabel: '{count, plural, one {# message} other {# messages}}',
             justNow: 'Just now',
-            minuteAgo: 'minute ago',
-            minutesAgo: 'minutes ago',
-            hourAgo: 'hour ago',
-            hoursAgo: 'hours ago',
-            dayAgo: 'day ago',
-            daysAgo: 'days ago',
             replyPrompt: 'Please enter a reply message.',
             confirmSend: 'Are you sure you want to send this reply?',
             replySent: 'Reply sent successfully!',
-            externalLinkWarning: 'You are about to leave this website and navigate to an external site.\n\nExternal Site: {domain}\n\nThis link is being provided for your convenience. We are not responsible for the content, privacy policies, or practices of external sites.\n\nDo you wish to continue?'
+            confirmDialogTitle: 'Confirm',
+            alertDialogTitle: 'Alert',
+            errorDialogTitle: 'Error',
+            messageRequiredDialogTitle: 'Message Required',
+            confirmSendDialogTitle: 'Confirm Send',
+            messageSentDialogTitle: 'Message Sent',
+            discardReplyDialogTitle: 'Discard Reply',
+            externalLinkDialogTitle: 'External Link Warning',
+            blockedLinkDialogTitle: 'Link Blocked',
+            replyPending: 'Pending',
+            replyFailed: 'Failed',
+            retryReply: 'Retry',
+            discardReply: 'Discard',
+            confirmDiscardReply: 'Discard this reply? It has not been sent.',
+            replyQueuedOffline: 'You are offline. The reply will be sent when the connection returns.',
+            replyQueuedFailed: 'The reply could not be sent. It was kept so you can retry it.',
+            externalLinkWarning: 'You are about to leave this website and navigate to an external site.\n\nExternal Site: {domain}\n\nThis link is being provided for your convenience. We are not responsible for the content, privacy policies, or practices of external sites.\n\nDo you wish to continue?',
+            blockedLinkMessage: 'This link has been blocked for your security.\n\nBlocked Site: {domain}',
+            blockedLinkTitle: 'This link is blocked'
         },
-        
-        // ========================================================================
-        // ICON CONFIGURATION
-        // ========================================================================
         icons: {
             inbox: 'bi bi-inbox-fill',
             archive: 'bi bi-archive-fill',
+            unread: 'bi bi-envelope-fill',
+            attachment: 'bi bi-paperclip',
+            compose: 'bi bi-pencil-square',
             reply: 'bi bi-reply-fill',
             send: 'bi bi-send-fill'
         },
-        
-        // ========================================================================
-        // STYLE CONFIGURATION
-        // ========================================================================
         styles: {
             dropdownMinWidth: '350px',
             dropdownMaxHeight: '400px',
-            badgeDisplay: 'inline-block'
+            badgeDisplay: 'inline-block',
+            pageHeight: '75vh'
         },
-        
-        // ========================================================================
-        // FEATURE FLAGS
-        // ========================================================================
         features: {
             enableArchive: true,
+            enableMarkUnread: true,
             enableReply: true,
+            enableCompose: true,
+            enableOutbox: true,
+            enableAttachments: true,
+            enableAttachmentUpload: true,
             enableExternalLinkWarning: true,
-            allowHtmlInMessages: true
+            allowHtmlInMessages: true,
+            animateBadge: true,
+            enableSearch: true
         }
     });
 });
@@ -1,6 +1,12 @@
 /**
  * Portal Extensions Initialization (No Authentication Required)
  * Initializes all portal extensions available to public (anonymous) users
+ *
+ * GENERATED by tools/generate-init-files.js - do not edit by hand.
+ * Change the extension manifest.json and run: node tools/generate-init-files.js
+ *
+ * Sources:
+ *   (no extensions)
  * 
  * @author Daniel Penrod <daniel.penrod@microsoft.com>
  */
@@ -8,7 +14,4 @@
 // Portal extensions loaded event handler
 document.addEventListener('portalExtensionsLoaded', function() {
     window.PortalExtensions.log('All non-authenticated portal extensions loaded successfully');
-    
-    // Public extension initializations can be added below
-    // Authenticated extensions are initialized in portal-extensions-init-auth.js
 });
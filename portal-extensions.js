@@ -1,125 +1,2052 @@
 /**
  * Portal Extensions Loader
- * Dynamically loads all portal extension JavaScript files
+ * Dynamically loads all portal extension JavaScript files listed in
+ * portal-extensions.registry.json, reading each extension's manifest.json
  * 
  * @author Daniel Penrod <daniel.penrod@microsoft.com>
  */
 (function() {
     'use strict';
     
-    // Debug flag: set to false for production to suppress console output
-    const DEBUG = false;
+    // ========================================================================
+    // LOGGING
+    // Console output is off unless debug is turned on at runtime through the
+    // ?portalExtensionsDebug= query parameter, the portalExtensions_debug
+    // localStorage key or PortalExtensions.setDebug()
+    // ========================================================================
     
-    // Detect environment: local development vs hosted portal
+    // Id used in log lines written by the loader itself
+    const LOADER_ID = 'portal-extensions';
+    const DEBUG_QUERY_PARAMETER = 'portalExtensionsDebug';
+    const DEBUG_STORAGE_KEY = 'portalExtensions_debug';
+    
+    // Log levels in increasing verbosity
+    const LOG_LEVELS = ['off', 'error', 'warn', 'log'];
+    
+    // Level used for extensions without their own level ('*' entry), and per-extension levels
+    const logLevels = { '*': 'off' };
+    
+    /**
+     * Parse a debug setting into per-extension log levels
+     * Accepts true/false/1/0/on/off, a level (error, warn, log) or a list such
+     * as "portal-inbox-extension:log,*:warn"
+     */
+    function parseDebugSetting(value) {
+        const setting = String(value).trim().toLowerCase();
+        
+        if (setting === 'true' || setting === '1' || setting === 'on' || setting === '') {
+            return { '*': 'log' };
+        }
+        if (setting === 'false' || setting === '0') {
+            return { '*': 'off' };
+        }
+        if (LOG_LEVELS.includes(setting)) {
+            return { '*': setting };
+        }
+        
+        const levels = {};
+        setting.split(',').forEach(part => {
+            const separator = part.lastIndexOf(':');
+            const id = separator === -1 ? '*' : part.substring(0, separator).trim();
+            const level = (separator === -1 ? part : part.substring(separator + 1)).trim();
+            if (id && LOG_LEVELS.includes(level)) {
+                levels[id] = level;
+            }
+        });
+        return levels;
+    }
+    
+    /**
+     * Apply a debug setting, replacing all current log levels
+     */
+    function applyDebugSetting(value) {
+        Object.keys(logLevels).forEach(id => { delete logLevels[id]; });
+        Object.assign(logLevels, { '*': 'off' }, parseDebugSetting(value));
+    }
+    
+    /**
+     * Read the initial debug setting from the query string, then localStorage
+     */
+    function readDebugSetting() {
+        const queryValue = new URLSearchParams(window.location.search).get(DEBUG_QUERY_PARAMETER);
+        if (queryValue !== null) {
+            return queryValue;
+        }
+        try {
+            return window.localStorage.getItem(DEBUG_STORAGE_KEY);
+        } catch (e) {
+            // localStorage can be unavailable (privacy mode, sandboxed frames)
+            return null;
+        }
+    }
+    
+    /**
+     * Whether a message at the given level is written for an extension
+     */
+    function isLevelEnabled(id, level) {
+        const current = logLevels[id] || logLevels['*'];
+        return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(current);
+    }
+    
+    // Bounded in-memory buffers kept even when console output is off
+    const LOG_BUFFER_SIZE = 500;
+    const API_CALL_BUFFER_SIZE = 100;
+    const logBuffer = [];
+    const apiCallBuffer = [];
+    
+    /**
+     * Append an entry to a ring buffer, dropping the oldest entry when full
+     */
+    function pushBounded(buffer, entry, size) {
+        buffer.push(entry);
+        if (buffer.length > size) {
+            buffer.splice(0, buffer.length - size);
+        }
+    }
+    
+    /**
+     * Convert a log argument to a JSON-safe snapshot so later mutations do not change the record
+     */
+    function serializeArgument(value) {
+        if (Object.prototype.toString.call(value) === '[object Error]') {
+            return { name: value.name, message: value.message, stack: value.stack };
+        }
+        if (value === undefined || typeof value === 'function') {
+            return String(value);
+        }
+        try {
+            const json = JSON.stringify(value);
+            return json && json.length > 2000 ? `${json.substring(0, 2000)}... (truncated)` : JSON.parse(json);
+        } catch (e) {
+            return String(value);
+        }
+    }
+    
+    /**
+     * Record a log line in the buffer and write it to the console when its level is enabled
+     */
+    function writeLog(id, level, message, args) {
+        pushBounded(logBuffer, {
+            timestamp: new Date().toISOString(),
+            id: id,
+            level: level,
+            message: String(message),
+            args: args.map(serializeArgument)
+        }, LOG_BUFFER_SIZE);
+        
+        if (isLevelEnabled(id, level)) {
+            console[level](`[${id}] ${message}`, ...args);
+        }
+    }
+    
+    /**
+     * Record a Web API call made by an extension
+     */
+    function recordApiCall(call) {
+        pushBounded(apiCallBuffer, Object.assign({ timestamp: new Date().toISOString() }, call), API_CALL_BUFFER_SIZE);
+    }
+    
+    /**
+     * Create a logger whose lines are prefixed with an extension id
+     */
+    function createLogger(id) {
+        return {
+            log: (message, ...args) => writeLog(id, 'log', message, args),
+            warn: (message, ...args) => writeLog(id, 'warn', message, args),
+            error: (message, ...args) => writeLog(id, 'error', message, args),
+            isEnabled: level => isLevelEnabled(id, level || 'log')
+        };
+    }
+    
+    const initialDebugSetting = readDebugSetting();
+    if (initialDebugSetting !== null) {
+        applyDebugSetting(initialDebugSetting);
+    }
+    
+    const loaderLogger = createLogger(LOADER_ID);
+    
+    const portalBaseUrl = window.location.origin;
+    
+    // Registry document listing the manifest of every extension to load
+    const REGISTRY_FILENAME = 'portal-extensions.registry.json';
+    
+    // Authentication state declared on the loader script tag (data-authenticated="true|false")
+    const loaderScript = document.currentScript;
+    const authenticatedAttribute = loaderScript ? loaderScript.getAttribute('data-authenticated') : null;
+    
+    // ========================================================================
+    // ENVIRONMENT
+    // Named profiles (local, dev, test, prod) matched on host patterns, with an
+    // explicit override through ?portalExtensionsEnv=, the
+    // portalExtensions_environment localStorage key or data-environment on the
+    // loader script tag. Profiles come from the "environments" block of the
+    // registry; the defaults below apply until it is loaded
+    // ========================================================================
+    
+    const ENVIRONMENT_QUERY_PARAMETER = 'portalExtensionsEnv';
+    const ENVIRONMENT_STORAGE_KEY = 'portalExtensions_environment';
+    
+    const DEFAULT_ENVIRONMENT_PROFILES = {
+        local: { hosts: ['localhost', '127.0.0.1', '*.local'], protocols: ['file:'], local: true },
+        prod: { hosts: ['*'], local: false }
+    };
+    
+    let environmentProfiles = DEFAULT_ENVIRONMENT_PROFILES;
+    let currentEnvironment = null;
+    
+    /**
+     * Match a hostname against a pattern where * matches any run of characters (e.g. *.contoso.gov, 10.*)
+     */
+    function matchesHostPattern(hostname, pattern) {
+        const expression = pattern.toLowerCase().split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        return new RegExp(`^${expression}$`).test(hostname.toLowerCase());
+    }
+    
+    /**
+     * Read an explicit environment override, highest priority first
+     */
+    function readEnvironmentOverride() {
+        const queryValue = new URLSearchParams(window.location.search).get(ENVIRONMENT_QUERY_PARAMETER);
+        if (queryValue) {
+            return queryValue;
+        }
+        try {
+            const storedValue = window.localStorage.getItem(ENVIRONMENT_STORAGE_KEY);
+            if (storedValue) {
+                return storedValue;
+            }
+        } catch (e) {
+            // localStorage can be unavailable (privacy mode, sandboxed frames)
+        }
+        return loaderScript ? loaderScript.getAttribute('data-environment') : null;
+    }
+    
+    /**
+     * Resolve the current environment profile from the override or the first matching host pattern
+     */
+    function resolveEnvironment() {
+        const names = Object.keys(environmentProfiles);
+        const override = readEnvironmentOverride();
+        let name = null;
+        
+        if (override) {
+            if (environmentProfiles[override]) {
+                name = override;
+            } else {
+                loaderLogger.warn(`Unknown environment override "${override}". Valid environments are: ${names.join(', ')}.`);
+            }
+        }
+        
+        if (!name) {
+            name = names.find(profileName => {
+                const profile = environmentProfiles[profileName];
+                return (profile.protocols || []).includes(window.location.protocol) ||
+                    (profile.hosts || []).some(pattern => matchesHostPattern(window.location.hostname, pattern));
+            });
+        }
+        
+        if (!name) {
+            throw new Error(`No environment profile matches ${window.location.hostname}. Add a profile with hosts ["*"] to the "environments" block of ${REGISTRY_FILENAME}.`);
+        }
+        
+        currentEnvironment = Object.assign({ name: name, overridden: name === override }, environmentProfiles[name]);
+        currentEnvironment.local = currentEnvironment.local === true;
+        return currentEnvironment;
+    }
+    
+    /**
+     * Apply the debug levels of the current profile unless debug was set explicitly
+     */
+    function applyEnvironmentDebug(environment) {
+        if (initialDebugSetting !== null) {
+            return;
+        }
+        if (environment.debug) {
+            applyDebugSetting(environment.debug);
+        }
+        const extensionSettings = environment.extensions || {};
+        Object.keys(extensionSettings)
+            .filter(id => LOG_LEVELS.includes(extensionSettings[id].debug))
+            .forEach(id => { logLevels[id] = extensionSettings[id].debug; });
+    }
+    
+    /**
+     * Whether files and data are read from the local extension folders
+     */
     function isLocalEnvironment() {
-        const hostname = window.location.hostname;
-        return hostname === 'localhost' || 
-               hostname === '127.0.0.1' || 
-               hostname.startsWith('192.168.') ||
-               hostname.startsWith('10.') ||
-               hostname.endsWith('.local') ||
-               window.location.protocol === 'file:';
+        return (currentEnvironment || resolveEnvironment()).local;
+    }
+    
+    const environment = {
+        /**
+         * Get the current environment profile ({ name, local, hosts, debug, extensions, ... })
+         */
+        current: function() {
+            return currentEnvironment || resolveEnvironment();
+        },
+        
+        /**
+         * Get the settings of one extension in the current environment
+         * dataSource is 'local' or 'portal' unless the profile overrides it for the extension
+         * @param {string} id - The extension id from its manifest
+         * @returns {Object} { environment, local, dataSource, debug, ...profile.extensions[id] }
+         */
+        forExtension: function(id) {
+            const profile = environment.current();
+            const settings = (profile.extensions && profile.extensions[id]) || {};
+            return Object.assign({
+                environment: profile.name,
+                local: profile.local,
+                dataSource: profile.local ? 'local' : 'portal',
+                debug: logLevels[id] || logLevels['*']
+            }, settings);
+        },
+        
+        /**
+         * Force an environment profile; takes effect on the next page load
+         * @param {string|null} name - Profile name, or null to remove the override
+         */
+        setOverride: function(name) {
+            try {
+                if (name) {
+                    window.localStorage.setItem(ENVIRONMENT_STORAGE_KEY, name);
+                } else {
+                    window.localStorage.removeItem(ENVIRONMENT_STORAGE_KEY);
+                }
+            } catch (e) {
+                loaderLogger.warn('Environment override could not be saved to localStorage', e);
+            }
+        },
+        
+        /**
+         * Get the names of all environment profiles
+         */
+        profiles: function() {
+            return Object.keys(environmentProfiles);
+        }
+    };
+    
+    // Registry of extensions built from their manifests (populated by loadRegistry)
+    const extensions = [];
+    
+    /**
+     * Get the full path for a file that lives in an extension folder locally
+     * and at the domain root on the portal
+     */
+    function getDeployedPath(folder, localPath, portalPath) {
+        if (isLocalEnvironment()) {
+            // Local development: use relative path to extension folder
+            return `${folder}/${localPath.replace(/^\.\//, '')}`;
+        } else {
+            // Portal environment: file is at domain root
+            return `${portalBaseUrl}/${portalPath.replace(/^\//, '')}`;
+        }
+    }
+    
+    /**
+     * Get the full path for the registry document, which sits next to the loader
+     * (repository root locally, domain root on the portal)
+     */
+    function getRegistryPath() {
+        return loaderScript && loaderScript.src ? new URL(REGISTRY_FILENAME, loaderScript.src).href : REGISTRY_FILENAME;
+    }
+    
+    /**
+     * Get the full path for an extension manifest
+     * Locally the manifest is read from the extension folder; on the portal it is
+     * deployed at the domain root as {folder}.manifest.json
+     */
+    function getManifestPath(manifestPath) {
+        const folder = manifestPath.split('/')[0];
+        return getDeployedPath(folder, manifestPath.substring(folder.length + 1), `${folder}.manifest.json`);
+    }
+    
+    /**
+     * Whether the current user is allowed to load an extension
+     */
+    function isAuthorized(extension) {
+        if (!extension.requiresAuthentication) {
+            return true;
+        }
+        // Without an explicit data-authenticated attribute the Liquid include decides
+        return authenticatedAttribute === null || authenticatedAttribute === 'true';
+    }
+    
+    /**
+     * Fetch and parse a JSON document, revalidating with the server so a
+     * deployment's new version numbers and integrity hashes are seen at once
+     */
+    function fetchJson(path) {
+        return fetch(path, { credentials: 'same-origin', cache: 'no-cache' })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status} for ${path}`);
+                }
+                return response.json();
+            });
+    }
+    
+    /**
+     * Build a registry entry from an extension manifest
+     */
+    function createRegistryEntry(manifestPath, manifest, enabled) {
+        const info = manifest.extension;
+        if (!info || !info.id || !info.version) {
+            throw new Error(`Manifest ${manifestPath} is missing extension.id or extension.version. Both are required by manifest.schema.json.`);
+        }
+        
+        const webFiles = manifest.deployment && manifest.deployment.webFiles;
+        if (!webFiles || webFiles.length === 0) {
+            throw new Error(`Manifest ${manifestPath} has no deployment.webFiles. Add the extension script to deployment.webFiles.`);
+        }
+        
+        const folder = manifestPath.split('/')[0];
+        
+        return {
+            id: info.id,
+            name: info.name || info.id,
+            version: info.version,
+            requiresAuthentication: info.requiresAuthentication === true,
+            enabled: enabled !== false,
+            manifest: manifestPath,
+            dependencies: (manifest.dependencies && manifest.dependencies.extensions) || {},
+            scripts: webFiles
+                .filter(webFile => webFile.name.endsWith('.js'))
+                .map(webFile => ({
+                    // Version query string busts stale Web File caches after each deployment
+                    path: `${getDeployedPath(folder, webFile.source, webFile.partialUrl)}?v=${encodeURIComponent(webFile.version || info.version)}`,
+                    // Subresource integrity is only enforced on the portal; local files change while developing
+                    integrity: isLocalEnvironment() ? null : webFile.integrity || null
+                }))
+        };
+    }
+    
+    /**
+     * Load the registry document and every manifest it lists
+     */
+    function loadRegistry() {
+        return fetchJson(getRegistryPath())
+            .then(registry => {
+                if (!Array.isArray(registry.extensions)) {
+                    throw new Error(`${REGISTRY_FILENAME} must contain an "extensions" array of manifest entries.`);
+                }
+                
+                if (registry.environments) {
+                    environmentProfiles = registry.environments;
+                }
+                if (registry.diagnostics && registry.diagnostics.colors) {
+                    diagnosticsColors = Object.assign({}, DEFAULT_DIAGNOSTICS_COLORS, registry.diagnostics.colors);
+                }
+                const resolved = resolveEnvironment();
+                applyEnvironmentDebug(resolved);
+                loaderLogger.log(`Environment = ${resolved.name}${resolved.overridden ? ' (override)' : ''}`);
+                
+                return Promise.all(registry.extensions.map(entry => {
+                    const manifestPath = typeof entry === 'string' ? entry : entry.manifest;
+                    return fetchJson(getManifestPath(manifestPath))
+                        .then(manifest => createRegistryEntry(manifestPath, manifest, entry.enabled));
+                }));
+            })
+            .then(entries => {
+                extensions.length = 0;
+                entries.forEach(entry => extensions.push(entry));
+                return extensions;
+            });
+    }
+    
+    /**
+     * Parse a semantic version (x.y.z) into numeric parts
+     */
+    function parseVersion(version) {
+        const match = /^(\d+)\.(\d+)\.(\d+)$/.exec(version);
+        if (!match) {
+            throw new Error(`Invalid version "${version}". Versions must use the x.y.z format.`);
+        }
+        return match.slice(1).map(Number);
+    }
+    
+    /**
+     * Compare two parsed versions (-1, 0 or 1)
+     */
+    function compareVersions(a, b) {
+        for (let i = 0; i < 3; i++) {
+            if (a[i] !== b[i]) {
+                return a[i] < b[i] ? -1 : 1;
+            }
+        }
+        return 0;
+    }
+    
+    /**
+     * Check a single comparator such as ^1.2.0, ~1.2.0, >=1.0.0, 1.x or 1.2.3
+     */
+    function satisfiesComparator(version, comparator) {
+        if (comparator === '*' || comparator === 'x' || comparator === '') {
+            return true;
+        }
+        
+        const match = /^(\^|~|>=|<=|>|<|=)?(\d+|x|\*)(?:\.(\d+|x|\*))?(?:\.(\d+|x|\*))?$/.exec(comparator);
+        if (!match) {
+            throw new Error(`Invalid version range "${comparator}". Use ^x.y.z, ~x.y.z, >=x.y.z, x.y.x or x.y.z.`);
+        }
+        
+        const operator = match[1] || '=';
+        const parts = match.slice(2).map(part => (part === undefined || part === 'x' || part === '*' ? null : Number(part)));
+        
+        // Wildcard ranges (1.x, 1.2.x) match on the specified parts only
+        const wildcardIndex = parts.indexOf(null);
+        if (wildcardIndex !== -1 && (operator === '=' || operator === '^' || operator === '~')) {
+            return parts.slice(0, wildcardIndex).every((part, i) => version[i] === part);
+        }
+        
+        const target = parts.map(part => (part === null ? 0 : part));
+        const comparison = compareVersions(version, target);
+        
+        switch (operator) {
+            case '^':
+                // Compatible with: same left-most non-zero part
+                if (comparison < 0) return false;
+                if (target[0] > 0) return version[0] === target[0];
+                if (target[1] > 0) return version[0] === 0 && version[1] === target[1];
+                return version[0] === 0 && version[1] === 0 && version[2] === target[2];
+            case '~':
+                // Approximately: same major and minor
+                return comparison >= 0 && version[0] === target[0] && version[1] === target[1];
+            case '>=': return comparison >= 0;
+            case '<=': return comparison <= 0;
+            case '>': return comparison > 0;
+            case '<': return comparison < 0;
+            default: return comparison === 0;
+        }
+    }
+    
+    /**
+     * Check a version against a semver range (comparators separated by spaces, alternatives by ||)
+     */
+    function satisfiesVersion(version, range) {
+        const parsed = parseVersion(version);
+        return range.split('||').some(alternative =>
+            alternative.trim().split(/\s+/).every(comparator => satisfiesComparator(parsed, comparator))
+        );
+    }
+    
+    /**
+     * Order extensions so every extension comes after its dependencies (topological sort)
+     * Returns { sorted, cycles } where cycles maps the id of every extension on a
+     * dependency cycle to an error message; those extensions are still in sorted
+     */
+    function sortByDependencies(registry) {
+        const byId = {};
+        registry.forEach(ext => { byId[ext.id] = ext; });
+        
+        const sorted = [];
+        const cycles = {};
+        const state = {}; // undefined = unvisited, 'visiting' = on current path, 'done' = sorted
+        
+        function visit(ext, path) {
+            if (state[ext.id] === 'done') return;
+            if (state[ext.id] === 'visiting') {
+                const cycle = path.slice(path.indexOf(ext.id)).concat(ext.id);
+                const message = `Circular extension dependency: ${cycle.join(' -> ')}. Remove one of these dependencies from its manifest.json.`;
+                cycle.forEach(id => { cycles[id] = cycles[id] || message; });
+                return;
+            }
+            
+            state[ext.id] = 'visiting';
+            Object.keys(ext.dependencies).forEach(dependencyId => {
+                if (byId[dependencyId]) {
+                    visit(byId[dependencyId], path.concat(ext.id));
+                }
+            });
+            state[ext.id] = 'done';
+            sorted.push(ext);
+        }
+        
+        registry.forEach(ext => visit(ext, []));
+        return { sorted: sorted, cycles: cycles };
+    }
+    
+    /**
+     * Find the first unmet dependency of an extension given the results loaded so far
+     * Returns a reason string, or null when every dependency is loaded and compatible
+     */
+    function getUnmetDependency(extension, resultsById) {
+        const dependencyIds = Object.keys(extension.dependencies);
+        
+        for (let i = 0; i < dependencyIds.length; i++) {
+            const dependencyId = dependencyIds[i];
+            const range = extension.dependencies[dependencyId];
+            const dependency = extensions.find(ext => ext.id === dependencyId);
+            
+            if (!dependency) {
+                return `dependency ${dependencyId} is not in ${REGISTRY_FILENAME}`;
+            }
+            if (!satisfiesVersion(dependency.version, range)) {
+                return `dependency ${dependencyId} ${dependency.version} does not satisfy ${range}`;
+            }
+            if (!resultsById[dependencyId] || resultsById[dependencyId].status !== 'loaded') {
+                return `dependency ${dependencyId} did not load`;
+            }
+        }
+        
+        return null;
+    }
+    
+    // ========================================================================
+    // TELEMETRY
+    // Extensions report events, timing spans and exceptions to a pluggable
+    // sink. The default sink drops everything; set data-telemetry-endpoint on
+    // the loader script tag (or call PortalExtensions.telemetry.setSink) to send
+    // batches with navigator.sendBeacon
+    // ========================================================================
+    
+    // Identifies all telemetry items from one page load
+    const telemetrySessionId = `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 10)}`;
+    
+    /**
+     * Sink that discards every telemetry item
+     */
+    function createNoopSink() {
+        return {
+            send: function() {},
+            flush: function() {},
+            dispose: function() {}
+        };
+    }
+    
+    /**
+     * Sink that batches telemetry items and POSTs them as JSON with navigator.sendBeacon
+     * Falls back to fetch with keepalive when sendBeacon is unavailable or refuses the payload
+     * @param {Object} options - { endpoint, batchSize = 20, flushIntervalMs = 10000 }
+     */
+    function createBeaconSink(options) {
+        if (!options || !options.endpoint) {
+            throw new Error('createBeaconSink requires an endpoint. Pass { endpoint: "https://..." } or set data-telemetry-endpoint on the loader script tag.');
+        }
+        
+        const batchSize = options.batchSize || 20;
+        const flushIntervalMs = options.flushIntervalMs || 10000;
+        const queue = [];
+        let timer = null;
+        
+        function flush() {
+            if (timer) {
+                clearTimeout(timer);
+                timer = null;
+            }
+            if (queue.length === 0) {
+                return;
+            }
+            
+            const payload = JSON.stringify({ session: telemetrySessionId, items: queue.splice(0, queue.length) });
+            const sent = navigator.sendBeacon && navigator.sendBeacon(options.endpoint, new Blob([payload], { type: 'application/json' }));
+            
+            if (!sent) {
+                fetch(options.endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: payload,
+                    keepalive: true
+                }).catch(error => loaderLogger.warn('Telemetry batch could not be sent', error));
+            }
+        }
+        
+        function flushWhenHidden() {
+            if (document.visibilityState === 'hidden') flush();
+        }
+        
+        // Send what is queued before the page is hidden or unloaded
+        document.addEventListener('visibilitychange', flushWhenHidden);
+        window.addEventListener('pagehide', flush);
+        
+        return {
+            send: function(item) {
+                queue.push(item);
+                if (queue.length >= batchSize) {
+                    flush();
+                } else if (!timer) {
+                    timer = setTimeout(flush, flushIntervalMs);
+                }
+            },
+            flush: flush,
+            
+            /**
+             * Stop the flush timer and the page listeners; called when the sink is replaced
+             */
+            dispose: function() {
+                if (timer) {
+                    clearTimeout(timer);
+                    timer = null;
+                }
+                document.removeEventListener('visibilitychange', flushWhenHidden);
+                window.removeEventListener('pagehide', flush);
+            }
+        };
+    }
+    
+    let telemetrySink = createNoopSink();
+    
+    /**
+     * Hand a telemetry item to the current sink; telemetry must never break an extension
+     */
+    function sendTelemetry(type, id, name, data) {
+        const item = Object.assign({
+            type: type,
+            id: id,
+            name: name,
+            timestamp: new Date().toISOString(),
+            page: window.location.pathname
+        }, data);
+        
+        try {
+            telemetrySink.send(item);
+        } catch (error) {
+            loaderLogger.warn('Telemetry sink failed', error);
+        }
+    }
+    
+    const telemetry = {
+        /**
+         * Replace the telemetry sink; the previous sink is flushed and disposed
+         * @param {{send: Function, flush: Function, dispose: Function}} sink - e.g. createBeaconSink({ endpoint }) or createNoopSink()
+         */
+        setSink: function(sink) {
+            if (!sink || typeof sink.send !== 'function') {
+                throw new Error('Telemetry sink must have a send(item) function.');
+            }
+            telemetrySink.flush && telemetrySink.flush();
+            telemetrySink.dispose && telemetrySink.dispose();
+            telemetrySink = sink;
+        },
+        
+        createBeaconSink: createBeaconSink,
+        createNoopSink: createNoopSink,
+        
+        /**
+         * Track a named event
+         * @param {string} id - The extension id
+         * @param {string} name - Event name (e.g. 'replySent')
+         * @param {Object} [properties] - Additional properties (e.g. { success: true })
+         */
+        trackEvent: function(id, name, properties) {
+            sendTelemetry('event', id, name, { properties: properties || {} });
+        },
+        
+        /**
+         * Track a duration
+         * @param {string} id - The extension id
+         * @param {string} name - Timing name (e.g. 'scriptLoad')
+         * @param {number} durationMs - Duration in milliseconds
+         * @param {Object} [properties] - Additional properties
+         */
+        trackTiming: function(id, name, durationMs, properties) {
+            sendTelemetry('timing', id, name, { durationMs: Math.round(durationMs), properties: properties || {} });
+        },
+        
+        /**
+         * Start a timing span; call end() on the returned span to track its duration
+         * @param {string} id - The extension id
+         * @param {string} name - Timing name
+         * @param {Object} [properties] - Properties sent with the timing
+         * @returns {{end: Function}} Span whose end(properties) tracks the timing once
+         */
+        startSpan: function(id, name, properties) {
+            const started = performance.now();
+            let ended = false;
+            return {
+                end: endProperties => {
+                    if (ended) return;
+                    ended = true;
+                    telemetry.trackTiming(id, name, performance.now() - started, Object.assign({}, properties, endProperties));
+                }
+            };
+        },
+        
+        /**
+         * Track an exception
+         * @param {string} id - The extension id
+         * @param {Error|string} error - The exception
+         * @param {Object} [properties] - Additional properties (e.g. { operation: 'loadMessages' })
+         */
+        trackException: function(id, error, properties) {
+            const isError = Object.prototype.toString.call(error) === '[object Error]';
+            sendTelemetry('exception', id, isError ? error.name : 'Error', {
+                message: isError ? error.message : String(error),
+                stack: isError ? error.stack : undefined,
+                properties: properties || {}
+            });
+        },
+        
+        /**
+         * Send queued telemetry now
+         */
+        flush: function() {
+            telemetrySink.flush && telemetrySink.flush();
+        }
+    };
+    
+    const telemetryEndpoint = loaderScript ? loaderScript.getAttribute('data-telemetry-endpoint') : null;
+    if (telemetryEndpoint) {
+        telemetry.setSink(createBeaconSink({ endpoint: telemetryEndpoint }));
+    }
+    
+    // Lifecycle states an extension moves through; each change dispatches a
+    // portalExtension{State} document event (e.g. portalExtensionInitialized)
+    const LIFECYCLE_STATES = ['loading', 'loaded', 'initialized', 'failed', 'disposed'];
+    
+    // Current lifecycle state per extension id and state change subscribers
+    const extensionStates = {};
+    const stateSubscribers = {};
+    
+    // Settles once the first registry load has finished (or failed), so
+    // whenReady can tell an id that is not in the registry from one still loading
+    let resolveRegistryLoaded;
+    const registryLoaded = new Promise(resolve => {
+        resolveRegistryLoaded = resolve;
+    });
+    
+    /**
+     * Record an extension state change, dispatch its event and notify subscribers
+     * Skipped extensions are recorded without an event so whenReady can settle
+     */
+    function setExtensionState(id, state, detail) {
+        if (state !== 'skipped' && !LIFECYCLE_STATES.includes(state)) {
+            throw new Error(`Unknown extension state "${state}". Valid states are: ${LIFECYCLE_STATES.join(', ')}.`);
+        }
+        
+        const extension = extensions.find(ext => ext.id === id);
+        const stateDetail = Object.assign({
+            id: id,
+            name: extension ? extension.name : id,
+            version: extension ? extension.version : null,
+            state: state,
+            timestamp: new Date().toISOString()
+        }, detail || {});
+        
+        extensionStates[id] = stateDetail;
+        loaderLogger.log(`${id} is ${state}`);
+        
+        if (state !== 'skipped') {
+            const eventName = `portalExtension${state.charAt(0).toUpperCase()}${state.slice(1)}`;
+            document.dispatchEvent(new CustomEvent(eventName, { detail: stateDetail }));
+        }
+        
+        (stateSubscribers[id] || []).slice().forEach(handler => handler(stateDetail));
+        (stateSubscribers['*'] || []).slice().forEach(handler => handler(stateDetail));
+    }
+    
+    /**
+     * Subscribe to state changes of one extension (or '*' for all)
+     * Late subscribers are called immediately with the current state
+     * Returns a function that removes the subscription
+     */
+    function onStateChange(id, handler) {
+        stateSubscribers[id] = stateSubscribers[id] || [];
+        stateSubscribers[id].push(handler);
+        
+        const current = id === '*' ? Object.keys(extensionStates).map(key => extensionStates[key]) : [extensionStates[id]];
+        current.filter(Boolean).forEach(stateDetail => handler(stateDetail));
+        
+        return function unsubscribe() {
+            stateSubscribers[id] = stateSubscribers[id].filter(item => item !== handler);
+        };
+    }
+    
+    /**
+     * Resolve once an extension is initialized
+     * Rejects when it fails, is skipped or has been disposed, and as soon as the
+     * registry has loaded when the id is neither in it nor has a recorded state
+     */
+    function whenReady(id) {
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            let unsubscribe = null;
+            
+            unsubscribe = onStateChange(id, stateDetail => {
+                if (settled) return;
+                
+                if (stateDetail.state === 'initialized') {
+                    settled = true;
+                    resolve(stateDetail);
+                } else if (stateDetail.state === 'failed' || stateDetail.state === 'skipped' || stateDetail.state === 'disposed') {
+                    settled = true;
+                    const reason = stateDetail.error || stateDetail.reason;
+                    reject(new Error(`Portal extension ${id} is ${stateDetail.state}${reason ? `: ${reason}` : ''}`));
+                }
+                
+                if (settled && unsubscribe) {
+                    unsubscribe();
+                }
+            });
+            
+            if (settled) {
+                unsubscribe();
+                return;
+            }
+            
+            registryLoaded.then(() => {
+                if (settled || extensionStates[id] || extensions.some(ext => ext.id === id)) return;
+                
+                settled = true;
+                unsubscribe();
+                reject(new Error(`Portal extension ${id} is not in the registry`));
+            });
+        });
+    }
+    
+    /**
+     * Check whether the content at a URL matches a subresource integrity value
+     * Resolves true/false, or null when the check cannot be made (network error, no WebCrypto)
+     */
+    function verifyIntegrity(path, integrity) {
+        const match = /(sha256|sha384|sha512)-([A-Za-z0-9+/=]+)/.exec(integrity);
+        if (!match || !window.crypto || !window.crypto.subtle) {
+            return Promise.resolve(null);
+        }
+        
+        const algorithm = `SHA-${match[1].substring(3)}`;
+        
+        return fetch(path, { credentials: 'same-origin', cache: 'no-store' })
+            .then(response => (response.ok ? response.arrayBuffer() : Promise.reject(new Error(`HTTP ${response.status}`))))
+            .then(buffer => window.crypto.subtle.digest(algorithm, buffer))
+            .then(digest => {
+                const actual = btoa(String.fromCharCode.apply(null, new Uint8Array(digest)));
+                return actual === match[2];
+            })
+            .catch(() => null);
+    }
+    
+    /**
+     * Load a single script file
+     * Rejects with { path, status } where status is 'integrity-error' when the
+     * file does not match its integrity hash and 'error' otherwise
+     */
+    function loadScript(scriptFile) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = scriptFile.path;
+            script.async = false; // Load in order
+            if (scriptFile.integrity) {
+                script.integrity = scriptFile.integrity;
+                script.crossOrigin = 'anonymous';
+            }
+            script.onload = () => resolve(scriptFile.path);
+            script.onerror = () => {
+                if (!scriptFile.integrity) {
+                    reject({ path: scriptFile.path, status: 'error' });
+                    return;
+                }
+                // The browser reports integrity failures as a generic error; check the hash to tell them apart
+                verifyIntegrity(scriptFile.path, scriptFile.integrity).then(matches => {
+                    reject({ path: scriptFile.path, status: matches === false ? 'integrity-error' : 'error' });
+                });
+            };
+            document.head.appendChild(script);
+        });
+    }
+    
+    /**
+     * Load a single extension and all of its web files
+     */
+    function loadExtension(extension, resultsById) {
+        const result = { id: extension.id, name: extension.name, version: extension.version };
+        
+        let unmetDependency;
+        try {
+            unmetDependency = getUnmetDependency(extension, resultsById);
+        } catch (error) {
+            loaderLogger.error(`${extension.name}: ${error.message}`);
+            setExtensionState(extension.id, 'failed', { error: error.message });
+            return Promise.reject(Object.assign(result, { status: 'error', error: error.message }));
+        }
+        
+        if (!extension.enabled) {
+            loaderLogger.log(`Skipping disabled extension: ${extension.name}`);
+            setExtensionState(extension.id, 'skipped', { reason: 'disabled' });
+            return Promise.resolve(Object.assign(result, { status: 'skipped' }));
+        }
+        
+        if (!isAuthorized(extension)) {
+            loaderLogger.log(`Skipping ${extension.name}, authentication required`);
+            setExtensionState(extension.id, 'skipped', { reason: 'authentication required' });
+            return Promise.resolve(Object.assign(result, { status: 'skipped' }));
+        }
+        
+        if (unmetDependency) {
+            loaderLogger.warn(`Skipping ${extension.name}, ${unmetDependency}`);
+            setExtensionState(extension.id, 'skipped', { reason: unmetDependency });
+            return Promise.resolve(Object.assign(result, { status: 'skipped', reason: unmetDependency }));
+        }
+        
+        setExtensionState(extension.id, 'loading');
+        const span = telemetry.startSpan(extension.id, 'scriptLoad', { version: extension.version });
+        
+        return Promise.all(extension.scripts.map(loadScript))
+            .then(() => {
+                loaderLogger.log(`Loaded ${extension.name} ${extension.version}`);
+                span.end({ success: true });
+                setExtensionState(extension.id, 'loaded');
+                return Object.assign(result, { status: 'loaded' });
+            })
+            .catch(failure => {
+                const message = failure.status === 'integrity-error'
+                    ? `Integrity check failed for ${failure.path}. The deployed file does not match the integrity hash in manifest.json; redeploy the file or regenerate the manifest.`
+                    : `Failed to load ${failure.path}`;
+                loaderLogger.error(`${extension.name}: ${message}`);
+                span.end({ success: false, status: failure.status });
+                telemetry.trackException(extension.id, new Error(message), { operation: 'scriptLoad', status: failure.status });
+                setExtensionState(extension.id, 'failed', { error: message, status: failure.status });
+                return Promise.reject(Object.assign(result, { status: failure.status, path: failure.path, error: message }));
+            });
+    }
+    
+    /**
+     * Fail an extension that is on a dependency cycle without loading it
+     */
+    function failCyclicExtension(extension, message) {
+        setExtensionState(extension.id, 'failed', { error: message });
+        return Promise.reject({ id: extension.id, name: extension.name, version: extension.version, status: 'error', error: message });
+    }
+    
+    /**
+     * Load extensions one at a time in dependency order
+     * Extensions on a dependency cycle fail and their dependents are skipped; the rest load as usual
+     * Resolves with Promise.allSettled-style results in registry order
+     */
+    function loadInDependencyOrder(registry) {
+        const { sorted, cycles } = sortByDependencies(registry);
+        
+        // One message per cycle, however many extensions are on it
+        Array.from(new Set(Object.values(cycles))).forEach(message => loaderLogger.error(message));
+        
+        const resultsById = {};
+        const settledById = {};
+        
+        return sorted
+            .reduce((previous, ext) => previous.then(() => (cycles[ext.id] ? failCyclicExtension(ext, cycles[ext.id]) : loadExtension(ext, resultsById))
+                .then(value => {
+                    resultsById[ext.id] = value;
+                    settledById[ext.id] = { status: 'fulfilled', value: value };
+                })
+                .catch(reason => {
+                    resultsById[ext.id] = reason;
+                    settledById[ext.id] = { status: 'rejected', reason: reason };
+                })
+            ), Promise.resolve())
+            .then(() => registry.map(ext => settledById[ext.id]));
+    }
+    
+    // Summary of the most recent loadAllExtensions run, for diagnostics
+    let lastLoadSummary = null;
+    
+    /**
+     * Load all extensions
+     */
+    function loadAllExtensions() {
+        loaderLogger.log('Starting to load extensions...');
+        
+        return loadRegistry()
+            .catch(error => {
+                loaderLogger.error('Failed to load extension registry', error);
+                extensions.length = 0;
+                return extensions;
+            })
+            .then(registry => {
+                resolveRegistryLoaded();
+                return loadInDependencyOrder(registry);
+            })
+            .then(results => {
+                const loaded = results.filter(r => r.status === 'fulfilled' && r.value.status === 'loaded');
+                const failed = results.filter(r => r.status === 'rejected');
+                const skipped = results.filter(r => r.status === 'fulfilled' && r.value.status === 'skipped');
+                
+                loaderLogger.log(`Loading complete! Loaded: ${loaded.length}, Failed: ${failed.length}, Skipped: ${skipped.length}`);
+                
+                lastLoadSummary = {
+                    timestamp: new Date().toISOString(),
+                    total: extensions.length,
+                    loaded: loaded.length,
+                    failed: failed.length,
+                    skipped: skipped.length,
+                    results: results.map(r => r.value || r.reason)
+                };
+                
+                // Dispatch custom event when all extensions are loaded
+                const event = new CustomEvent('portalExtensionsLoaded', {
+                    detail: {
+                        total: extensions.length,
+                        loaded: loaded.length,
+                        failed: failed.length,
+                        skipped: skipped.length,
+                        results: results
+                    }
+                });
+                document.dispatchEvent(event);
+            });
+    }
+    
+    // ========================================================================
+    // CROSS-TAB
+    // Messages between tabs of the same portal (BroadcastChannel, or storage
+    // events where it is unavailable) and election of one leader tab
+    // (Web Locks, or a localStorage lease)
+    // ========================================================================
+    
+    const TAB_STORAGE_PREFIX = 'portalExtensions_tab_';
+    const LEADER_LEASE_MS = 5000;
+    const LEADER_HEARTBEAT_MS = 2000;
+    
+    // Identifies this tab in cross-tab messages and leases
+    const tabId = `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 10)}`;
+    
+    /**
+     * Create a channel to the other tabs of this portal
+     * Messages are not delivered to the tab that posted them
+     * @param {string} name - Channel name, normally the extension id
+     * @returns {{tabId: string, post: Function, subscribe: Function, close: Function}}
+     */
+    function createTabChannel(name) {
+        const handlers = [];
+        const storageKey = `${TAB_STORAGE_PREFIX}channel_${name}`;
+        let broadcastChannel = null;
+        let storageListener = null;
+        
+        function deliver(message) {
+            if (!message || message.tabId === tabId) {
+                return;
+            }
+            handlers.slice().forEach(handler => {
+                try {
+                    handler(message.type, message.data, message.tabId);
+                } catch (error) {
+                    loaderLogger.error(`Cross-tab handler for ${name} threw`, error);
+                }
+            });
+        }
+        
+        if (typeof BroadcastChannel !== 'undefined') {
+            broadcastChannel = new BroadcastChannel(`portal-extensions:${name}`);
+            broadcastChannel.onmessage = event => deliver(event.data);
+        } else {
+            storageListener = event => {
+                if (event.key === storageKey && event.newValue) {
+                    try {
+                        deliver(JSON.parse(event.newValue));
+                    } catch (e) {
+                        loaderLogger.warn(`Ignoring malformed cross-tab message on ${storageKey}`);
+                    }
+                }
+            };
+            window.addEventListener('storage', storageListener);
+        }
+        
+        return {
+            tabId: tabId,
+            
+            /**
+             * Send a message to the other tabs
+             * @param {string} type - Message type, e.g. 'readStatus'
+             * @param {*} [data] - JSON-serializable payload
+             */
+            post: function(type, data) {
+                const message = { tabId: tabId, type: type, data: data === undefined ? null : data };
+                if (broadcastChannel) {
+                    broadcastChannel.postMessage(message);
+                    return;
+                }
+                try {
+                    // The nonce makes repeated identical messages still change the value and fire storage events
+                    localStorage.setItem(storageKey, JSON.stringify(Object.assign({ nonce: Math.random() }, message)));
+                    localStorage.removeItem(storageKey);
+                } catch (e) {
+                    loaderLogger.warn(`Cross-tab message ${type} could not be sent: localStorage is unavailable`);
+                }
+            },
+            
+            /**
+             * Receive messages from other tabs
+             * @param {Function} handler - Called with (type, data, senderTabId)
+             * @returns {Function} Unsubscribe function
+             */
+            subscribe: function(handler) {
+                handlers.push(handler);
+                return function() {
+                    const index = handlers.indexOf(handler);
+                    if (index !== -1) {
+                        handlers.splice(index, 1);
+                    }
+                };
+            },
+            
+            /**
+             * Stop sending and receiving
+             */
+            close: function() {
+                handlers.length = 0;
+                if (broadcastChannel) {
+                    broadcastChannel.close();
+                }
+                if (storageListener) {
+                    window.removeEventListener('storage', storageListener);
+                }
+            }
+        };
+    }
+    
+    /**
+     * Elect one leader among the tabs that campaign under a name
+     * Leadership is held through a Web Lock, or a localStorage lease renewed every
+     * LEADER_HEARTBEAT_MS where Web Locks are unavailable. With visibleOnly the tab
+     * resigns while hidden and campaigns again when it becomes visible
+     * @param {string} name - Election name, normally the extension id
+     * @param {Function} onChange - Called with true when this tab becomes leader and false when it stops
+     * @param {Object} [options] - { visibleOnly: false }
+     * @returns {{isLeader: Function, campaign: Function, resign: Function, close: Function}}
+     */
+    function createLeaderElection(name, onChange, options) {
+        const visibleOnly = Boolean(options && options.visibleOnly);
+        const leaseKey = `${TAB_STORAGE_PREFIX}leader_${name}`;
+        const useLocks = Boolean(navigator.locks && navigator.locks.request);
+        let isLeader = false;
+        let wantsLeadership = false;
+        let campaigning = false;
+        let releaseLock = null;
+        let abortController = null;
+        let heartbeat = null;
+        
+        function setLeader(value) {
+            if (value !== isLeader) {
+                isLeader = value;
+                onChange(value);
+            }
+        }
+        
+        function readLease() {
+            try {
+                return JSON.parse(localStorage.getItem(leaseKey) || 'null');
+            } catch (e) {
+                return null;
+            }
+        }
+        
+        function renewLease() {
+            const lease = readLease();
+            if (lease && lease.tabId !== tabId && lease.expires > Date.now()) {
+                setLeader(false);
+                return;
+            }
+            try {
+                localStorage.setItem(leaseKey, JSON.stringify({ tabId: tabId, expires: Date.now() + LEADER_LEASE_MS }));
+            } catch (e) {
+                // Without storage there is nothing to coordinate with; act alone
+                setLeader(true);
+                return;
+            }
+            // Another tab may have written at the same time; the last write wins
+            setTimeout(() => {
+                const current = readLease();
+                setLeader(campaigning && Boolean(current) && current.tabId === tabId);
+            }, 50);
+        }
+        
+        function startCampaign() {
+            if (campaigning) {
+                return;
+            }
+            campaigning = true;
+            
+            if (useLocks) {
+                abortController = new AbortController();
+                navigator.locks.request(`portal-extensions:${name}`, { signal: abortController.signal }, () => {
+                    setLeader(true);
+                    return new Promise(resolve => { releaseLock = resolve; });
+                }).catch(() => {
+                    // AbortError: resigned while waiting for the lock
+                });
+            } else {
+                renewLease();
+                heartbeat = setInterval(renewLease, LEADER_HEARTBEAT_MS);
+            }
+        }
+        
+        function stopCampaign() {
+            if (!campaigning) {
+                return;
+            }
+            campaigning = false;
+            
+            if (useLocks) {
+                if (releaseLock) {
+                    releaseLock();
+                    releaseLock = null;
+                } else if (abortController) {
+                    abortController.abort();
+                }
+                abortController = null;
+            } else {
+                clearInterval(heartbeat);
+                heartbeat = null;
+                const lease = readLease();
+                if (lease && lease.tabId === tabId) {
+                    try {
+                        localStorage.removeItem(leaseKey);
+                    } catch (e) {
+                        // Storage unavailable; the lease expires on its own
+                    }
+                }
+            }
+            setLeader(false);
+        }
+        
+        function handleVisibilityChange() {
+            if (visibleOnly && document.hidden) {
+                stopCampaign();
+            } else if (wantsLeadership) {
+                startCampaign();
+            }
+        }
+        
+        if (visibleOnly) {
+            document.addEventListener('visibilitychange', handleVisibilityChange);
+        }
+        // Leave on pagehide; a page restored from the back/forward cache campaigns again
+        window.addEventListener('pagehide', stopCampaign);
+        window.addEventListener('pageshow', handleVisibilityChange);
+        
+        const election = {
+            /**
+             * Whether this tab is the leader
+             */
+            isLeader: function() {
+                return isLeader;
+            },
+            
+            /**
+             * Start competing for leadership
+             */
+            campaign: function() {
+                wantsLeadership = true;
+                if (!visibleOnly || !document.hidden) {
+                    startCampaign();
+                }
+            },
+            
+            /**
+             * Give up leadership (or stop waiting for it)
+             */
+            resign: function() {
+                wantsLeadership = false;
+                stopCampaign();
+            },
+            
+            /**
+             * Resign and remove all listeners
+             */
+            close: function() {
+                election.resign();
+                document.removeEventListener('visibilitychange', handleVisibilityChange);
+                window.removeEventListener('pagehide', stopCampaign);
+                window.removeEventListener('pageshow', handleVisibilityChange);
+            }
+        };
+        
+        return election;
     }
     
-    const isLocal = isLocalEnvironment();
-    const portalBaseUrl = window.location.origin;
+    // ========================================================================
+    // STORAGE
+    // Key-value stores in IndexedDB for data that must survive a reload and
+    // is shared by all tabs of the portal (drafts, queued requests)
+    // ========================================================================
+    
+    const STORE_DATABASE_PREFIX = 'portal-extensions:';
+    const STORE_OBJECT_STORE = 'records';
+    
+    /**
+     * Open a key-value store
+     * Values may be anything IndexedDB can clone, including Blobs and Files. Where IndexedDB
+     * is unavailable (some private browsing modes) the store is kept in memory instead, so
+     * it is neither shared with other tabs nor kept across reloads
+     * @param {string} name - Store name, normally prefixed with the extension id
+     * @returns {{get: Function, getAll: Function, set: Function, delete: Function, isPersistent: Function}}
+     */
+    function createStore(name) {
+        let databasePromise = null;
+        let memory = null;
+        
+        function useMemory(reason) {
+            loaderLogger.warn(`Store ${name} is kept in memory: ${reason}`);
+            memory = new Map();
+            return null;
+        }
+        
+        function openDatabase() {
+            if (!databasePromise) {
+                databasePromise = new Promise(resolve => {
+                    if (typeof indexedDB === 'undefined') {
+                        resolve(useMemory('IndexedDB is unavailable'));
+                        return;
+                    }
+                    const request = indexedDB.open(`${STORE_DATABASE_PREFIX}${name}`, 1);
+                    request.onupgradeneeded = () => request.result.createObjectStore(STORE_OBJECT_STORE);
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => resolve(useMemory(request.error ? request.error.message : 'the database could not be opened'));
+                });
+            }
+            return databasePromise;
+        }
+        
+        // Run one request in its own transaction, or the memory fallback when there is no database
+        function run(mode, operation, fallback) {
+            return openDatabase().then(database => {
+                if (!database) {
+                    return fallback(memory);
+                }
+                return new Promise((resolve, reject) => {
+                    const transaction = database.transaction(STORE_OBJECT_STORE, mode);
+                    const request = operation(transaction.objectStore(STORE_OBJECT_STORE));
+                    transaction.oncomplete = () => resolve(request.result);
+                    transaction.onerror = () => reject(transaction.error);
+                    transaction.onabort = () => reject(transaction.error);
+                });
+            });
+        }
+        
+        return {
+            /**
+             * Read a value
+             * @param {string} key
+             * @returns {Promise<*>} The value, or undefined
+             */
+            get: function(key) {
+                return run('readonly', store => store.get(key), map => map.get(key));
+            },
+            
+            /**
+             * Read every value
+             * @returns {Promise<Array>}
+             */
+            getAll: function() {
+                return run('readonly', store => store.getAll(), map => Array.from(map.values()));
+            },
+            
+            /**
+             * Write a value
+             * @param {string} key
+             * @param {*} value
+             */
+            set: function(key, value) {
+                return run('readwrite', store => store.put(value, key), map => { map.set(key, value); })
+                    .then(() => undefined);
+            },
+            
+            /**
+             * Remove a value
+             * @param {string} key
+             */
+            delete: function(key) {
+                return run('readwrite', store => store.delete(key), map => { map.delete(key); })
+                    .then(() => undefined);
+            },
+            
+            /**
+             * Whether values are kept in IndexedDB (false once the store fell back to memory)
+             * @returns {Promise<boolean>}
+             */
+            isPersistent: function() {
+                return openDatabase().then(database => Boolean(database));
+            }
+        };
+    }
+    
+    // ========================================================================
+    // WEB API
+    // Shared client for the Power Pages Web API (/_api). Adds the CSRF token,
+    // builds OData queries, asks for formatted values and turns Dataverse
+    // error bodies into WebApiError instances
+    // ========================================================================
+    
+    const DEFAULT_WEB_API_BASE_URL = '/_api';
+    const FORMATTED_VALUE_ANNOTATION = 'OData.Community.Display.V1.FormattedValue';
+    
+    // Page that returns a fresh anti-forgery token (the same one shell.getTokenDeferred uses)
+    const TOKEN_REFRESH_URL = '/_layout/tokenhtml';
+    
+    // Throttling and transient server errors; 0 is a network error
+    const RETRYABLE_STATUSES = [0, 429, 500, 502, 503, 504];
+    
+    // Dataverse "Cannot insert duplicate key" returned when a retried create already succeeded
+    const DUPLICATE_RECORD_CODE = '0x80040237';
+    
+    const DEFAULT_RETRY_POLICY = { maxRetries: 3, baseDelayMs: 500, maxDelayMs: 30000 };
+    
+    // Shared by every client so a refreshed token is reused
+    let tokenRequest = null;
     
-    // Configuration: List of all extensions to load
-    const extensions = [
-        {
-            name: 'Portal Inbox',
-            filename: 'portal-inbox-extension.js', // Just the filename, always at root on portal
-            enabled: true
+    /**
+     * Error thrown for failed Web API requests
+     * status is the HTTP status (0 for network errors) and code the Dataverse
+     * error code (e.g. '0x80040217') when the response body carries one
+     */
+    class WebApiError extends Error {
+        constructor(message, details) {
+            super(message);
+            this.name = 'WebApiError';
+            this.status = details.status;
+            this.code = details.code || null;
+            this.method = details.method;
+            this.url = details.url;
+            this.body = details.body || null;
+            this.retryAfterMs = details.retryAfterMs !== undefined ? details.retryAfterMs : null;
         }
-        // Add more extensions here as they are created
-        // {
-        //     name: 'Another Extension',
-        //     filename: 'another-extension.js',
-        //     enabled: true
-        // }
-    ];
+    }
     
     /**
-     * Get the full path for an extension
+     * Get the CSRF token for Web API requests
+     * The token is read once from the portal shell or the page meta tag and reused;
+     * forceRefresh fetches a new one (after a 401/403 from an expired token)
+     * @param {boolean} [forceRefresh] - Fetch a fresh token from the server
      */
-    function getExtensionPath(filename) {
-        if (isLocal) {
-            // Local development: use relative path to extension folder
-            const extensionFolder = filename.replace('.js', '');
-            return `${extensionFolder}/${filename}`;
-        } else {
-            // Portal environment: extension is at domain root
-            return `${portalBaseUrl}/${filename}`;
+    function getRequestVerificationToken(forceRefresh) {
+        if (forceRefresh || !tokenRequest) {
+            tokenRequest = forceRefresh ? fetchRequestVerificationToken() : readRequestVerificationToken();
+            tokenRequest.catch(() => { tokenRequest = null; });
         }
+        return tokenRequest;
     }
     
     /**
-     * Load a single extension script
+     * Read the CSRF token from the portal shell or the page meta tag
      */
-    function loadExtension(extension) {
+    function readRequestVerificationToken() {
         return new Promise((resolve, reject) => {
-            if (!extension.enabled) {
-                if (DEBUG) console.log(`Portal Extensions: Skipping disabled extension: ${extension.name}`);
-                resolve({ name: extension.name, status: 'skipped' });
+            if (typeof shell !== 'undefined' && shell.getTokenDeferred) {
+                shell.getTokenDeferred()
+                    .done(token => resolve(token))
+                    .fail(() => reject(new Error('Failed to get authentication token from shell.getTokenDeferred().')));
+            } else {
+                const tokenMeta = document.querySelector('meta[name="__RequestVerificationToken"]');
+                if (tokenMeta) {
+                    resolve(tokenMeta.getAttribute('content'));
+                } else {
+                    reject(new Error('Authentication token not available. The page must provide shell.getTokenDeferred() or a __RequestVerificationToken meta tag.'));
+                }
+            }
+        });
+    }
+    
+    /**
+     * Fetch a fresh CSRF token from the portal and update the page meta tag with it
+     */
+    function fetchRequestVerificationToken() {
+        return fetch(`${TOKEN_REFRESH_URL}?_=${Date.now()}`, { credentials: 'same-origin' })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Token refresh failed with HTTP ${response.status} for ${TOKEN_REFRESH_URL}`);
+                }
+                return response.text();
+            })
+            .then(html => {
+                const match = html.match(/value="([^"]+)"/);
+                if (!match) {
+                    throw new Error(`Token refresh failed: ${TOKEN_REFRESH_URL} did not contain a __RequestVerificationToken input.`);
+                }
+                const tokenMeta = document.querySelector('meta[name="__RequestVerificationToken"]');
+                if (tokenMeta) {
+                    tokenMeta.setAttribute('content', match[1]);
+                }
+                return match[1];
+            });
+    }
+    
+    /**
+     * Read a Retry-After header (seconds or HTTP date) as milliseconds
+     */
+    function parseRetryAfter(value) {
+        if (!value) {
+            return null;
+        }
+        const seconds = Number(value);
+        if (!isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+    
+    /**
+     * Delay before the next attempt: Retry-After when the server sent one, otherwise
+     * exponential backoff with jitter (between half and all of baseDelayMs * 2^retryNumber)
+     * Returns null when Retry-After asks for longer than maxDelayMs
+     */
+    function getRetryDelay(error, retryNumber, policy) {
+        if (error.retryAfterMs !== null) {
+            return error.retryAfterMs <= policy.maxDelayMs ? error.retryAfterMs : null;
+        }
+        const backoff = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, retryNumber));
+        return Math.round(backoff / 2 + Math.random() * backoff / 2);
+    }
+    
+    /**
+     * Create a random GUID for client-assigned record ids
+     */
+    function createGuid() {
+        if (window.crypto && window.crypto.randomUUID) {
+            return window.crypto.randomUUID();
+        }
+        const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        return `${hex.substring(0, 8)}-${hex.substring(8, 12)}-${hex.substring(12, 16)}-${hex.substring(16, 20)}-${hex.substring(20)}`;
+    }
+    
+    /**
+     * Build an OData query string
+     * @param {Object} [query] - { select, filter, orderBy, expand, top, count, apply }; select/orderBy/expand accept strings or arrays
+     * @returns {string} Query string without the leading '?'
+     */
+    function buildODataQuery(query) {
+        const options = { select: '$select', filter: '$filter', orderBy: '$orderby', expand: '$expand', top: '$top', count: '$count', apply: '$apply' };
+        const params = new URLSearchParams();
+        
+        Object.keys(query || {}).forEach(key => {
+            const value = query[key];
+            if (value === undefined || value === null || value === '') {
                 return;
             }
+            if (!options[key]) {
+                throw new Error(`Unknown OData query option "${key}". Valid options are: ${Object.keys(options).join(', ')}.`);
+            }
+            params.append(options[key], Array.isArray(value) ? value.join(',') : String(value));
+        });
+        
+        return params.toString();
+    }
+    
+    /**
+     * Read the Dataverse error (code and message) from a failed response
+     */
+    function parseWebApiError(response, method, url) {
+        return response.text()
+            .catch(() => '')
+            .then(text => {
+                let body = text;
+                let code = null;
+                let message = null;
+                try {
+                    body = JSON.parse(text);
+                    const error = body.error || {};
+                    code = error.code || null;
+                    message = error.message || null;
+                } catch (e) {
+                    // Non-JSON error page; keep the raw text as the body
+                }
+                return new WebApiError(`${method} ${url} failed with HTTP ${response.status}${code ? ` (${code})` : ''}: ${message || response.statusText || 'no error details'}`, {
+                    status: response.status,
+                    code: code,
+                    method: method,
+                    url: url,
+                    body: body,
+                    retryAfterMs: parseRetryAfter(response.headers && response.headers.get('Retry-After'))
+                });
+            });
+    }
+    
+    /**
+     * Get the Prefer header value for a page size, if any
+     */
+    function getPagePreference(options) {
+        return options && options.pageSize ? [`odata.maxpagesize=${options.pageSize}`] : [];
+    }
+    
+    /**
+     * Convert an OData collection response to { records, nextLink, count }
+     */
+    function toPage(data) {
+        return {
+            records: data.value || [],
+            nextLink: data['@odata.nextLink'] || null,
+            count: data['@odata.count'] !== undefined ? data['@odata.count'] : null
+        };
+    }
+    
+    /**
+     * Create a Web API client whose calls are recorded for diagnostics under an extension id
+     * Failed calls are retried according to the retry policy; POSTs are only retried when
+     * they are idempotent (see create with a primaryKey)
+     * @param {string} id - The extension id
+     * @param {Object} [options] - { baseUrl: '/_api', retry: { maxRetries: 3, baseDelayMs: 500, maxDelayMs: 30000 } }
+     */
+    function createWebApiClient(id, options) {
+        const baseUrl = ((options && options.baseUrl) || DEFAULT_WEB_API_BASE_URL).replace(/\/$/, '');
+        const retryPolicy = Object.assign({}, DEFAULT_RETRY_POLICY, options && options.retry);
+        const logger = createLogger(id);
+        
+        /**
+         * Send a request and return the parsed JSON body (null when there is none)
+         * @param {string} method - HTTP method
+         * @param {string} path - Path relative to baseUrl, e.g. 'contacts(<id>)', or an absolute URL such as an @odata.nextLink
+         * @param {Object} [requestOptions] - { query, body, headers, annotations, prefer, returnResponse, idempotent }
+         */
+        function request(method, path, requestOptions) {
+            const opts = requestOptions || {};
+            const queryString = buildODataQuery(opts.query);
+            const resource = /^https?:\/\//.test(path) ? path : `${baseUrl}/${path.replace(/^\//, '')}`;
+            const url = `${resource}${queryString ? `?${queryString}` : ''}`;
+            const canRetry = method !== 'POST' || opts.idempotent === true;
+            let tokenRefreshed = false;
+            
+            const prefer = [].concat(opts.prefer || []);
+            if (opts.annotations) {
+                prefer.push(`odata.include-annotations="${opts.annotations}"`);
+            }
             
-            const path = getExtensionPath(extension.filename);
-            const script = document.createElement('script');
-            script.src = path;
-            script.async = false; // Load in order
+            function attempt(retryNumber, refreshToken) {
+                return send(refreshToken).catch(error => {
+                    if (!(error instanceof WebApiError)) {
+                        throw error;
+                    }
+                    
+                    // An expired token is rejected before the request runs, so even a POST can be repeated once
+                    if ((error.status === 401 || error.status === 403) && !tokenRefreshed) {
+                        tokenRefreshed = true;
+                        logger.warn(`${method} ${url} returned HTTP ${error.status}; refreshing the token and retrying`);
+                        return attempt(retryNumber, true);
+                    }
+                    
+                    if (!canRetry || retryNumber >= retryPolicy.maxRetries || !RETRYABLE_STATUSES.includes(error.status)) {
+                        throw error;
+                    }
+                    const waitMs = getRetryDelay(error, retryNumber, retryPolicy);
+                    if (waitMs === null) {
+                        throw error;
+                    }
+                    
+                    logger.warn(`${method} ${url} failed with HTTP ${error.status}; retry ${retryNumber + 1} of ${retryPolicy.maxRetries} in ${waitMs} ms`);
+                    telemetry.trackEvent(id, 'webApiRetry', { method: method, status: error.status, retry: retryNumber + 1 });
+                    return new Promise(resolve => setTimeout(resolve, waitMs)).then(() => attempt(retryNumber + 1, false));
+                });
+            }
             
-            script.onload = () => {
-                if (DEBUG) console.log(`Portal Extensions: Loaded ${extension.name} from ${path}`);
-                resolve({ name: extension.name, status: 'loaded' });
-            };
+            function send(refreshToken) {
+                const started = Date.now();
+                
+                return getRequestVerificationToken(refreshToken)
+                    .then(token => {
+                        const headers = Object.assign({
+                            __RequestVerificationToken: token,
+                            Accept: 'application/json',
+                            'OData-MaxVersion': '4.0',
+                            'OData-Version': '4.0'
+                        }, opts.body !== undefined ? { 'Content-Type': 'application/json' } : {}, prefer.length ? { Prefer: prefer.join(',') } : {}, opts.headers);
+                        
+                        return fetch(url, {
+                            method: method,
+                            headers: headers,
+                            body: opts.body !== undefined ? JSON.stringify(opts.body) : undefined
+                        }).catch(error => {
+                            recordApiCall({ id: id, method: method, url: url, status: 'network error', durationMs: Date.now() - started, error: error.message });
+                            throw new WebApiError(`${method} ${url} failed: ${error.message}`, { status: 0, method: method, url: url });
+                        });
+                    })
+                    .then(response => {
+                        recordApiCall({ id: id, method: method, url: url, status: response.status, durationMs: Date.now() - started });
+                        
+                        if (!response.ok) {
+                            return parseWebApiError(response, method, url).then(error => { throw error; });
+                        }
+                        return response;
+                    });
+            }
             
-            script.onerror = () => {
-                if (DEBUG) console.error(`Portal Extensions: Failed to load ${extension.name} from ${path}`);
-                reject({ name: extension.name, status: 'error', path: path });
-            };
+            return attempt(0, false).then(response => {
+                if (opts.returnResponse) {
+                    return response;
+                }
+                return response.text().then(text => (text ? JSON.parse(text) : null));
+            });
+        }
+        
+        return {
+            baseUrl: baseUrl,
+            request: request,
             
-            document.head.appendChild(script);
+            /**
+             * Retrieve a single record
+             * @param {string} entitySetName - e.g. 'adx_portalcomments'
+             * @param {string} recordId - The record GUID
+             * @param {Object} [query] - OData query options (select, expand)
+             */
+            get: function(entitySetName, recordId, query) {
+                return request('GET', `${entitySetName}(${recordId})`, { query: query, annotations: FORMATTED_VALUE_ANNOTATION });
+            },
+            
+            /**
+             * Retrieve a collection, or its first page when pageSize is set
+             * @param {string} entitySetName - e.g. 'adx_portalcomments'
+             * @param {Object} [query] - OData query options (select, filter, orderBy, expand, top, count)
+             * @param {Object} [options] - { pageSize } sent as Prefer: odata.maxpagesize
+             * @returns {Promise<{records: Array, nextLink: ?string, count: ?number}>}
+             */
+            list: function(entitySetName, query, options) {
+                return request('GET', entitySetName, { query: query, annotations: FORMATTED_VALUE_ANNOTATION, prefer: getPagePreference(options) })
+                    .then(toPage);
+            },
+            
+            /**
+             * Retrieve the page an earlier list() or listNext() call pointed to
+             * @param {string} nextLink - The nextLink of the previous page
+             * @param {Object} [options] - { pageSize }, normally the same as for the first page
+             * @returns {Promise<{records: Array, nextLink: ?string, count: ?number}>}
+             */
+            listNext: function(nextLink, options) {
+                return request('GET', nextLink, { annotations: FORMATTED_VALUE_ANNOTATION, prefer: getPagePreference(options) })
+                    .then(toPage);
+            },
+            
+            /**
+             * Create a record
+             * With a primaryKey the record gets a client-assigned GUID (unless it already has one), which makes
+             * the POST safe to retry: a duplicate key error means an earlier attempt already created it
+             * @param {string} entitySetName - e.g. 'adx_portalcomments'
+             * @param {Object} record - Column values and @odata.bind references
+             * @param {Object} [createOptions] - { primaryKey: 'activityid' }
+             * @returns {Promise<?string>} The GUID of the new record
+             */
+            create: function(entitySetName, record, createOptions) {
+                const primaryKey = createOptions && createOptions.primaryKey;
+                const body = Object.assign({}, record);
+                if (primaryKey && !body[primaryKey]) {
+                    body[primaryKey] = createGuid();
+                }
+                
+                return request('POST', entitySetName, { body: body, returnResponse: true, idempotent: Boolean(primaryKey) })
+                    .then(response => {
+                        const entityId = response.headers.get('OData-EntityId') || '';
+                        const match = entityId.match(/\(([^)]+)\)$/);
+                        return match ? match[1] : body[primaryKey] || null;
+                    })
+                    .catch(error => {
+                        if (primaryKey && error.code === DUPLICATE_RECORD_CODE) {
+                            logger.log(`${entitySetName}(${body[primaryKey]}) already exists; an earlier attempt created it`);
+                            return body[primaryKey];
+                        }
+                        throw error;
+                    });
+            },
+            
+            /**
+             * Update columns of an existing record
+             * @param {string} entitySetName - e.g. 'adx_portalcomments'
+             * @param {string} recordId - The record GUID
+             * @param {Object} changes - Column values to write
+             */
+            update: function(entitySetName, recordId, changes) {
+                return request('PATCH', `${entitySetName}(${recordId})`, { body: changes, headers: { 'If-Match': '*' } })
+                    .then(() => undefined);
+            },
+            
+            /**
+             * Delete a record
+             * @param {string} entitySetName - e.g. 'adx_portalcomments'
+             * @param {string} recordId - The record GUID
+             */
+            delete: function(entitySetName, recordId) {
+                return request('DELETE', `${entitySetName}(${recordId})`).then(() => undefined);
+            }
+        };
+    }
+    
+    // ========================================================================
+    // DIAGNOSTICS
+    // Overlay toggled with Ctrl+Alt+Shift+D listing loader results, extension
+    // states, recent API calls, errors and log entries
+    // ========================================================================
+    
+    const DIAGNOSTICS_OVERLAY_ID = 'portal-extensions-diagnostics';
+    const DIAGNOSTICS_STYLES_ID = 'portal-extensions-diagnostics-styles';
+    
+    // Overlay colors; override any of them in the diagnostics.colors block of the registry
+    const DEFAULT_DIAGNOSTICS_COLORS = {
+        background: '#ffffff',
+        text: '#1b1b1b',
+        border: '#8a8886',
+        shadow: 'rgba(0, 0, 0, 0.35)',
+        sectionBackground: '#f4f4f4',
+        sectionText: '#1b1b1b'
+    };
+    
+    let diagnosticsColors = DEFAULT_DIAGNOSTICS_COLORS;
+    
+    /**
+     * Build a support report of the current page state
+     */
+    function getDiagnosticsReport() {
+        return {
+            generated: new Date().toISOString(),
+            url: window.location.href,
+            userAgent: navigator.userAgent,
+            environment: currentEnvironment ? currentEnvironment.name : null,
+            loader: lastLoadSummary,
+            states: Object.keys(extensionStates).map(id => extensionStates[id]),
+            apiCalls: apiCallBuffer.slice(),
+            errors: logBuffer.filter(entry => entry.level === 'error'),
+            log: logBuffer.slice()
+        };
+    }
+    
+    /**
+     * Copy text to the clipboard, falling back to a hidden textarea
+     */
+    function copyToClipboard(text) {
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            return navigator.clipboard.writeText(text);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const textarea = document.createElement('textarea');
+            textarea.value = text;
+            textarea.style.position = 'fixed';
+            textarea.style.opacity = '0';
+            document.body.appendChild(textarea);
+            textarea.select();
+            const copied = document.execCommand('copy');
+            textarea.remove();
+            copied ? resolve() : reject(new Error('Copy command was rejected by the browser'));
         });
     }
     
     /**
-     * Load all extensions
+     * Create a diagnostics section with a title and one line per row
      */
-    function loadAllExtensions() {
-        if (DEBUG) console.log('Portal Extensions: Starting to load extensions...');
-        if (DEBUG) console.log(`Portal Extensions: Environment = ${isLocal ? 'Local' : 'Portal (' + portalBaseUrl + ')'}`);
+    function createDiagnosticsSection(title, rows) {
+        const section = document.createElement('section');
+        section.className = 'portal-diagnostics-section';
         
-        // Load extensions sequentially to maintain order
-        const loadPromises = extensions.map(ext => loadExtension(ext));
+        const heading = document.createElement('h2');
+        heading.textContent = `${title} (${rows.length})`;
+        section.appendChild(heading);
         
-        Promise.allSettled(loadPromises)
-            .then(results => {
-                const loaded = results.filter(r => r.status === 'fulfilled' && r.value.status === 'loaded');
-                const failed = results.filter(r => r.status === 'rejected');
-                const skipped = results.filter(r => r.status === 'fulfilled' && r.value.status === 'skipped');
-                
-                if (DEBUG) {
-                    console.log(`Portal Extensions: Loading complete!`);
-                    console.log(`  - Loaded: ${loaded.length}`);
-                    console.log(`  - Failed: ${failed.length}`);
-                    console.log(`  - Skipped: ${skipped.length}`);
-                }
-                
-                // Dispatch custom event when all extensions are loaded
-                const event = new CustomEvent('portalExtensionsLoaded', {
-                    detail: {
-                        total: extensions.length,
-                        loaded: loaded.length,
-                        failed: failed.length,
-                        skipped: skipped.length,
-                        results: results
-                    }
-                });
-                document.dispatchEvent(event);
-            });
+        const list = document.createElement('pre');
+        list.textContent = rows.length > 0 ? rows.join('\n') : '(none)';
+        section.appendChild(list);
+        
+        return section;
+    }
+    
+    /**
+     * Inject (or refresh) the overlay stylesheet built from the configured colors
+     */
+    function injectDiagnosticsStyles() {
+        const colors = diagnosticsColors;
+        let style = document.getElementById(DIAGNOSTICS_STYLES_ID);
+        if (!style) {
+            style = document.createElement('style');
+            style.id = DIAGNOSTICS_STYLES_ID;
+            document.head.appendChild(style);
+        }
+        
+        style.textContent = `
+            #${DIAGNOSTICS_OVERLAY_ID} {
+                position: fixed; top: 5%; left: 5%; right: 5%; bottom: 5%; z-index: 2147483647; overflow: auto; padding: 16px;
+                background: ${colors.background}; color: ${colors.text}; border: 1px solid ${colors.border};
+                box-shadow: 0 8px 32px ${colors.shadow}; font-family: Consolas, monospace;
+            }
+            #${DIAGNOSTICS_OVERLAY_ID} .portal-diagnostics-toolbar { display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px; }
+            #${DIAGNOSTICS_OVERLAY_ID} .portal-diagnostics-toolbar button + button { margin-left: 8px; }
+            #${DIAGNOSTICS_OVERLAY_ID} h1 { font-size: 16px; font-weight: 700; margin: 0; }
+            #${DIAGNOSTICS_OVERLAY_ID} h2 { font-size: 14px; font-weight: 700; margin: 0 0 6px; }
+            #${DIAGNOSTICS_OVERLAY_ID} .portal-diagnostics-section { margin-bottom: 16px; }
+            #${DIAGNOSTICS_OVERLAY_ID} pre {
+                margin: 0; padding: 8px; background: ${colors.sectionBackground}; color: ${colors.sectionText};
+                font-size: 12px; white-space: pre-wrap; word-break: break-word; max-height: 200px; overflow: auto;
+            }
+        `;
+    }
+    
+    /**
+     * Close the overlay on Escape; only attached while the overlay is open
+     */
+    function handleDiagnosticsEscape(event) {
+        if (event.key === 'Escape') {
+            hideDiagnostics();
+        }
+    }
+    
+    /**
+     * Show the diagnostics overlay
+     */
+    function showDiagnostics() {
+        hideDiagnostics();
+        injectDiagnosticsStyles();
+        
+        const report = getDiagnosticsReport();
+        const overlay = document.createElement('div');
+        overlay.id = DIAGNOSTICS_OVERLAY_ID;
+        overlay.setAttribute('role', 'dialog');
+        overlay.setAttribute('aria-label', 'Portal Extensions diagnostics');
+        
+        const toolbar = document.createElement('div');
+        toolbar.className = 'portal-diagnostics-toolbar';
+        
+        const title = document.createElement('h1');
+        title.textContent = 'Portal Extensions Diagnostics';
+        toolbar.appendChild(title);
+        
+        const buttons = document.createElement('div');
+        const copyButton = document.createElement('button');
+        copyButton.type = 'button';
+        copyButton.textContent = 'Copy report';
+        copyButton.addEventListener('click', () => {
+            copyToClipboard(JSON.stringify(getDiagnosticsReport(), null, 2))
+                .then(() => { copyButton.textContent = 'Copied'; })
+                .catch(() => { copyButton.textContent = 'Copy failed'; });
+        });
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.textContent = 'Close';
+        closeButton.addEventListener('click', hideDiagnostics);
+        buttons.appendChild(copyButton);
+        buttons.appendChild(closeButton);
+        toolbar.appendChild(buttons);
+        overlay.appendChild(toolbar);
+        
+        const loaderRows = report.loader
+            ? [`Loaded: ${report.loader.loaded}, Failed: ${report.loader.failed}, Skipped: ${report.loader.skipped} (${report.loader.timestamp})`]
+                .concat(report.loader.results.map(r => `${r.id} ${r.version}: ${r.status}${r.reason ? ` - ${r.reason}` : ''}${r.error ? ` - ${r.error}` : ''}${r.path ? ` - ${r.path}` : ''}`))
+            : [];
+        
+        overlay.appendChild(createDiagnosticsSection('Loader', loaderRows));
+        overlay.appendChild(createDiagnosticsSection('Extension states', report.states.map(s => `${s.id} ${s.version || ''}: ${s.state} (${s.timestamp})${s.error ? ` - ${s.error}` : ''}${s.reason ? ` - ${s.reason}` : ''}`)));
+        overlay.appendChild(createDiagnosticsSection('Recent API calls', report.apiCalls.slice().reverse().map(c => `${c.timestamp} [${c.id}] ${c.method} ${c.url} -> ${c.status}${c.durationMs !== undefined ? ` (${c.durationMs} ms)` : ''}${c.error ? ` - ${c.error}` : ''}`)));
+        overlay.appendChild(createDiagnosticsSection('Errors', report.errors.slice().reverse().map(e => `${e.timestamp} [${e.id}] ${e.message} ${e.args.length ? JSON.stringify(e.args) : ''}`)));
+        overlay.appendChild(createDiagnosticsSection('Log', report.log.slice().reverse().map(e => `${e.timestamp} ${e.level.toUpperCase()} [${e.id}] ${e.message}`)));
+        
+        document.body.appendChild(overlay);
+        document.addEventListener('keydown', handleDiagnosticsEscape);
+        closeButton.focus();
+    }
+    
+    /**
+     * Hide the diagnostics overlay
+     */
+    function hideDiagnostics() {
+        const overlay = document.getElementById(DIAGNOSTICS_OVERLAY_ID);
+        if (overlay) {
+            overlay.remove();
+        }
+        document.removeEventListener('keydown', handleDiagnosticsEscape);
     }
     
+    // Keyboard shortcut: Ctrl+Alt+Shift+D toggles the overlay (Escape is handled while it is open)
+    document.addEventListener('keydown', event => {
+        if (event.ctrlKey && event.altKey && event.shiftKey && (event.key === 'D' || event.key === 'd' || event.code === 'KeyD')) {
+            event.preventDefault();
+            document.getElementById(DIAGNOSTICS_OVERLAY_ID) ? hideDiagnostics() : showDiagnostics();
+        }
+    });
+    
     // Auto-load extensions when DOM is ready
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', loadAllExtensions);
@@ -131,40 +2058,159 @@
     window.PortalExtensions = {
         reload: loadAllExtensions,
         extensions: extensions,
-        debug: DEBUG,
+        
+        /**
+         * Whether debug output is on for any extension
+         */
+        get debug() {
+            return Object.keys(logLevels).some(id => logLevels[id] !== 'off');
+        },
+        states: LIFECYCLE_STATES,
+        telemetry: telemetry,
+        environment: environment,
+        createTabChannel: createTabChannel,
+        createLeaderElection: createLeaderElection,
+        createStore: createStore,
+        createWebApiClient: createWebApiClient,
+        buildODataQuery: buildODataQuery,
+        getRequestVerificationToken: getRequestVerificationToken,
+        createGuid: createGuid,
+        matchesHostPattern: matchesHostPattern,
+        WebApiError: WebApiError,
+        
+        /**
+         * Get the current lifecycle state of an extension
+         * @param {string} id - The extension id from its manifest
+         * @returns {Object|null} State detail ({ id, name, version, state, timestamp, ... }) or null
+         */
+        getState: function(id) {
+            return extensionStates[id] || null;
+        },
+        
+        /**
+         * Report a lifecycle change from extension code ('initialized', 'failed' or 'disposed')
+         * @param {string} id - The extension id from its manifest
+         * @param {string} state - The new lifecycle state
+         * @param {Object} [detail] - Additional event detail (e.g. { error: message })
+         */
+        setState: function(id, state, detail) {
+            setExtensionState(id, state, detail);
+        },
+        
+        /**
+         * Subscribe to lifecycle changes; late subscribers receive the current state immediately
+         * @param {string} id - The extension id, or '*' for every extension
+         * @param {Function} handler - Called with the state detail on every change
+         * @returns {Function} Unsubscribe function
+         */
+        onStateChange: onStateChange,
+        
+        /**
+         * Wait for an extension to be initialized
+         * @param {string} id - The extension id from its manifest
+         * @returns {Promise<Object>} Resolves with the state detail; rejects if the extension fails, is skipped or disposed
+         */
+        whenReady: whenReady,
+        
+        /**
+         * Turn debug output on or off at runtime
+         * @param {boolean|string} value - true/false, a level ('error', 'warn', 'log') or
+         *   per-extension levels such as 'portal-inbox-extension:log,*:warn'
+         * @param {boolean} [persist] - Keep the setting in localStorage across page loads
+         */
+        setDebug: function(value, persist) {
+            applyDebugSetting(value);
+            if (persist) {
+                try {
+                    if (!this.debug) {
+                        window.localStorage.removeItem(DEBUG_STORAGE_KEY);
+                    } else {
+                        window.localStorage.setItem(DEBUG_STORAGE_KEY, String(value));
+                    }
+                } catch (e) {
+                    loaderLogger.warn('Debug setting could not be persisted to localStorage', e);
+                }
+            }
+        },
+        
+        /**
+         * Set the log level of a single extension
+         * @param {string} id - The extension id, or '*' for extensions without their own level
+         * @param {string} level - 'off', 'error', 'warn' or 'log'
+         */
+        setLogLevel: function(id, level) {
+            if (!LOG_LEVELS.includes(level)) {
+                throw new Error(`Unknown log level "${level}". Valid levels are: ${LOG_LEVELS.join(', ')}.`);
+            }
+            logLevels[id] = level;
+        },
+        
+        /**
+         * Get the effective log level of an extension
+         * @param {string} id - The extension id
+         * @returns {string} 'off', 'error', 'warn' or 'log'
+         */
+        getLogLevel: function(id) {
+            return logLevels[id] || logLevels['*'];
+        },
+        
+        /**
+         * Create a logger for an extension; every line is prefixed with the extension id
+         * @param {string} id - The extension id from its manifest
+         * @returns {{log: Function, warn: Function, error: Function, isEnabled: Function}}
+         */
+        getLogger: createLogger,
+        
+        /**
+         * Get buffered log entries (kept even when console output is off)
+         * @param {Object} [filter] - Optional { id, level } filter
+         * @returns {Array<{timestamp: string, id: string, level: string, message: string, args: Array}>}
+         */
+        getLogEntries: function(filter) {
+            const criteria = filter || {};
+            return logBuffer.filter(entry =>
+                (!criteria.id || entry.id === criteria.id) && (!criteria.level || entry.level === criteria.level)
+            );
+        },
+        
+        /**
+         * Record a Web API call for the diagnostics overlay
+         * @param {Object} call - { id, method, url, status, durationMs, error }
+         */
+        recordApiCall: recordApiCall,
+        
+        /**
+         * Build a JSON-serializable diagnostics report for support tickets
+         * @returns {Object} Loader results, extension states, API calls, errors and log entries
+         */
+        getDiagnosticsReport: getDiagnosticsReport,
+        
+        /**
+         * Show or hide the diagnostics overlay (also toggled with Ctrl+Alt+Shift+D)
+         */
+        showDiagnostics: showDiagnostics,
+        hideDiagnostics: hideDiagnostics,
         
         /**
          * Global logging function for all portal extensions
          * @param {string} message - The message to log
          * @param {...any} args - Additional arguments to log
          */
-        log: function(message, ...args) {
-            if (DEBUG) {
-                console.log(`[Portal Extensions] ${message}`, ...args);
-            }
-        },
+        log: loaderLogger.log,
         
         /**
          * Global warning function for all portal extensions
          * @param {string} message - The warning message to log
          * @param {...any} args - Additional arguments to log
          */
-        warn: function(message, ...args) {
-            if (DEBUG) {
-                console.warn(`[Portal Extensions] ${message}`, ...args);
-            }
-        },
+        warn: loaderLogger.warn,
         
         /**
          * Global error function for all portal extensions
          * @param {string} message - The error message to log
          * @param {...any} args - Additional arguments to log
          */
-        error: function(message, ...args) {
-            if (DEBUG) {
-                console.error(`[Portal Extensions] ${message}`, ...args);
-            }
-        }
+        error: loaderLogger.error
     };
     
 })();
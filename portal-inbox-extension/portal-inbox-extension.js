@@ -16,6 +16,45 @@
 (function () {
   "use strict";
 
+  // Extension id from manifest.json, used for lifecycle state reporting and log prefixes
+  const EXTENSION_ID = "portal-inbox-extension";
+
+  // Logger whose output follows the PortalExtensions debug settings for this extension
+  const Log = window.PortalExtensions.getLogger(EXTENSION_ID);
+
+  // Elements the HTML sanitizer removes with everything inside them, whatever htmlSanitizer allows
+  const SANITIZER_DROPPED_TAGS = [
+    "script",
+    "style",
+    "template",
+    "noscript",
+    "iframe",
+    "frame",
+    "frameset",
+    "object",
+    "embed",
+    "applet",
+    "svg",
+    "math",
+    "head",
+    "title",
+    "link",
+    "meta",
+    "base",
+    "textarea",
+    "select",
+    "xmp",
+    "plaintext",
+    "noembed",
+    "noframes",
+  ];
+
+  // Attributes holding a URL, which the sanitizer checks against htmlSanitizer.allowedSchemes
+  const SANITIZER_URL_ATTRIBUTES = ["href", "src", "cite"];
+
+  // Languages written right to left; the inbox sets dir="rtl" on everything it renders for them
+  const RTL_LANGUAGES = ["ar", "ckb", "dv", "fa", "he", "ps", "sd", "ug", "ur", "yi"];
+
   // ============================================================================
   // DATA NAMESPACE
   // Handles all data operations, API calls, and state management
@@ -25,19 +64,90 @@
       messages: [],
       unreadCount: 0,
       showArchived: false,
-      replyMode: false,
-      currentMessage: null,
+      // Message shown, whether its reply box is open and the files picked for the reply,
+      // in the modal and in the full-page reading pane
+      views: {
+        modal: { message: null, replyMode: false, files: [] },
+        page: { message: null, replyMode: false, files: [] },
+      },
+      // Client-assigned activityid per message while a reply to it is unsent, so sending again
+      // after a failure can never create a second comment
+      pendingReplyIds: {},
+      // Client-assigned activityid of the new message being composed, for the same reason
+      pendingMessageId: null,
+      // Replies that failed to send, by activityid, as kept in the outbox store (see queueReply)
+      queuedReplies: {},
+      // Regarding records the contact can start a conversation about, loaded when the compose form opens
+      regardingRecords: { loaded: false, records: [], request: null },
       isLoading: false,
       isLoaded: false,
+      // Server-side paging per view; nextLink is null once the last page is loaded
+      pages: {
+        inbox: { loaded: false, loading: false, nextLink: null },
+        archived: { loaded: false, loading: false, nextLink: null },
+      },
+      // Unread total of the inbox from the $count query (null when unavailable)
+      unreadTotal: null,
+      // Comments in both directions per regarding record, loaded when one of its threads is opened
+      conversations: {},
+      // Attachments per message id (notes and file columns), loaded with the conversation
+      attachments: {},
+      // Notes (annotations) of the local data source
+      localAnnotations: [],
+      // Search box and facet filters of the full-page inbox (see matchesSearch)
+      search: {
+        text: "",
+        dateFrom: null, // "YYYY-MM-DD", inclusive
+        dateTo: null, // "YYYY-MM-DD", inclusive
+        regardingObjectId: null,
+        senderId: null,
+        // Filter of the last server-side search, so the same search is not sent twice
+        serverFilter: null,
+        isSearchingServer: false,
+        request: 0,
+      },
+    },
+
+    // Background polling for new messages (see startPolling)
+    polling: {
+      timer: null,
+      intervalMs: null,
+      isPolling: false,
+      visibilityHandler: null,
+    },
+
+    // Replies that failed to send wait in the outbox until they are retried. Only the tab
+    // elected by Sync sends them, and they keep their activityid, so no reply is sent twice
+    outbox: {
+      store: null,
+      isLeader: false,
+      isFlushing: false,
+      // Set when the outbox changes during a flush, so it is flushed again afterwards
+      flushRequested: false,
+      onlineHandler: null,
     },
 
+    // Unsent reply text per message id, kept across reloads (see saveDraft)
+    draftStore: null,
+
     config: null,
 
+    // PortalExtensions Web API client, created when a portal data source is configured
+    api: null,
+
     /**
      * Initialize data namespace with configuration
      */
     init: function (config) {
       this.config = config;
+      this.api = config.portalDataSource
+        ? window.PortalExtensions.createWebApiClient(EXTENSION_ID, {
+            baseUrl: config.portalDataSource.baseUrl,
+            retry: config.portalDataSource.retry,
+          })
+        : null;
+      this.draftStore = window.PortalExtensions.createStore(`${EXTENSION_ID}-drafts`);
+      this.outbox.store = window.PortalExtensions.createStore(`${EXTENSION_ID}-outbox`);
     },
 
     /**
@@ -57,26 +167,24 @@
       const defaultConfig = this.config.portalDataSource?.regardingObject || {};
       const prefix = this.config.publisher?.prefix || "msfed";
 
+      const entityName = defaultConfig.entityName || `${prefix}_application`;
+
       return {
-        entityName: defaultConfig.entityName || `${prefix}_application`,
+        entityName: entityName,
         entitySetName: defaultConfig.entitySetName || `${prefix}_applications`,
         navigationProperty: defaultConfig.navigationProperty || `regardingobjectid_${prefix}_application`,
+        primaryIdField: defaultConfig.primaryIdField || `${entityName}id`,
+        primaryNameField: defaultConfig.primaryNameField || `${prefix}_name`,
+        filter: defaultConfig.filter || null,
       };
     },
 
     /**
-     * Detect if running in local environment
+     * Detect if messages come from the local data source, as decided by the
+     * loader's environment profile (see PortalExtensions.environment)
      */
     isLocalEnvironment: function () {
-      const hostname = window.location.hostname;
-      return (
-        hostname === "localhost" ||
-        hostname === "127.0.0.1" ||
-        hostname.startsWith("192.168.") ||
-        hostname.startsWith("10.") ||
-        hostname.endsWith(".local") ||
-        window.location.protocol === "file:"
-      );
+      return window.PortalExtensions.environment.forExtension(EXTENSION_ID).dataSource === "local";
     },
 
     /**
@@ -85,20 +193,21 @@
     loadMessages: function () {
       this.state.isLoading = true;
       this.state.isLoaded = false;
+      this.resetPages();
 
       const isLocal = this.isLocalEnvironment();
 
       if (isLocal && this.config.localDataSource) {
-        window.PortalExtensions.log("Portal Inbox Extension: Using local data source");
+        Log.log("Portal Inbox Extension: Using local data source");
         this.loadMessagesFromLocal();
       } else if (!isLocal && this.config.portalDataSource) {
-        window.PortalExtensions.log("Portal Inbox Extension: Using portal Web API data source");
+        Log.log("Portal Inbox Extension: Using portal Web API data source");
         this.loadMessagesFromPortal();
       } else if (this.config.localDataSource) {
-        window.PortalExtensions.warn("Portal Inbox Extension: Portal data source not configured, falling back to local");
+        Log.warn("Portal Inbox Extension: Portal data source not configured, falling back to local");
         this.loadMessagesFromLocal();
       } else {
-        window.PortalExtensions.error("Portal Inbox Extension: No valid data source configured");
+        Log.error("Portal Inbox Extension: No valid data source configured");
         this.state.isLoading = false;
         this.state.isLoaded = true;
         UI.renderError();
@@ -110,7 +219,7 @@
      */
     loadMessagesFromLocal: function () {
       setTimeout(() => {
-        fetch(this.config.localDataSource)
+        this.trackedFetch(this.config.localDataSource)
           .then((response) => {
             if (!response.ok) {
               throw new Error("Failed to load messages from local source");
@@ -120,14 +229,23 @@
           .then((data) => {
             // Supports both legacy (data.messages) and OData (data.value) formats
             const records = data.value || data.messages || [];
-            this.state.messages = this.mapPortalDataToMessages(records);
+            const allMessages = this.mapPortalDataToMessages(records);
+            this.state.messages = allMessages.filter((msg) => !msg.outgoing);
+            this.setLocalConversations(allMessages);
+            this.state.localAnnotations = data.annotations || [];
+            // The local file holds every message, so there is nothing to page through
+            Object.keys(this.state.pages).forEach((view) => {
+              this.state.pages[view].loaded = true;
+            });
             this.processMessages();
             this.state.isLoading = false;
             this.state.isLoaded = true;
             UI.renderMessages();
+            UI.openDeepLink();
           })
           .catch((error) => {
-            window.PortalExtensions.error("Portal Inbox Widget Error:", error);
+            Log.error("Portal Inbox Widget Error:", error);
+            window.PortalExtensions.telemetry.trackException(EXTENSION_ID, error, { operation: "loadMessagesFromLocal" });
             this.state.isLoading = false;
             this.state.isLoaded = true;
             UI.renderError();
@@ -139,6 +257,8 @@
      * Load messages from Power Pages Web API
      */
     loadMessagesFromPortal: async function () {
+      const span = window.PortalExtensions.telemetry.startSpan(EXTENSION_ID, "loadMessagesFromPortal");
+
       try {
         const config = this.config.portalDataSource;
         const readOps = config.operations.read;
@@ -147,79 +267,627 @@
           throw new Error("Read operations are not enabled");
         }
 
-        const params = new URLSearchParams();
+        // First page of unread messages; archived pages load when that view is opened
+        this.state.messages = [];
+        const results = await Promise.all([this.fetchPage("inbox"), this.fetchUnreadCount()]);
+        this.state.unreadTotal = results[1];
+        Sync.publish("loaded", { messages: this.state.messages, unreadTotal: this.state.unreadTotal });
+
+        span.end({ success: true, count: this.state.messages.length });
+        this.processMessages();
+        this.state.isLoading = false;
+        this.state.isLoaded = true;
+        UI.renderMessages();
+        UI.openDeepLink();
+      } catch (error) {
+        Log.error("Portal Inbox Widget Error:", error);
+        span.end({ success: false });
+        window.PortalExtensions.telemetry.trackException(EXTENSION_ID, error, {
+          operation: "loadMessagesFromPortal",
+          status: error.status,
+          code: error.code,
+        });
+        this.state.isLoading = false;
+        this.state.isLoaded = true;
+        UI.renderError();
+      }
+    },
+
+    /**
+     * Build the OData filter matching records whose boolean field is not set to true
+     * Records created before the field was added hold null, which "ne true" does not match on every server
+     */
+    buildNotTrueFilter: function (field) {
+      return `(${field} eq false or ${field} eq null)`;
+    },
+
+    /**
+     * Build the OData query for one view
+     * Inbox and archived messages are paged separately, split on the configured isArchived field
+     */
+    buildPortalQuery: function (view) {
+      const readOps = this.config.portalDataSource.operations.read;
+      const isArchivedField = this.getFieldName("isarchived");
+
+      // Build filter - always filter for Outgoing messages (directioncode = 2)
+      let filterParts = ["adx_portalcommentdirectioncode eq 2"];
+      if (readOps.filter) {
+        filterParts.push(`(${readOps.filter})`);
+      }
+      filterParts.push(view === "archived" ? `${isArchivedField} eq true` : this.buildNotTrueFilter(isArchivedField));
+
+      return {
+        select: readOps.select,
+        filter: filterParts.join(" and "),
+        orderBy: readOps.orderBy,
+        expand: readOps.expand,
+      };
+    },
 
-        if (readOps.select) params.append("$select", readOps.select);
+    /**
+     * Fetch the next page of a view from the Web API and merge it into state.messages
+     */
+    fetchPage: async function (view) {
+      const config = this.config.portalDataSource;
+      const page = this.state.pages[view];
+      const pageOptions = { pageSize: config.operations.read.pageSize };
 
-        // Build filter - always filter for Outgoing messages (directioncode = 2)
-        let filterParts = ["adx_portalcommentdirectioncode eq 2"];
-        if (readOps.filter) {
-          filterParts.push(`(${readOps.filter})`);
+      page.loading = true;
+      try {
+        let data;
+        if (page.nextLink) {
+          data = await this.api.listNext(page.nextLink, pageOptions);
+        } else {
+          const query = this.buildPortalQuery(view);
+          Log.log("Portal Inbox API Request:", config.entitySetName, query);
+          data = await this.api.list(config.entitySetName, query, pageOptions);
         }
-        params.append("$filter", filterParts.join(" and "));
+        Log.log(`Portal Inbox API Response (${view}):`, data);
+
+        this.mergeMessages(this.mapPortalDataToMessages(data.records));
+        page.nextLink = data.nextLink;
+        page.loaded = true;
+      } finally {
+        page.loading = false;
+      }
+    },
+
+    /**
+     * Count unread messages on the server with a separate $count query
+     * Returns null when the count is unavailable; loaded messages are counted instead
+     */
+    fetchUnreadCount: async function () {
+      const config = this.config.portalDataSource;
+      const query = {
+        select: "activityid",
+        filter: `${this.buildPortalQuery("inbox").filter} and ${this.buildNotTrueFilter(this.getFieldName("hasread"))}`,
+        count: true,
+      };
 
-        if (readOps.orderBy) params.append("$orderby", readOps.orderBy);
-        if (readOps.expand) params.append("$expand", readOps.expand);
+      try {
+        const data = await this.api.list(config.entitySetName, query, { pageSize: 1 });
+        return data.count;
+      } catch (error) {
+        Log.warn("Unread count query failed, counting loaded messages instead:", error);
+        return null;
+      }
+    },
 
-        const url = `${config.baseUrl}/${config.entitySetName}?${params.toString()}`;
-        window.PortalExtensions.log("Portal Inbox API Request URL:", url);
+    /**
+     * Load the next page of a view (on scroll or when the archived view is opened)
+     */
+    loadNextPage: async function (view) {
+      if (!this.hasMorePages(view) || this.state.pages[view].loading) {
+        return;
+      }
 
-        const token = await this.getPortalToken();
+      const request = this.fetchPage(view);
+      UI.renderMessages();
 
-        const response = await fetch(url, {
-          method: "GET",
-          headers: {
-            __RequestVerificationToken: token,
-            Accept: "application/json",
-          },
+      try {
+        await request;
+        this.processMessages();
+      } catch (error) {
+        Log.error("Failed to load more messages:", error);
+        window.PortalExtensions.telemetry.trackException(EXTENSION_ID, error, {
+          operation: "loadNextPage",
+          view: view,
+          status: error.status,
+          code: error.code,
         });
+      }
+      UI.renderMessages();
+    },
 
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
+    /**
+     * Whether a view has pages that are not loaded yet
+     */
+    hasMorePages: function (view) {
+      const page = this.state.pages[view];
+      return !page.loaded || page.nextLink !== null;
+    },
+
+    /**
+     * Forget loaded pages so the next load starts from the first page
+     */
+    resetPages: function () {
+      Object.keys(this.state.pages).forEach((view) => {
+        this.state.pages[view] = { loaded: false, loading: false, nextLink: null };
+      });
+      this.state.unreadTotal = null;
+    },
+
+    /**
+     * Add messages that are not loaded yet, keeping the local state of loaded ones
+     */
+    mergeMessages: function (messages, prepend) {
+      const loadedIds = new Set(this.state.messages.map((msg) => msg.id));
+      const added = messages.filter((msg) => !loadedIds.has(msg.id));
+      if (prepend) {
+        this.state.messages.unshift(...added);
+      } else {
+        added.forEach((msg) => this.state.messages.push(msg));
+      }
+      return added;
+    },
+
+    /**
+     * Start polling the Web API for new messages
+     * Polling pauses while the tab is hidden and backs off (doubling up to maxIntervalMs) after errors
+     */
+    startPolling: function () {
+      const pollingConfig = this.config.portalDataSource?.polling;
+      if (!pollingConfig || !pollingConfig.enabled || this.isLocalEnvironment() || this.polling.visibilityHandler) {
+        return;
+      }
+
+      this.polling.intervalMs = pollingConfig.intervalMs;
+      this.polling.visibilityHandler = () => {
+        if (document.hidden) {
+          this.clearPollTimer();
+        } else {
+          // Catch up right away when the tab becomes visible again
+          this.poll();
         }
+      };
+      document.addEventListener("visibilitychange", this.polling.visibilityHandler);
 
-        const data = await response.json();
-        window.PortalExtensions.log("Portal Inbox API Response:", data);
-        window.PortalExtensions.log("First record:", data.value?.[0]);
+      this.schedulePoll();
+      Log.log(`Portal Inbox: Polling for new messages every ${pollingConfig.intervalMs} ms`);
+    },
 
-        this.state.messages = this.mapPortalDataToMessages(data.value || []);
-        this.processMessages();
-        this.state.isLoading = false;
-        this.state.isLoaded = true;
-        UI.renderMessages();
+    /**
+     * Stop polling for new messages
+     */
+    stopPolling: function () {
+      this.clearPollTimer();
+      if (this.polling.visibilityHandler) {
+        document.removeEventListener("visibilitychange", this.polling.visibilityHandler);
+        this.polling.visibilityHandler = null;
+      }
+    },
+
+    /**
+     * Cancel the scheduled poll
+     */
+    clearPollTimer: function () {
+      if (this.polling.timer) {
+        clearTimeout(this.polling.timer);
+        this.polling.timer = null;
+      }
+    },
+
+    /**
+     * Schedule the next poll unless the tab is hidden
+     */
+    schedulePoll: function () {
+      this.clearPollTimer();
+      if (!document.hidden) {
+        this.polling.timer = setTimeout(() => this.poll(), this.polling.intervalMs);
+      }
+    },
+
+    /**
+     * Fetch and merge messages newer than the newest loaded one
+     */
+    poll: async function () {
+      if (this.polling.isPolling) {
+        return;
+      }
+
+      // The initial load (or a refresh) is still running; try again next interval
+      if (!this.state.isLoaded || this.state.isLoading) {
+        this.schedulePoll();
+        return;
+      }
+
+      const pollingConfig = this.config.portalDataSource.polling;
+      this.clearPollTimer();
+      this.polling.isPolling = true;
+
+      try {
+        const messages = await this.fetchNewMessages();
+        const added = this.mergeMessages(messages, true);
+        this.polling.intervalMs = pollingConfig.intervalMs;
+
+        if (added.length > 0) {
+          const unread = added.filter((msg) => !msg.read).length;
+          if (this.state.unreadTotal !== null) {
+            this.state.unreadTotal += unread;
+          }
+          this.processMessages();
+          Log.log(`Portal Inbox: ${added.length} new message(s)`);
+          added.forEach((msg) => this.addToConversation(msg));
+          UI.insertNewMessages(added);
+          Sync.publish("newMessages", { messages: added });
+
+          document.dispatchEvent(new CustomEvent("portalInboxNewMessages", { detail: { messages: added } }));
+        }
       } catch (error) {
-        window.PortalExtensions.error("Portal Inbox Widget Error:", error);
-        this.state.isLoading = false;
-        this.state.isLoaded = true;
-        UI.renderError();
+        this.polling.intervalMs = Math.min(this.polling.intervalMs * 2, pollingConfig.maxIntervalMs);
+        Log.warn(`Portal Inbox: Polling failed, next attempt in ${this.polling.intervalMs} ms`, error);
+        window.PortalExtensions.telemetry.trackException(EXTENSION_ID, error, {
+          operation: "poll",
+          status: error.status,
+          code: error.code,
+        });
+      } finally {
+        this.polling.isPolling = false;
+      }
+
+      if (this.polling.visibilityHandler) {
+        this.schedulePoll();
       }
     },
 
     /**
-     * Get CSRF token for Power Pages Web API authentication
+     * Fetch every inbox message created after the newest loaded message
      */
-    getPortalToken: function () {
-      return new Promise((resolve, reject) => {
-        if (typeof shell !== "undefined" && shell.getTokenDeferred) {
-          shell
-            .getTokenDeferred()
-            .done(function (token) {
-              resolve(token);
-            })
-            .fail(function () {
-              reject(new Error("Failed to get authentication token"));
-            });
-        } else {
-          const tokenMeta = document.querySelector('meta[name="__RequestVerificationToken"]');
-          if (tokenMeta) {
-            resolve(tokenMeta.getAttribute("content"));
-          } else {
-            reject(new Error("Authentication token not available"));
+    fetchNewMessages: async function () {
+      const query = this.buildPortalQuery("inbox");
+
+      const newest = this.state.messages.reduce((latest, msg) => (!latest || new Date(msg.date) > new Date(latest) ? msg.date : latest), null);
+      if (newest) {
+        query.filter = `${query.filter} and createdon gt ${new Date(newest).toISOString()}`;
+      }
+
+      return this.mapPortalDataToMessages(await this.fetchAllPages(query));
+    },
+
+    /**
+     * Fetch every page of a query and return all records
+     * Queries the portal comments unless another entity set is given
+     */
+    fetchAllPages: async function (query, entitySetName) {
+      const config = this.config.portalDataSource;
+      const pageOptions = { pageSize: config.operations.read.pageSize };
+
+      let data = await this.api.list(entitySetName || config.entitySetName, query, pageOptions);
+      let records = data.records;
+      while (data.nextLink) {
+        data = await this.api.listNext(data.nextLink, pageOptions);
+        records = records.concat(data.records);
+      }
+      return records;
+    },
+
+    /**
+     * Strip reply and forward prefixes so "Re: Re: Subject" and "Subject" share a thread
+     */
+    normalizeSubject: function (subject) {
+      return (subject || "").replace(/^((re|fw|fwd)\s*:\s*)+/i, "").trim();
+    },
+
+    /**
+     * Messages about the same regarding record with the same subject form a thread
+     */
+    getThreadKey: function (message) {
+      return `${message.regardingObjectId || ""}|${this.normalizeSubject(message.subject).toLowerCase()}`;
+    },
+
+    /**
+     * Group messages into threads, keeping the order of the first message of each thread
+     * Returns [{ key, message, messages }] where message is the thread's first (newest) message
+     */
+    groupIntoThreads: function (messages) {
+      const threads = new Map();
+      messages.forEach((message) => {
+        const key = this.getThreadKey(message);
+        if (!threads.has(key)) {
+          threads.set(key, { key: key, message: message, messages: [] });
+        }
+        threads.get(key).messages.push(message);
+      });
+      return Array.from(threads.values());
+    },
+
+    /**
+     * Get a thread's conversation in chronological order, including the contact's own comments
+     */
+    getConversation: function (message) {
+      const key = this.getThreadKey(message);
+      const conversation = this.state.conversations[message.regardingObjectId];
+      const candidates = this.state.messages.concat(conversation ? conversation.messages : []);
+
+      const byId = new Map();
+      candidates
+        .filter((msg) => this.getThreadKey(msg) === key)
+        .forEach((msg) => {
+          if (!byId.has(msg.id)) byId.set(msg.id, msg);
+        });
+
+      return Array.from(byId.values()).sort((a, b) => new Date(a.date) - new Date(b.date));
+    },
+
+    /**
+     * Load every comment (incoming and outgoing) about a regarding record
+     */
+    loadConversation: async function (regardingObjectId) {
+      if (!regardingObjectId || !this.api || this.isLocalEnvironment()) {
+        return;
+      }
+
+      const existing = this.state.conversations[regardingObjectId];
+      if (existing) {
+        return existing.request;
+      }
+
+      const readOps = this.config.portalDataSource.operations.read;
+      const filterParts = [`_regardingobjectid_value eq ${regardingObjectId}`, "adx_portalcommentdirectioncode le 2"];
+      if (readOps.filter) {
+        filterParts.push(`(${readOps.filter})`);
+      }
+      const query = {
+        select: readOps.select,
+        filter: filterParts.join(" and "),
+        orderBy: "createdon asc",
+        expand: readOps.expand,
+      };
+
+      const conversation = { loaded: false, messages: [], request: null };
+      conversation.request = this.fetchAllPages(query).then((records) => {
+        conversation.messages = this.mapPortalDataToMessages(records);
+        conversation.loaded = true;
+      });
+      this.state.conversations[regardingObjectId] = conversation;
+
+      try {
+        await conversation.request;
+      } catch (error) {
+        Log.error("Portal Inbox: Error loading conversation:", error);
+        window.PortalExtensions.telemetry.trackException(EXTENSION_ID, error, {
+          operation: "loadConversation",
+          status: error.status,
+          code: error.code,
+        });
+        // Allow the next open of the thread to try again
+        delete this.state.conversations[regardingObjectId];
+        throw error;
+      }
+    },
+
+    /**
+     * Conversations of the local data source: the file holds every comment
+     */
+    setLocalConversations: function (messages) {
+      this.state.conversations = {};
+      messages
+        .filter((msg) => msg.regardingObjectId)
+        .forEach((msg) => {
+          if (!this.state.conversations[msg.regardingObjectId]) {
+            this.state.conversations[msg.regardingObjectId] = { loaded: true, messages: [], request: Promise.resolve() };
           }
+          this.state.conversations[msg.regardingObjectId].messages.push(msg);
+        });
+    },
+
+    /**
+     * Load the attachments of messages whose attachments are not loaded yet
+     * Notes (annotations) are fetched in one query; file columns come with the comment itself
+     */
+    loadAttachments: async function (messages) {
+      const pending = messages.filter((msg) => !this.state.attachments[msg.id]);
+      if (pending.length === 0) {
+        return;
+      }
+
+      let notes;
+      if (this.isLocalEnvironment() || !this.api) {
+        const ids = pending.map((msg) => msg.id);
+        notes = this.state.localAnnotations.filter((note) => ids.includes(note._objectid_value));
+      } else {
+        try {
+          const objectFilter = pending.map((msg) => `_objectid_value eq ${msg.id}`).join(" or ");
+          notes = await this.fetchAllPages(
+            {
+              select: "annotationid,filename,filesize,mimetype,_objectid_value",
+              filter: `isdocument eq true and (${objectFilter})`,
+              orderBy: "createdon asc",
+            },
+            this.config.attachments.entitySetName
+          );
+        } catch (error) {
+          Log.error("Portal Inbox: Error loading attachments:", error);
+          window.PortalExtensions.telemetry.trackException(EXTENSION_ID, error, {
+            operation: "loadAttachments",
+            status: error.status,
+            code: error.code,
+          });
+          throw error;
         }
+      }
+
+      pending.forEach((msg) => {
+        const messageNotes = notes.filter((note) => note._objectid_value === msg.id).map((note) => this.mapAnnotation(note));
+        this.state.attachments[msg.id] = (msg.files || []).concat(messageNotes);
+      });
+    },
+
+    /**
+     * Map a note (annotation) to an attachment
+     */
+    mapAnnotation: function (note) {
+      return {
+        id: note.annotationid,
+        messageId: note._objectid_value,
+        name: note.filename || "attachment",
+        size: note.filesize || null,
+        mimeType: note.mimetype || null,
+        source: "annotation",
+      };
+    },
+
+    /**
+     * Map the configured file columns of a comment that hold a file to attachments
+     * The Web API returns the file name as <column>_name when the column is selected
+     */
+    mapFileColumns: function (comment) {
+      return (this.config.attachments.fileColumns || [])
+        .filter((column) => comment[column])
+        .map((column) => ({
+          id: `${comment.activityid}-${column}`,
+          messageId: comment.activityid,
+          name: comment[`${column}_name`] || column,
+          size: null,
+          mimeType: null,
+          source: "fileColumn",
+          column: column,
+        }));
+    },
+
+    /**
+     * Download an attachment's content as a Blob
+     */
+    downloadAttachment: async function (attachment) {
+      if (this.isLocalEnvironment() || !this.api) {
+        const note = this.state.localAnnotations.find((n) => n.annotationid === attachment.id);
+        return this.base64ToBlob(note ? note.documentbody || "" : "", attachment.mimeType);
+      }
+
+      try {
+        if (attachment.source === "fileColumn") {
+          const entitySetName = this.config.portalDataSource.entitySetName;
+          const response = await this.api.request("GET", `${entitySetName}(${attachment.messageId})/${attachment.column}/$value`, {
+            returnResponse: true,
+            headers: { Accept: "application/octet-stream" },
+          });
+          return await response.blob();
+        }
+
+        const note = await this.api.get(this.config.attachments.entitySetName, attachment.id, { select: "documentbody,mimetype" });
+        return this.base64ToBlob(note.documentbody || "", note.mimetype || attachment.mimeType);
+      } catch (error) {
+        Log.error("Portal Inbox: Error downloading attachment:", error);
+        window.PortalExtensions.telemetry.trackException(EXTENSION_ID, error, {
+          operation: "downloadAttachment",
+          status: error.status,
+          code: error.code,
+        });
+        throw error;
+      }
+    },
+
+    /**
+     * Create notes (annotations) with the given files on a comment
+     * Returns the attachments that were created and the names of the files that failed
+     */
+    uploadAttachments: async function (messageId, files) {
+      const config = this.config.attachments;
+      const entitySetName = this.config.portalDataSource.entitySetName;
+
+      const results = await Promise.allSettled(
+        files.map(async (file) => {
+          const note = {
+            subject: file.name,
+            filename: file.name,
+            mimetype: file.type || "application/octet-stream",
+            documentbody: await this.readFileAsBase64(file),
+            [`${config.navigationProperty}@odata.bind`]: `/${entitySetName}(${messageId})`,
+          };
+          // primaryKey makes the POST idempotent, so a retried upload cannot create the note twice
+          const noteId = await this.api.create(config.entitySetName, note, { primaryKey: "annotationid" });
+          return { id: noteId, messageId: messageId, name: file.name, size: file.size, mimeType: note.mimetype, source: "annotation" };
+        })
+      );
+
+      const attachments = [];
+      const failed = [];
+      results.forEach((result, index) => {
+        if (result.status === "fulfilled") {
+          attachments.push(result.value);
+          return;
+        }
+        failed.push(files[index].name);
+        Log.error("Portal Inbox: Error uploading attachment:", result.reason);
+        window.PortalExtensions.telemetry.trackException(EXTENSION_ID, result.reason, {
+          operation: "uploadAttachments",
+          status: result.reason.status,
+          code: result.reason.code,
+        });
+      });
+
+      return { attachments: attachments, failed: failed };
+    },
+
+    /**
+     * Read a file as base64, the format of a note's documentbody
+     */
+    readFileAsBase64: function (file) {
+      return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(String(reader.result).replace(/^data:[^,]*,/, ""));
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
       });
     },
 
+    /**
+     * Decode a base64 documentbody into a Blob
+     */
+    base64ToBlob: function (base64, mimeType) {
+      const binary = atob(base64);
+      const bytes = new Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+      }
+      return new Blob([bytes], { type: mimeType || "application/octet-stream" });
+    },
+
+    /**
+     * Add a new message (a sent reply or a polled message) to its loaded conversation
+     */
+    addToConversation: function (message) {
+      const conversation = this.state.conversations[message.regardingObjectId];
+      if (conversation && conversation.loaded && !conversation.messages.some((msg) => msg.id === message.id)) {
+        conversation.messages.push(message);
+      }
+    },
+
+    /**
+     * fetch() wrapper that records the call for the PortalExtensions diagnostics overlay
+     * Used for the local data source; portal calls go through Data.api
+     */
+    trackedFetch: async function (url, options) {
+      const method = (options && options.method) || "GET";
+      const started = Date.now();
+
+      try {
+        const response = await fetch(url, options);
+        window.PortalExtensions.recordApiCall({ id: EXTENSION_ID, method: method, url: url, status: response.status, durationMs: Date.now() - started });
+        return response;
+      } catch (error) {
+        window.PortalExtensions.recordApiCall({
+          id: EXTENSION_ID,
+          method: method,
+          url: url,
+          status: "network error",
+          durationMs: Date.now() - started,
+          error: error.message,
+        });
+        throw error;
+      }
+    },
+
     /**
      * Map Dataverse adx_portalcomments fields to internal message format
      */
@@ -235,22 +903,28 @@
             body: comment.body || "",
             date: comment.date,
             read: comment.read !== undefined ? comment.read : false,
+            archived: comment.archived === true,
             category: comment.category || "general",
           };
         }
 
+        // The contact's own comments (direction code 1) are shown in conversations
+        if (comment.adx_portalcommentdirectioncode === 1) {
+          return this.mapOutgoingComment(comment);
+        }
+
         // Dataverse format - extract sender and recipient
         // From: System user who created the comment (_createdby_value)
         // To: Contact from activity parties (participationtypemask=2)
 
         if (!comment._createdby_value) {
-          window.PortalExtensions.error("Missing _createdby_value for comment:", comment.activityid, comment);
+          Log.error("Missing _createdby_value for comment:", comment.activityid, comment);
           throw new Error(`Created by value not found for comment ${comment.activityid}. Ensure $select includes _createdby_value.`);
         }
 
         const parties = comment.adx_portalcomment_activity_parties;
         if (!parties || parties.length === 0) {
-          window.PortalExtensions.error("Missing or empty activity parties for comment:", comment.activityid, comment);
+          Log.error("Missing or empty activity parties for comment:", comment.activityid, comment);
           throw new Error(
             `Activity parties not found for comment ${comment.activityid}. Ensure $expand includes adx_portalcomment_activity_parties.`
           );
@@ -259,7 +933,7 @@
         const toParty = parties.find((p) => p.participationtypemask === 2 && p.partyid_contact !== null && p.partyid_contact !== undefined);
 
         if (!toParty) {
-          window.PortalExtensions.error("No contact party (participationtypemask=2) found for comment:", comment.activityid, parties);
+          Log.error("No contact party (participationtypemask=2) found for comment:", comment.activityid, parties);
           throw new Error(
             `Contact party not found for comment ${comment.activityid}. The comment must have a contact party with participationtypemask=2.`
           );
@@ -284,13 +958,13 @@
         const fromStaffId = comment._createdby_value;
 
         if (!toContactId) {
-          window.PortalExtensions.error("Contact ID missing from party:", toParty);
+          Log.error("Contact ID missing from party:", toParty);
           throw new Error(`Contact ID not found in party data for comment ${comment.activityid}. Ensure $expand includes partyid_contact.`);
         }
 
         const fromStaffName = comment["_createdby_value@OData.Community.Display.V1.FormattedValue"];
         if (!fromStaffName) {
-          window.PortalExtensions.error("Staff name missing from _createdby_value formatted value:", comment);
+          Log.error("Staff name missing from _createdby_value formatted value:", comment);
           throw new Error(`Staff name not found for comment ${comment.activityid}. Ensure formatted values are included.`);
         }
 
@@ -301,9 +975,13 @@
           body: comment.description || "",
           date: comment.createdon || new Date().toISOString(),
           read: isRead,
+          archived: comment[this.getFieldName("isarchived")] === true,
           category: "portal-comment",
+          outgoing: false,
+          files: this.mapFileColumns(comment),
           // Dataverse metadata fields
           regardingObjectId: comment._regardingobjectid_value,
+          regardingName: comment["_regardingobjectid_value@OData.Community.Display.V1.FormattedValue"] || null,
           toContact: toParty.partyid_contact.fullname,
           toContactId: toContactId,
           fromStaffId: fromStaffId,
@@ -315,13 +993,39 @@
       });
     },
 
+    /**
+     * Map a comment the contact sent (direction code 1, from party participationtypemask=1)
+     */
+    mapOutgoingComment: function (comment) {
+      const parties = comment.adx_portalcomment_activity_parties || [];
+      const fromParty = parties.find((p) => p.participationtypemask === 1 && p.partyid_contact);
+
+      return {
+        id: comment.activityid,
+        from: this.config.text.youLabel,
+        subject: comment.subject || "(No Subject)",
+        body: comment.description || "",
+        date: comment.createdon || new Date().toISOString(),
+        read: true,
+        category: "portal-comment",
+        outgoing: true,
+        files: this.mapFileColumns(comment),
+        regardingObjectId: comment._regardingobjectid_value,
+        regardingName: comment["_regardingobjectid_value@OData.Community.Display.V1.FormattedValue"] || null,
+        fromContactId: fromParty ? fromParty.partyid_contact.contactid : null,
+        directionCode: comment.adx_portalcommentdirectioncode,
+        statecode: comment.statecode,
+        statuscode: comment.statuscode,
+      };
+    },
+
     /**
      * Update message read status via localStorage
      * For portal comments, we track the last checked time instead of individual read status
      */
     updateMessageReadStatus: async function (messageId, isRead) {
       if (this.isLocalEnvironment() || !this.config.portalDataSource) {
-        window.PortalExtensions.log("Local environment: Read status not persisted to server");
+        Log.log("Local environment: Read status not persisted to server");
         return;
       }
 
@@ -337,14 +1041,16 @@
           if (messageDate > currentLastCheckedDate) {
             localStorage.setItem("portalInbox_lastCheckedComments", messageDate.toISOString());
           }
+        }
 
-          // Also update configured hasRead field on the portal comment record
-          await this.updatePortalCommentReadStatus(messageId, true);
+        // Also update configured hasRead field on the portal comment record (cleared when marked as unread)
+        if (message) {
+          await this.updatePortalCommentReadStatus(messageId, isRead);
         }
 
-        window.PortalExtensions.log("Message read status updated in localStorage");
+        Log.log("Message read status updated");
       } catch (error) {
-        window.PortalExtensions.error("Failed to update message read status:", error);
+        Log.error("Failed to update message read status:", error);
       }
     },
 
@@ -357,37 +1063,26 @@
         const updateOps = config.operations.update;
 
         if (!updateOps || !updateOps.enabled) {
-          window.PortalExtensions.log("Update operations are not enabled");
+          Log.log("Update operations are not enabled");
           return;
         }
 
-        const url = `${config.baseUrl}/${config.entitySetName}(${messageId})`;
-        const token = await this.getPortalToken();
-
+        // Only the read flag changes; archiving is a separate field (see setArchived)
         const hasReadField = this.getFieldName("hasread");
         const updatePayload = {
           [hasReadField]: hasRead,
-          statecode: 1, // Completed state - standard field, no prefix
         };
 
-        const response = await fetch(url, {
-          method: "PATCH",
-          headers: {
-            __RequestVerificationToken: token,
-            "Content-Type": "application/json",
-            Accept: "application/json",
-          },
-          body: JSON.stringify(updatePayload),
-        });
-
-        if (!response.ok) {
-          const errorText = await response.text();
-          throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
-        }
+        await this.api.update(config.entitySetName, messageId, updatePayload);
 
-        window.PortalExtensions.log(`Portal comment ${this.getFieldName("hasread")} field updated successfully`);
+        Log.log(`Portal comment ${this.getFieldName("hasread")} field updated successfully`);
       } catch (error) {
-        window.PortalExtensions.error("Failed to update portal comment read status:", error);
+        Log.error("Failed to update portal comment read status:", error);
+        window.PortalExtensions.telemetry.trackException(EXTENSION_ID, error, {
+          operation: "updatePortalCommentReadStatus",
+          status: error.status,
+          code: error.code,
+        });
       }
     },
 
@@ -395,7 +1090,10 @@
      * Process messages to calculate unread count and sync localStorage
      */
     processMessages: function () {
-      this.state.unreadCount = this.state.messages.filter((msg) => !msg.read).length;
+      // Pages only hold part of the unread messages; prefer the server total when it is known
+      // Archived messages are not counted, even when unread
+      const loadedUnread = this.state.messages.filter((msg) => !msg.read && !msg.archived).length;
+      this.state.unreadCount = this.state.unreadTotal !== null ? Math.max(this.state.unreadTotal, loadedUnread) : loadedUnread;
 
       // Sync localStorage with the most recent read message date from server
       // This ensures localStorage stays in sync with server-side hasRead field values
@@ -427,8 +1125,157 @@
       if (!message || message.read) return;
 
       message.read = true;
+      if (this.state.unreadTotal !== null && this.state.unreadTotal > 0 && !message.archived) {
+        this.state.unreadTotal--;
+      }
       this.updateMessageReadStatus(messageId, true);
       this.processMessages();
+      Sync.publish("readStatus", { ids: [messageId], read: true });
+    },
+
+    /**
+     * Mark a message as unread, clearing the hasRead field on the server
+     */
+    markMessageAsUnread: function (messageId) {
+      const message = this.getMessage(messageId);
+      if (!message || !message.read) return;
+
+      message.read = false;
+      if (this.state.unreadTotal !== null && !message.archived) {
+        this.state.unreadTotal++;
+      }
+      this.updateMessageReadStatus(messageId, false);
+      this.processMessages();
+      Sync.publish("readStatus", { ids: [messageId], read: false });
+    },
+
+    /**
+     * Mark every loaded unread message of a thread as read (the whole thread is shown when opened)
+     */
+    markThreadAsRead: function (message) {
+      const key = this.getThreadKey(message);
+      const unread = this.state.messages.filter((msg) => !msg.read && this.getThreadKey(msg) === key);
+      unread.forEach((msg) => this.markMessageAsRead(msg.id));
+      return unread.length;
+    },
+
+    /**
+     * Apply read status changed in another tab (the server was already updated there)
+     */
+    applyReadStatus: function (messageIds, isRead) {
+      messageIds.forEach((messageId) => {
+        const message = this.getMessage(messageId);
+        if (!message || message.read === isRead) return;
+
+        message.read = isRead;
+        if (this.state.unreadTotal !== null && !message.archived) {
+          this.state.unreadTotal = Math.max(0, this.state.unreadTotal + (isRead ? -1 : 1));
+        }
+      });
+      this.processMessages();
+    },
+
+    /**
+     * Archive or unarchive messages by setting the configured isArchived field
+     * Messages are moved at once; those whose update fails are moved back. Returns the number that failed
+     */
+    setArchived: async function (messageIds, archived) {
+      const ids = messageIds.filter((id) => {
+        const message = this.getMessage(id);
+        return message && !!message.archived !== archived;
+      });
+      if (ids.length === 0) {
+        return 0;
+      }
+
+      this.applyArchiveStatus(ids, archived);
+
+      if (this.isLocalEnvironment() || !this.config.portalDataSource) {
+        Log.log("Local environment: Archive status not persisted to server");
+        Sync.publish("archiveStatus", { ids: ids, archived: archived });
+        return 0;
+      }
+
+      const config = this.config.portalDataSource;
+      if (!config.operations.update || !config.operations.update.enabled) {
+        Log.warn("Update operations are not enabled; messages cannot be archived");
+        this.applyArchiveStatus(ids, !archived);
+        return ids.length;
+      }
+
+      const isArchivedField = this.getFieldName("isarchived");
+      const results = await Promise.allSettled(ids.map((id) => this.api.update(config.entitySetName, id, { [isArchivedField]: archived })));
+
+      const failedIds = [];
+      results.forEach((result, index) => {
+        if (result.status === "rejected") {
+          failedIds.push(ids[index]);
+          Log.error("Failed to update portal comment archive status:", result.reason);
+          window.PortalExtensions.telemetry.trackException(EXTENSION_ID, result.reason, {
+            operation: "setArchived",
+            status: result.reason.status,
+            code: result.reason.code,
+          });
+        }
+      });
+
+      if (failedIds.length > 0) {
+        this.applyArchiveStatus(failedIds, !archived);
+      }
+
+      const updatedIds = ids.filter((id) => !failedIds.includes(id));
+      if (updatedIds.length > 0) {
+        Sync.publish("archiveStatus", { ids: updatedIds, archived: archived });
+      }
+      window.PortalExtensions.telemetry.trackEvent(EXTENSION_ID, archived ? "messagesArchived" : "messagesUnarchived", {
+        count: updatedIds.length,
+        failed: failedIds.length,
+      });
+
+      return failedIds.length;
+    },
+
+    /**
+     * Archive or unarchive every loaded message of a thread
+     */
+    setThreadArchived: function (message, archived) {
+      const key = this.getThreadKey(message);
+      const ids = this.state.messages.filter((msg) => this.getThreadKey(msg) === key).map((msg) => msg.id);
+      return this.setArchived(ids, archived);
+    },
+
+    /**
+     * Move loaded messages between the inbox and archive (after an update here or in another tab)
+     */
+    applyArchiveStatus: function (messageIds, archived) {
+      messageIds.forEach((messageId) => {
+        const message = this.getMessage(messageId);
+        if (!message || !!message.archived === archived) return;
+
+        message.archived = archived;
+        if (this.state.unreadTotal !== null && !message.read) {
+          this.state.unreadTotal = Math.max(0, this.state.unreadTotal + (archived ? -1 : 1));
+        }
+      });
+      this.processMessages();
+    },
+
+    /**
+     * Apply the messages another tab loaded: add new ones and take over their read status
+     */
+    applyLoadResult: function (messages, unreadTotal) {
+      messages.forEach((loaded) => {
+        const message = this.getMessage(loaded.id);
+        if (message) {
+          message.read = loaded.read;
+          message.archived = loaded.archived;
+        }
+      });
+      this.mergeMessages(messages);
+      if (unreadTotal !== null) {
+        this.state.unreadTotal = unreadTotal;
+      }
+      this.processMessages();
     },
 
     /**
@@ -438,11 +1285,248 @@
       return this.state.messages.find((msg) => msg.id === messageId);
     },
 
+    /**
+     * Get a message that is not in the loaded pages, e.g. one opened from a link
+     * Returns null when it does not exist or the contact cannot read it
+     */
+    fetchMessage: async function (messageId) {
+      if (!this.api || this.isLocalEnvironment()) {
+        const conversations = Object.values(this.state.conversations);
+        const messages = conversations.reduce((all, conversation) => all.concat(conversation.messages), []);
+        return messages.find((msg) => msg.id === messageId) || null;
+      }
+
+      // The id comes from the URL, so only a GUID may reach the request path
+      if (!this.isGuid(messageId)) {
+        return null;
+      }
+
+      const config = this.config.portalDataSource;
+      const readOps = config.operations.read;
+
+      try {
+        const record = await this.api.get(config.entitySetName, messageId, { select: readOps.select, expand: readOps.expand });
+        const message = this.mapPortalDataToMessages([record])[0];
+        if (!message.outgoing) {
+          this.mergeMessages([message]);
+          this.processMessages();
+        }
+        return message;
+      } catch (error) {
+        if (error.status !== 404) {
+          Log.error("Portal Inbox: Error loading linked message:", error);
+          window.PortalExtensions.telemetry.trackException(EXTENSION_ID, error, {
+            operation: "fetchMessage",
+            status: error.status,
+            code: error.code,
+          });
+        }
+        return null;
+      }
+    },
+
     /**
      * Get filtered messages based on view mode
      */
     getFilteredMessages: function () {
-      return this.state.showArchived ? this.state.messages.filter((msg) => msg.read) : this.state.messages.filter((msg) => !msg.read);
+      // Messages moved between the views keep their loaded position, so sort newest first again
+      return this.state.messages
+        .filter((msg) => !!msg.archived === this.state.showArchived)
+        .sort((a, b) => new Date(b.date) - new Date(a.date));
+    },
+
+    /**
+     * Check that a value is a GUID before it is put into an OData URL or filter
+     */
+    isGuid: function (value) {
+      return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value || "");
+    },
+
+    /**
+     * Get the messages of the current view that match the search and facet filters
+     */
+    getSearchResults: function () {
+      return this.getFilteredMessages().filter((msg) => this.matchesSearch(msg));
+    },
+
+    /**
+     * Update search criteria ({ text, dateFrom, dateTo, regardingObjectId, senderId })
+     */
+    setSearch: function (criteria) {
+      Object.assign(this.state.search, criteria);
+    },
+
+    /**
+     * Clear the search box and facet filters
+     */
+    clearSearch: function () {
+      this.setSearch({ text: "", dateFrom: null, dateTo: null, regardingObjectId: null, senderId: null, serverFilter: null });
+    },
+
+    /**
+     * Check whether any search criterion is set
+     */
+    isSearchActive: function () {
+      const search = this.state.search;
+      return this.getSearchTerms().length > 0 || !!(search.dateFrom || search.dateTo || search.regardingObjectId || search.senderId);
+    },
+
+    /**
+     * Split the search text into lowercase terms; a message must contain every term
+     */
+    getSearchTerms: function () {
+      return this.state.search.text.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    },
+
+    /**
+     * Sender facet value: the staff user's id, or the name for legacy local messages
+     */
+    getSenderId: function (message) {
+      return message.fromStaffId || message.from;
+    },
+
+    /**
+     * Turn a "YYYY-MM-DD" date input value into local midnight, optionally some days later
+     */
+    parseSearchDate: function (value, addDays) {
+      const parts = value.split("-").map(Number);
+      return new Date(parts[0], parts[1] - 1, parts[2] + (addDays || 0));
+    },
+
+    /**
+     * Check a loaded message against the search text (subject, body, sender), date range and facets
+     */
+    matchesSearch: function (message) {
+      const search = this.state.search;
+
+      if (search.regardingObjectId && message.regardingObjectId !== search.regardingObjectId) {
+        return false;
+      }
+      if (search.senderId && this.getSenderId(message) !== search.senderId) {
+        return false;
+      }
+
+      const date = new Date(message.date);
+      if (search.dateFrom && date < this.parseSearchDate(search.dateFrom)) {
+        return false;
+      }
+      if (search.dateTo && date >= this.parseSearchDate(search.dateTo, 1)) {
+        return false;
+      }
+
+      const terms = this.getSearchTerms();
+      if (terms.length === 0) {
+        return true;
+      }
+      // Bodies may hold HTML; tags must not match
+      const text = `${message.subject} ${(message.body || "").replace(/<[^>]*>/g, " ")} ${message.from}`.toLowerCase();
+      return terms.every((term) => text.includes(term));
+    },
+
+    /**
+     * Get the regarding record and sender facet values of the current view, with message counts
+     * Returns { regarding: [{ value, label, count }], senders: [{ value, label, count }] }
+     */
+    getSearchFacets: function () {
+      const regarding = new Map();
+      const senders = new Map();
+      const count = (facet, value, label) => {
+        const entry = facet.get(value) || { value: value, label: label, count: 0 };
+        entry.count++;
+        facet.set(value, entry);
+      };
+
+      this.getFilteredMessages().forEach((msg) => {
+        if (msg.regardingObjectId) {
+          count(regarding, msg.regardingObjectId, msg.regardingName || msg.regardingObjectId);
+        }
+        count(senders, this.getSenderId(msg), msg.from);
+      });
+
+      const sorted = (facet) => Array.from(facet.values()).sort((a, b) => a.label.localeCompare(b.label));
+      return { regarding: sorted(regarding), senders: sorted(senders) };
+    },
+
+    /**
+     * Build the OData filter for the search criteria
+     * Sender names cannot be searched on the server, so the sender facet is sent by id only
+     */
+    buildSearchFilter: function () {
+      const search = this.state.search;
+      const parts = this.getSearchTerms().map((term) => {
+        const value = term.replace(/'/g, "''");
+        return `(contains(subject,'${value}') or contains(description,'${value}'))`;
+      });
+
+      if (search.dateFrom) {
+        parts.push(`createdon ge ${this.parseSearchDate(search.dateFrom).toISOString()}`);
+      }
+      if (search.dateTo) {
+        parts.push(`createdon lt ${this.parseSearchDate(search.dateTo, 1).toISOString()}`);
+      }
+      if (this.isGuid(search.regardingObjectId)) {
+        parts.push(`_regardingobjectid_value eq ${search.regardingObjectId}`);
+      }
+      if (this.isGuid(search.senderId)) {
+        parts.push(`_createdby_value eq ${search.senderId}`);
+      }
+
+      return parts.join(" and ");
+    },
+
+    /**
+     * Search the current view on the server while some of its pages are not loaded
+     * Local search only sees loaded messages; matches found with contains() are merged into state.messages
+     */
+    searchServer: async function () {
+      const view = this.getCurrentView();
+      if (!this.api || this.isLocalEnvironment() || !this.isSearchActive() || !this.hasMorePages(view)) {
+        return;
+      }
+
+      const searchFilter = this.buildSearchFilter();
+      if (!searchFilter) {
+        return;
+      }
+
+      const query = this.buildPortalQuery(view);
+      query.filter = `${query.filter} and ${searchFilter}`;
+      if (this.state.search.serverFilter === query.filter) {
+        return;
+      }
+
+      const request = ++this.state.search.request;
+      this.state.search.serverFilter = query.filter;
+      this.state.search.isSearchingServer = true;
+      UI.renderPage();
+
+      try {
+        const messages = this.mapPortalDataToMessages(await this.fetchAllPages(query));
+        this.mergeMessages(messages);
+        this.processMessages();
+      } catch (error) {
+        Log.error("Portal Inbox: Error searching messages:", error);
+        window.PortalExtensions.telemetry.trackException(EXTENSION_ID, error, {
+          operation: "searchServer",
+          status: error.status,
+          code: error.code,
+        });
+        // Allow the same search to be sent again
+        this.state.search.serverFilter = null;
+      } finally {
+        // A newer search owns the flag while it runs
+        if (request === this.state.search.request) {
+          this.state.search.isSearchingServer = false;
+        }
+        UI.renderMessages();
+      }
+    },
+
+    /**
+     * Get the current view ("inbox" or "archived")
+     */
+    getCurrentView: function () {
+      return this.state.showArchived ? "archived" : "inbox";
     },
 
     /**
@@ -455,892 +1539,3554 @@
     /**
      * Create a reply to a portal comment
      * This will create a new adx_portalcomment with direction code = 1 (outgoing from contact)
+     * Files are attached as notes once the comment exists; failedAttachments lists those that could not be uploaded
      */
-    createReply: async function (messageId, replyText) {
+    createReply: async function (messageId, replyText, files) {
       if (this.isLocalEnvironment() || !this.config.portalDataSource) {
-        window.PortalExtensions.log("Local environment: Reply not sent to server");
+        Log.log("Local environment: Reply not sent to server");
         return { success: false, message: "Local environment - reply not persisted" };
       }
 
+      let reply;
       try {
-        const config = this.config.portalDataSource;
-        const createOps = config.operations.create;
-
-        if (!createOps.enabled) {
+        if (!this.config.portalDataSource.operations.create.enabled) {
           throw new Error("Create operations are not enabled");
         }
+        reply = this.prepareReply(messageId, replyText, files);
+      } catch (error) {
+        Log.error("Failed to create reply:", error);
+        window.PortalExtensions.telemetry.trackEvent(EXTENSION_ID, "replySent", { success: false });
+        window.PortalExtensions.telemetry.trackException(EXTENSION_ID, error, {
+          operation: "createReply",
+          status: error.status,
+          code: error.code,
+        });
+        return { success: false, message: error.message };
+      }
 
-        const originalMessage = this.getMessage(messageId);
-        if (!originalMessage) {
-          throw new Error("Original message not found");
-        }
+      const result = await this.sendPreparedReply(reply, false);
+      if (!result.success && this.config.features.enableOutbox && this.isRetryableSendError(result.error)) {
+        // A new reply to the same message gets a new activityid; this one keeps its own in the outbox
+        delete this.state.pendingReplyIds[messageId];
+        const queued = await this.queueReply(reply, result.error);
+        return { success: false, queued: queued.status, message: result.message };
+      }
+      return result;
+    },
 
-        // No fallback - these must exist or fail
-        if (!originalMessage.toContactId) {
-          window.PortalExtensions.error("Original message:", originalMessage);
-          throw new Error("Contact ID not found in original message. API configuration error - check $expand parameter.");
-        }
-        if (!originalMessage.fromStaffId) {
-          window.PortalExtensions.error("Original message:", originalMessage);
-          throw new Error("Staff ID not found in original message. API configuration error - check _createdby_value.");
-        }
+    /**
+     * Collect everything needed to send a reply, so it can still be sent from the outbox
+     * after a reload, when the message it answers may not be loaded
+     */
+    prepareReply: function (messageId, replyText, files) {
+      const originalMessage = this.getMessage(messageId);
+      if (!originalMessage) {
+        throw new Error("Original message not found");
+      }
 
-        window.PortalExtensions.log("Reply party info:", {
-          fromContactId: originalMessage.toContactId,
-          toStaffId: originalMessage.fromStaffId,
-        });
+      // No fallback - these must exist or fail
+      if (!originalMessage.toContactId) {
+        Log.error("Original message:", originalMessage);
+        throw new Error("Contact ID not found in original message. API configuration error - check $expand parameter.");
+      }
+      if (!originalMessage.fromStaffId) {
+        Log.error("Original message:", originalMessage);
+        throw new Error("Staff ID not found in original message. API configuration error - check _createdby_value.");
+      }
 
-        const url = `${config.baseUrl}/${config.entitySetName}`;
+      Log.log("Reply party info:", {
+        fromContactId: originalMessage.toContactId,
+        toStaffId: originalMessage.fromStaffId,
+      });
+
+      if (!this.state.pendingReplyIds[messageId]) {
+        this.state.pendingReplyIds[messageId] = window.PortalExtensions.createGuid();
+      }
 
-        // Get CSRF token for authentication
-        const token = await this.getPortalToken();
+      // In the original message: from = staff (_createdby_value), to = contact (party)
+      // The reply reverses the roles
+      return {
+        id: this.state.pendingReplyIds[messageId],
+        messageId: messageId,
+        subject: `Re: ${this.normalizeSubject(originalMessage.subject)}`,
+        text: replyText,
+        files: files || [],
+        regardingObjectId: originalMessage.regardingObjectId,
+        regardingName: originalMessage.regardingName,
+        contactId: originalMessage.toContactId,
+        staffId: originalMessage.fromStaffId,
+      };
+    },
 
-        // Get the original message parties
-        // In the original message: from = staff (_createdby_value), to = contact (party)
-        // For the reply: reverse the roles
-        //   - From: portal contact (participationtypemask=1)
-        //   - To: staff member (participationtypemask=2)
+    /**
+     * Send a prepared reply, from the reply box or the outbox
+     * Returns { success, message, reply, failedAttachments } or { success: false, message, error }
+     */
+    sendPreparedReply: async function (prepared, fromOutbox) {
+      try {
+        const config = this.config.portalDataSource;
 
         // Reply message payload
         // Navigation property format using @odata.bind
         const regardingConfig = this.getRegardingObjectConfig();
         const replyPayload = {
-          subject: `Re: ${originalMessage.subject}`,
-          description: replyText,
+          activityid: prepared.id,
+          subject: prepared.subject,
+          description: prepared.text,
           adx_portalcommentdirectioncode: 1, // 1 = incoming (from contact to staff)
-          [`${regardingConfig.navigationProperty}@odata.bind`]: `/${regardingConfig.entitySetName}(${originalMessage.regardingObjectId})`,
+          [`${regardingConfig.navigationProperty}@odata.bind`]: `/${regardingConfig.entitySetName}(${prepared.regardingObjectId})`,
           // Activity parties with reversed sender/recipient from original
           adx_portalcomment_activity_parties: [
             {
               participationtypemask: 1, // From - portal contact replying
-              "partyid_contact@odata.bind": `/contacts(${originalMessage.toContactId})`,
+              "partyid_contact@odata.bind": `/contacts(${prepared.contactId})`,
             },
             {
               participationtypemask: 2, // To - staff member from original _createdby_value
-              "partyid_systemuser@odata.bind": `/systemusers(${originalMessage.fromStaffId})`,
+              "partyid_systemuser@odata.bind": `/systemusers(${prepared.staffId})`,
             },
           ],
         };
 
-        const response = await fetch(url, {
-          method: "POST",
-          headers: {
-            __RequestVerificationToken: token,
-            "Content-Type": "application/json",
-            Accept: "application/json",
-          },
-          body: JSON.stringify(replyPayload),
-        });
-
-        if (!response.ok) {
-          const errorText = await response.text();
-          throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
+        // primaryKey makes the POST idempotent, so the Web API client may retry it
+        const replyId = await this.api.create(config.entitySetName, replyPayload, { primaryKey: "activityid" });
+        if (this.state.pendingReplyIds[prepared.messageId] === replyId) {
+          delete this.state.pendingReplyIds[prepared.messageId];
         }
 
-        window.PortalExtensions.log("Reply created successfully");
-        return { success: true, message: "Reply sent successfully" };
+        // The reply is sent even when some of its attachments fail to upload
+        const files = prepared.files;
+        const uploaded = files.length > 0 ? await this.uploadAttachments(replyId, files) : { attachments: [], failed: [] };
+        this.state.attachments[replyId] = uploaded.attachments;
+
+        // Shown in the conversation right away, without reloading
+        const reply = {
+          id: replyId,
+          from: this.config.text.youLabel,
+          subject: prepared.subject,
+          body: prepared.text,
+          date: new Date().toISOString(),
+          read: true,
+          category: "portal-comment",
+          outgoing: true,
+          regardingObjectId: prepared.regardingObjectId,
+          regardingName: prepared.regardingName,
+          fromContactId: prepared.contactId,
+          directionCode: 1,
+        };
+        this.addToConversation(reply);
+        Sync.publish("replySent", { messageId: prepared.messageId, replyId: replyId, reply: reply, attachments: uploaded.attachments });
+
+        Log.log("Reply created successfully:", replyId);
+        window.PortalExtensions.telemetry.trackEvent(EXTENSION_ID, "replySent", {
+          success: true,
+          fromOutbox: fromOutbox,
+          attachments: uploaded.attachments.length,
+          failedAttachments: uploaded.failed.length,
+        });
+        return { success: true, message: "Reply sent successfully", reply: reply, failedAttachments: uploaded.failed };
       } catch (error) {
-        window.PortalExtensions.error("Failed to create reply:", error);
-        return { success: false, message: error.message };
+        Log.error("Failed to create reply:", error);
+        window.PortalExtensions.telemetry.trackEvent(EXTENSION_ID, "replySent", { success: false, fromOutbox: fromOutbox });
+        window.PortalExtensions.telemetry.trackException(EXTENSION_ID, error, {
+          operation: "createReply",
+          status: error.status,
+          code: error.code,
+        });
+        return { success: false, message: error.message, error: error };
       }
     },
 
     /**
-     * Mark all current messages as read
+     * Status of a reply whose send failed: "pending" waits for the connection to return,
+     * "failed" (e.g. an expired session, or a server that cannot be reached while online) waits for the user to retry
      */
-    markAllMessagesAsRead: function () {
-      const now = new Date().toISOString();
-      localStorage.setItem("portalInbox_lastCheckedComments", now);
+    getQueuedStatus: function () {
+      return navigator.onLine ? "failed" : "pending";
+    },
 
-      // Update local state
-      this.state.messages.forEach((msg) => {
-        msg.read = true;
+    /**
+     * Whether a reply that failed to send belongs in the outbox: network and server errors, throttling
+     * and an expired session can pass later; any other 4xx (a rejected payload, a missing table permission)
+     * would fail the same way again, so the error goes back to the user instead
+     */
+    isRetryableSendError: function (error) {
+      const status = error && error.status;
+      return !status || status >= 500 || [401, 408, 429].includes(status);
+    },
+
+    /**
+     * Put a reply that failed to send in the outbox (see getQueuedStatus)
+     */
+    queueReply: async function (prepared, error) {
+      const queued = Object.assign({}, prepared, {
+        status: this.getQueuedStatus(),
+        error: error ? error.message : null,
+        attempts: 1,
+        queuedAt: new Date().toISOString(),
       });
 
-      this.processMessages();
+      this.state.queuedReplies[queued.id] = queued;
+      try {
+        await this.outbox.store.set(queued.id, queued);
+      } catch (storeError) {
+        Log.error("Portal Inbox: Error saving reply to the outbox:", storeError);
+        window.PortalExtensions.telemetry.trackException(EXTENSION_ID, storeError, { operation: "queueReply" });
+      }
+      Sync.publish("outboxChanged");
+      window.PortalExtensions.telemetry.trackEvent(EXTENSION_ID, "replyQueued", { status: queued.status });
+      return queued;
     },
-  };
 
-  // ============================================================================
-  // UI NAMESPACE
-  // Handles all UI rendering, DOM manipulation, and user interactions
-  // ============================================================================
-  const UI = {
-    config: null,
+    /**
+     * Read the outbox, which other tabs may have changed
+     */
+    loadOutbox: async function () {
+      try {
+        const entries = await this.outbox.store.getAll();
+        this.state.queuedReplies = {};
+        entries.forEach((entry) => {
+          this.state.queuedReplies[entry.id] = entry;
+        });
+      } catch (error) {
+        Log.error("Portal Inbox: Error reading the outbox:", error);
+      }
+      return this.state.queuedReplies;
+    },
 
     /**
-     * Initialize UI namespace with configuration
+     * Get the replies waiting in the outbox for a message's thread, oldest first
      */
-    init: function (config) {
-      this.config = config;
+    getQueuedReplies: function (message) {
+      const key = this.getThreadKey(message);
+      return Object.values(this.state.queuedReplies)
+        .filter((entry) => this.getThreadKey(entry) === key)
+        .sort((a, b) => new Date(a.queuedAt) - new Date(b.queuedAt));
     },
 
     /**
-     * Inject CSS styles for the extension
+     * Send queued replies when this tab is elected to (see Sync.handleOutboxLeadershipChange)
      */
-    injectStyles: function () {
-      if (document.getElementById("portal-inbox-extension-styles")) {
+    startOutbox: function () {
+      if (this.isLocalEnvironment() || !this.config.features.enableOutbox || this.outbox.onlineHandler) {
         return;
       }
 
-      const colors = this.config.colors;
-      const styles = this.config.styles;
+      this.outbox.isLeader = true;
+      this.outbox.onlineHandler = () => this.flushOutbox();
+      window.addEventListener("online", this.outbox.onlineHandler);
+      this.flushOutbox();
+    },
+
+    /**
+     * Stop sending queued replies; another tab takes over
+     */
+    stopOutbox: function () {
+      this.outbox.isLeader = false;
+      if (this.outbox.onlineHandler) {
+        window.removeEventListener("online", this.outbox.onlineHandler);
+        this.outbox.onlineHandler = null;
+      }
+    },
+
+    /**
+     * Send the pending replies in the outbox, oldest first
+     */
+    flushOutbox: async function () {
+      if (!this.outbox.isLeader || !navigator.onLine) {
+        return;
+      }
+      if (this.outbox.isFlushing) {
+        this.outbox.flushRequested = true;
+        return;
+      }
+      this.outbox.isFlushing = true;
+      this.outbox.flushRequested = false;
+
+      try {
+        await this.loadOutbox();
+        const pending = Object.values(this.state.queuedReplies)
+          .filter((entry) => entry.status === "pending")
+          .sort((a, b) => new Date(a.queuedAt) - new Date(b.queuedAt));
+
+        for (const entry of pending) {
+          const result = await this.sendPreparedReply(entry, true);
+
+          if (result.success) {
+            delete this.state.queuedReplies[entry.id];
+            await this.outbox.store.delete(entry.id);
+            UI.handleConversationChanged(result.reply);
+            document.dispatchEvent(
+              new CustomEvent("portalInboxReplySent", {
+                detail: {
+                  originalMessage: this.getMessage(entry.messageId),
+                  replyText: entry.text,
+                  timestamp: new Date().toISOString(),
+                  success: true,
+                  fromOutbox: true,
+                },
+              })
+            );
+          } else {
+            entry.status = this.getQueuedStatus();
+            entry.error = result.message;
+            entry.attempts += 1;
+            await this.outbox.store.set(entry.id, entry);
+          }
+          Sync.publish("outboxChanged");
+          UI.handleOutboxChanged();
+
+          // Offline again: the rest waits for the next "online" event
+          if (!navigator.onLine) {
+            break;
+          }
+        }
+      } catch (error) {
+        Log.error("Portal Inbox: Error sending the outbox:", error);
+      } finally {
+        this.outbox.isFlushing = false;
+      }
+
+      if (this.outbox.flushRequested) {
+        this.flushOutbox();
+      }
+    },
+
+    /**
+     * Send a failed reply again
+     */
+    retryQueuedReply: async function (replyId) {
+      const entry = this.state.queuedReplies[replyId];
+      if (!entry) return;
+
+      entry.status = "pending";
+      await this.outbox.store.set(entry.id, entry);
+      Sync.publish("outboxChanged");
+      UI.handleOutboxChanged();
+      // Sent here when this tab holds the outbox, or by the tab that does once it hears of the change
+      this.flushOutbox();
+    },
+
+    /**
+     * Remove a reply from the outbox without sending it
+     */
+    discardQueuedReply: async function (replyId) {
+      delete this.state.queuedReplies[replyId];
+      await this.outbox.store.delete(replyId);
+      Sync.publish("outboxChanged");
+      UI.handleOutboxChanged();
+    },
+
+    /**
+     * Save the reply being typed to a message, or remove the draft when the text is empty
+     */
+    saveDraft: function (messageId, text) {
+      const operation = text ? this.draftStore.set(messageId, { text: text, savedAt: new Date().toISOString() }) : this.draftStore.delete(messageId);
+      return operation.catch((error) => Log.warn("Portal Inbox: Reply draft could not be saved:", error));
+    },
+
+    /**
+     * Get the saved draft reply to a message, or ""
+     */
+    loadDraft: async function (messageId) {
+      try {
+        const draft = await this.draftStore.get(messageId);
+        return draft ? draft.text : "";
+      } catch (error) {
+        Log.warn("Portal Inbox: Reply draft could not be read:", error);
+        return "";
+      }
+    },
+
+    /**
+     * Load the regarding records the contact can pick for a new message
+     * Table permissions limit the records to the contact's own; the local data source uses those of its messages
+     */
+    loadRegardingRecords: async function () {
+      const cache = this.state.regardingRecords;
+      if (cache.loaded) {
+        return cache.records;
+      }
+      if (cache.request) {
+        return cache.request;
+      }
+
+      if (this.isLocalEnvironment() || !this.api) {
+        const records = new Map();
+        Object.values(this.state.conversations)
+          .flatMap((conversation) => conversation.messages)
+          .concat(this.state.messages)
+          .filter((msg) => msg.regardingObjectId && !records.has(msg.regardingObjectId))
+          .forEach((msg) => {
+            records.set(msg.regardingObjectId, { id: msg.regardingObjectId, name: msg.regardingName || msg.regardingObjectId, ownerId: null });
+          });
+        cache.records = Array.from(records.values()).sort((a, b) => a.name.localeCompare(b.name));
+        cache.loaded = true;
+        return cache.records;
+      }
+
+      const regardingConfig = this.getRegardingObjectConfig();
+      const query = {
+        select: `${regardingConfig.primaryIdField},${regardingConfig.primaryNameField},_owninguser_value`,
+        filter: regardingConfig.filter,
+        orderBy: `${regardingConfig.primaryNameField} asc`,
+      };
+
+      cache.request = this.fetchAllPages(query, regardingConfig.entitySetName)
+        .then((records) => {
+          cache.records = records.map((record) => ({
+            id: record[regardingConfig.primaryIdField],
+            name: record[regardingConfig.primaryNameField] || record[regardingConfig.primaryIdField],
+            // Only set when a user (not a team) owns the record
+            ownerId: record._owninguser_value || null,
+          }));
+          cache.loaded = true;
+          return cache.records;
+        })
+        .catch((error) => {
+          Log.error("Portal Inbox: Error loading regarding records:", error);
+          window.PortalExtensions.telemetry.trackException(EXTENSION_ID, error, {
+            operation: "loadRegardingRecords",
+            status: error.status,
+            code: error.code,
+          });
+          throw error;
+        })
+        .finally(() => {
+          cache.request = null;
+        });
+
+      return cache.request;
+    },
+
+    /**
+     * Get the portal contact's id: from Power Pages' user object, or else from a loaded message sent to them
+     */
+    getContactId: function () {
+      const portalUser = window.Microsoft?.Dynamic365?.Portal?.User;
+      if (portalUser && portalUser.contactId) {
+        return portalUser.contactId;
+      }
+      const received = this.state.messages.find((msg) => msg.toContactId);
+      return received ? received.toContactId : null;
+    },
+
+    /**
+     * Get the activity party a new message about a regarding record is sent to:
+     * the user who owns the record, or else the configured default queue or user
+     * Returns { party, toOwner }, or null when there is nobody to send it to
+     */
+    getNewMessageRecipient: function (regardingRecord) {
+      const newMessageConfig = this.config.newMessage || {};
+      if (newMessageConfig.routeToOwner !== false && regardingRecord.ownerId) {
+        return { party: { "partyid_systemuser@odata.bind": `/systemusers(${regardingRecord.ownerId})` }, toOwner: true };
+      }
+
+      const recipient = newMessageConfig.defaultRecipient || {};
+      if (recipient.id && (recipient.type === "queue" || recipient.type === "systemuser")) {
+        return { party: { [`partyid_${recipient.type}@odata.bind`]: `/${recipient.type}s(${recipient.id})` }, toOwner: false };
+      }
+      return null;
+    },
+
+    /**
+     * Create a new comment from the contact about one of their regarding records
+     * Files are attached as notes once the comment exists, as for replies
+     */
+    createMessage: async function (regardingObjectId, subject, body, files) {
+      if (this.isLocalEnvironment() || !this.config.portalDataSource) {
+        Log.log("Local environment: Message not sent to server");
+        return { success: false, message: "Local environment - message not persisted" };
+      }
+
+      try {
+        const config = this.config.portalDataSource;
+        if (!config.operations.create.enabled) {
+          throw new Error("Create operations are not enabled");
+        }
+
+        const records = await this.loadRegardingRecords();
+        const regardingRecord = records.find((record) => record.id === regardingObjectId);
+        if (!regardingRecord) {
+          throw new Error("Regarding record not found");
+        }
+
+        const contactId = this.getContactId();
+        if (!contactId) {
+          throw new Error("Contact ID not found. The portal user must be signed in as a contact.");
+        }
+
+        const recipient = this.getNewMessageRecipient(regardingRecord);
+        if (!recipient) {
+          throw new Error("No recipient: the record has no owning user and newMessage.defaultRecipient is not configured.");
+        }
+
+        const regardingConfig = this.getRegardingObjectConfig();
+        if (!this.state.pendingMessageId) {
+          this.state.pendingMessageId = window.PortalExtensions.createGuid();
+        }
+
+        const messagePayload = {
+          activityid: this.state.pendingMessageId,
+          subject: subject,
+          description: body,
+          adx_portalcommentdirectioncode: 1, // 1 = incoming (from contact to staff)
+          [`${regardingConfig.navigationProperty}@odata.bind`]: `/${regardingConfig.entitySetName}(${regardingObjectId})`,
+          adx_portalcomment_activity_parties: [
+            {
+              participationtypemask: 1, // From - portal contact
+              "partyid_contact@odata.bind": `/contacts(${contactId})`,
+            },
+            Object.assign({ participationtypemask: 2 }, recipient.party), // To - record owner or default queue/user
+          ],
+        };
+
+        // primaryKey makes the POST idempotent, so the Web API client may retry it
+        const messageId = await this.api.create(config.entitySetName, messagePayload, { primaryKey: "activityid" });
+        this.state.pendingMessageId = null;
+
+        const uploaded = files && files.length > 0 ? await this.uploadAttachments(messageId, files) : { attachments: [], failed: [] };
+        this.state.attachments[messageId] = uploaded.attachments;
+
+        const sent = {
+          id: messageId,
+          from: this.config.text.youLabel,
+          subject: subject,
+          body: body,
+          date: new Date().toISOString(),
+          read: true,
+          category: "portal-comment",
+          outgoing: true,
+          regardingObjectId: regardingObjectId,
+          regardingName: regardingRecord.name,
+          fromContactId: contactId,
+          directionCode: 1,
+        };
+        this.addToConversation(sent);
+        Sync.publish("messageSent", { message: sent, attachments: uploaded.attachments });
+
+        Log.log("Message created successfully:", messageId);
+        window.PortalExtensions.telemetry.trackEvent(EXTENSION_ID, "messageSent", {
+          success: true,
+          routedToOwner: recipient.toOwner,
+          attachments: uploaded.attachments.length,
+          failedAttachments: uploaded.failed.length,
+        });
+        return { success: true, message: "Message sent successfully", sent: sent, failedAttachments: uploaded.failed };
+      } catch (error) {
+        Log.error("Failed to create message:", error);
+        window.PortalExtensions.telemetry.trackEvent(EXTENSION_ID, "messageSent", { success: false });
+        window.PortalExtensions.telemetry.trackException(EXTENSION_ID, error, {
+          operation: "createMessage",
+          status: error.status,
+          code: error.code,
+        });
+        return { success: false, message: error.message };
+      }
+    },
+
+    /**
+     * Mark all current messages as read
+     * @param {boolean} [broadcast=true] - Tell the other tabs (false when applying their change)
+     */
+    markAllMessagesAsRead: function (broadcast) {
+      const now = new Date().toISOString();
+      localStorage.setItem("portalInbox_lastCheckedComments", now);
+
+      // Update local state
+      this.state.messages.forEach((msg) => {
+        msg.read = true;
+      });
+      if (this.state.unreadTotal !== null) {
+        this.state.unreadTotal = 0;
+      }
+
+      this.processMessages();
+      if (broadcast !== false) {
+        Sync.publish("readAll");
+      }
+    },
+  };
+
+  // ============================================================================
+  // SYNC NAMESPACE
+  // Shares read status, replies and load results with other open tabs and
+  // elects the single tab that polls for new messages
+  // ============================================================================
+  const Sync = {
+    channel: null,
+    election: null,
+    // Elects the one tab that sends queued replies; hidden tabs may, so it does not need visibleOnly
+    outboxElection: null,
+
+    /**
+     * Connect to the other tabs and campaign for the polling and outbox leadership
+     */
+    init: function () {
+      this.channel = window.PortalExtensions.createTabChannel(EXTENSION_ID);
+      this.channel.subscribe((type, data) => this.handleMessage(type, data));
+
+      // Hidden tabs do not poll, so only visible tabs compete for leadership
+      this.election = window.PortalExtensions.createLeaderElection(EXTENSION_ID, (isLeader) => this.handleLeadershipChange(isLeader), {
+        visibleOnly: true,
+      });
+      this.election.campaign();
+
+      this.outboxElection = window.PortalExtensions.createLeaderElection(`${EXTENSION_ID}-outbox`, (isLeader) =>
+        this.handleOutboxLeadershipChange(isLeader)
+      );
+      this.outboxElection.campaign();
+    },
+
+    /**
+     * Tell the other tabs about a change
+     */
+    publish: function (type, data) {
+      if (this.channel) {
+        this.channel.post(type, data);
+      }
+    },
+
+    /**
+     * Poll only while this tab is the leader
+     */
+    handleLeadershipChange: function (isLeader) {
+      Log.log(`Portal Inbox: This tab ${isLeader ? "is now" : "is no longer"} the polling leader`);
+      if (isLeader) {
+        Data.startPolling();
+      } else {
+        Data.stopPolling();
+      }
+    },
+
+    /**
+     * Send queued replies only while this tab holds the outbox
+     */
+    handleOutboxLeadershipChange: function (isLeader) {
+      Log.log(`Portal Inbox: This tab ${isLeader ? "now sends" : "no longer sends"} queued replies`);
+      if (isLeader) {
+        Data.startOutbox();
+      } else {
+        Data.stopOutbox();
+      }
+    },
+
+    /**
+     * Apply a change made in another tab
+     */
+    handleMessage: function (type, data) {
+      Log.log(`Portal Inbox: Received ${type} from another tab`, data);
+
+      switch (type) {
+        case "readStatus":
+          Data.applyReadStatus(data.ids, data.read);
+          UI.renderMessages();
+          break;
+        case "readAll":
+          Data.markAllMessagesAsRead(false);
+          UI.renderMessages();
+          break;
+        case "archiveStatus":
+          Data.applyArchiveStatus(data.ids, data.archived);
+          UI.renderMessages();
+          break;
+        case "newMessages": {
+          const added = Data.mergeMessages(data.messages, true);
+          added.forEach((msg) => Data.addToConversation(msg));
+          if (added.length > 0) {
+            if (Data.state.unreadTotal !== null) {
+              Data.state.unreadTotal += added.filter((msg) => !msg.read).length;
+            }
+            Data.processMessages();
+            UI.insertNewMessages(added);
+          }
+          break;
+        }
+        case "loaded":
+          Data.applyLoadResult(data.messages, data.unreadTotal);
+          UI.renderMessages();
+          break;
+        case "replySent":
+          // Another tab sent this reply; forget any unsent reply id for the same message here
+          delete Data.state.pendingReplyIds[data.messageId];
+          Data.state.attachments[data.replyId] = data.attachments || [];
+          Data.addToConversation(data.reply);
+          UI.handleConversationChanged(data.reply);
+          document.dispatchEvent(new CustomEvent("portalInboxReplySynced", { detail: data }));
+          break;
+        case "messageSent":
+          Data.state.attachments[data.message.id] = data.attachments || [];
+          Data.addToConversation(data.message);
+          UI.handleConversationChanged(data.message);
+          break;
+        case "outboxChanged":
+          // The outbox store is shared, so only the news of a change is sent
+          Data.loadOutbox().then(() => {
+            UI.handleOutboxChanged();
+            Data.flushOutbox();
+          });
+          break;
+        default:
+          Log.warn(`Portal Inbox: Unknown cross-tab message type "${type}"`);
+      }
+    },
+
+    /**
+     * Leave the election and close the channel
+     */
+    dispose: function () {
+      if (this.election) {
+        this.election.close();
+        this.election = null;
+      }
+      if (this.outboxElection) {
+        this.outboxElection.close();
+        this.outboxElection = null;
+      }
+      if (this.channel) {
+        this.channel.close();
+        this.channel = null;
+      }
+    },
+  };
+
+  // ============================================================================
+  // I18N NAMESPACE
+  // Picks the inbox language, merges its text bundle under the configured text
+  // and formats dates, numbers and ICU-style messages for it
+  // ============================================================================
+  const I18n = {
+    locale: "en",
+    direction: "ltr",
+    pluralRules: null,
+    numberFormat: null,
+    relativeTimeFormat: null,
+    dateFormat: null,
+
+    /**
+     * Choose the locale and build config.text from the English defaults, the locale's bundle and
+     * the strings the deployer set in text (overrides), in that order
+     */
+    init: function (config, overrides) {
+      let locale = this.resolveLocale(config.i18n.locale);
+      let language = locale.split("-")[0].toLowerCase();
+
+      // Built-in bundles first, then config bundles; the language ("pt") before the full tag ("pt-BR")
+      const configBundles = config.i18n.bundles || {};
+      const tags = [language, locale.toLowerCase()];
+      const bundles = tags.flatMap((tag) => [this.findBundle(this.bundles, tag), this.findBundle(configBundles, tag)]).filter(Boolean);
+
+      // Without a translation the text stays English, so dates, numbers and direction do too
+      if (bundles.length === 0 && language !== "en") {
+        Log.warn(`Portal Inbox Extension: No text bundle for locale ${locale}, using English`);
+        locale = "en";
+        language = "en";
+      }
+
+      this.locale = locale;
+      this.direction = RTL_LANGUAGES.includes(language) ? "rtl" : "ltr";
+      this.pluralRules = new Intl.PluralRules(locale);
+      this.numberFormat = new Intl.NumberFormat(locale);
+      this.relativeTimeFormat = new Intl.RelativeTimeFormat(locale, { numeric: "auto" });
+      this.dateFormat = new Intl.DateTimeFormat(locale, { dateStyle: "medium" });
+
+      config.text = Object.assign({}, config.text, ...bundles, overrides);
+      Log.log(`Portal Inbox Extension: Using locale ${this.locale} (${this.direction})`);
+    },
+
+    /**
+     * The configured locale, else the page language (<html lang>, then the Power Pages crm-lang
+     * attribute), else the browser's, else English
+     */
+    resolveLocale: function (configured) {
+      const root = document.documentElement;
+      const candidates = [configured, root.getAttribute("lang"), root.getAttribute("crm-lang"), navigator.language];
+
+      for (const candidate of candidates) {
+        if (!candidate) {
+          continue;
+        }
+        try {
+          return Intl.getCanonicalLocales(candidate.replace("_", "-"))[0];
+        } catch (error) {
+          Log.warn(`Portal Inbox Extension: Ignoring invalid locale "${candidate}"`);
+        }
+      }
+      return "en";
+    },
+
+    /**
+     * Bundle for a lowercase language tag, whatever case its key uses
+     */
+    findBundle: function (bundles, tag) {
+      const key = Object.keys(bundles).find((name) => name.toLowerCase() === tag);
+      return key ? bundles[key] : null;
+    },
+
+    /**
+     * Fill in a message: {name} takes values.name, {name, plural, =0 {...} one {# ...} other {...}}
+     * picks a branch by Intl.PluralRules (# is the number) and {name, select, a {...} other {...}}
+     * by value. Placeholders without a value are left as they are
+     */
+    format: function (template, values = {}) {
+      if (!template) {
+        return "";
+      }
+
+      let result = "";
+      let index = 0;
+      while (index < template.length) {
+        const open = template.indexOf("{", index);
+        const close = open === -1 ? -1 : this.findClosingBrace(template, open);
+        if (close === -1) {
+          result += template.slice(index);
+          break;
+        }
+        result += template.slice(index, open) + this.formatArgument(template.slice(open + 1, close), values);
+        index = close + 1;
+      }
+      return result;
+    },
+
+    /**
+     * Index of the brace closing the one at open, or -1
+     */
+    findClosingBrace: function (text, open) {
+      let depth = 0;
+      for (let i = open; i < text.length; i++) {
+        if (text[i] === "{") {
+          depth++;
+        } else if (text[i] === "}" && --depth === 0) {
+          return i;
+        }
+      }
+      return -1;
+    },
+
+    /**
+     * Format one placeholder (the text between its braces)
+     */
+    formatArgument: function (argument, values) {
+      const match = argument.match(/^\s*(\w+)\s*(?:,\s*(plural|select)\s*,([\s\S]*))?$/);
+      if (!match || values[match[1]] === undefined || values[match[1]] === null) {
+        return `{${argument}}`;
+      }
+
+      const value = values[match[1]];
+      if (!match[2]) {
+        return typeof value === "number" ? this.formatNumber(value) : String(value);
+      }
+
+      const branches = this.parseBranches(match[3]);
+      if (match[2] === "select") {
+        return this.format(branches[value] ?? branches.other ?? "", values);
+      }
+
+      const branch = branches[`=${value}`] ?? branches[this.pluralRules.select(value)] ?? branches.other ?? "";
+      return this.format(branch.replace(/#/g, this.formatNumber(value)), values);
+    },
+
+    /**
+     * Branches of a plural or select argument: "one {...} other {...}" becomes { one: "...", other: "..." }
+     */
+    parseBranches: function (text) {
+      const branches = {};
+      let index = 0;
+      while (index < text.length) {
+        const open = text.indexOf("{", index);
+        const close = open === -1 ? -1 : this.findClosingBrace(text, open);
+        if (close === -1) {
+          break;
+        }
+        branches[text.slice(index, open).trim()] = text.slice(open + 1, close);
+        index = close + 1;
+      }
+      return branches;
+    },
+
+    /**
+     * Format a number for the locale
+     */
+    formatNumber: function (value) {
+      return this.numberFormat.format(value);
+    },
+
+    /**
+     * "3 hours ago", "yesterday"; value is negative for the past
+     */
+    formatRelativeTime: function (value, unit) {
+      return this.relativeTimeFormat.format(value, unit);
+    },
+
+    /**
+     * Medium-length date, e.g. "Jan 5, 2026" or "5 janv. 2026"
+     */
+    formatDate: function (date) {
+      return this.dateFormat.format(date);
+    },
+
+    /**
+     * File size in B, kB or MB, with the locale's digits and unit names
+     */
+    formatFileSize: function (bytes) {
+      const format = (value, unit) => new Intl.NumberFormat(this.locale, { style: "unit", unit, unitDisplay: "short", maximumFractionDigits: 1 }).format(value);
+      if (bytes < 1024) {
+        return format(bytes, "byte");
+      }
+      if (bytes < 1024 * 1024) {
+        return format(Math.round(bytes / 1024), "kilobyte");
+      }
+      return format(bytes / (1024 * 1024), "megabyte");
+    },
+
+    /**
+     * lang and dir attributes for the root element of anything the inbox renders
+     */
+    getLanguageAttributes: function () {
+      return `lang="${this.locale}" dir="${this.direction}"`;
+    },
+
+    // Built-in translations of text, by language or full locale tag; i18n.bundles adds to and overrides them
+    bundles: {
+      es: {
+        inboxButtonLabel: "{count, plural, =0 {Mensajes} other {Mensajes, # sin leer}}",
+        unreadAnnouncement: "{count, plural, =0 {No hay mensajes sin leer} one {# mensaje sin leer} other {# mensajes sin leer}}",
+        newMessagesAnnouncement: "{count, plural, one {# mensaje nuevo} other {# mensajes nuevos}}, {unread} sin leer",
+        messagesHeader: "Mensajes",
+        archivedHeader: "Mensajes archivados",
+        unreadLabel: "{count} sin leer",
+        noUnreadMessages: "No hay mensajes",
+        noArchivedMessages: "No hay mensajes archivados",
+        viewArchived: "Ver mensajes archivados",
+        viewUnread: "Ver bandeja de entrada",
+        loadingMessages: "Cargando mensajes...",
+        loadMoreMessages: "Cargar más mensajes",
+        loadingMoreMessages: "Cargando más mensajes...",
+        failedToLoad: "No se pudieron cargar los mensajes",
+        modalTitle: "Mensaje",
+        closeButton: "Cerrar",
+        replyButton: "Responder",
+        sendReplyButton: "Enviar respuesta",
+        cancelButton: "Cancelar",
+        confirmButton: "Confirmar",
+        okButton: "Aceptar",
+        archiveButton: "Archivar",
+        unarchiveButton: "Mover a la bandeja de entrada",
+        markUnreadButton: "Marcar como no leído",
+        archiveFailed: "Algunos mensajes no se pudieron mover. Inténtelo de nuevo.",
+        selectAll: "Seleccionar todo",
+        selectedCount: "{count, plural, one {# seleccionado} other {# seleccionados}}",
+        selectThread: "Seleccionar",
+        archiveSelected: "Archivar seleccionados",
+        unarchiveSelected: "Mover seleccionados a la bandeja de entrada",
+        replyPlaceholder: "Escriba su respuesta aquí...",
+        replyPending: "Pendiente",
+        replyFailed: "Error",
+        retryReply: "Reintentar",
+        discardReply: "Descartar",
+        confirmDiscardReply: "¿Descartar esta respuesta? Todavía no se ha enviado.",
+        replyQueuedOffline: "No tiene conexión. La respuesta se enviará cuando vuelva la conexión.",
+        replyQueuedFailed: "No se pudo enviar la respuesta. Se ha guardado para que pueda reintentarlo.",
+        replyLabel: "Su respuesta:",
+        sendingLabel: "Enviando...",
+        sendReplyFailed: "No se pudo enviar la respuesta: {error}",
+        selectMessage: "Seleccione un mensaje para leerlo.",
+        searchPlaceholder: "Buscar mensajes",
+        searchFromDate: "Desde",
+        searchToDate: "Hasta",
+        searchRegarding: "Todos los registros",
+        searchSender: "Todos los remitentes",
+        clearSearch: "Borrar búsqueda",
+        searchingServer: "Buscando en todos los mensajes...",
+        searchResultCount: "{count, plural, one {# mensaje coincide} other {# mensajes coinciden}}",
+        noSearchResults: "Ningún mensaje coincide con su búsqueda",
+        youLabel: "Usted",
+        regardingLabel: "Referente a:",
+        loadingConversation: "Cargando conversación...",
+        conversationLoadFailed: "No se pudieron cargar los mensajes anteriores de esta conversación.",
+        attachFiles: "Adjuntar archivos",
+        attachmentLimits: "{count, plural, one {Hasta # archivo de {size}} other {Hasta # archivos de {size} cada uno}}",
+        attachmentTooLarge: "{name} ocupa más de {size}.",
+        attachmentTypeNotAllowed: "{name} no es un tipo de archivo permitido.",
+        tooManyAttachments: "{count, plural, one {Solo se puede adjuntar un archivo.} other {No se pueden adjuntar más de # archivos.}}",
+        removeAttachment: "Quitar",
+        attachmentsLoadFailed: "No se pudieron cargar los archivos adjuntos.",
+        attachmentUploadFailed: "Su respuesta se envió, pero no se pudieron cargar estos archivos adjuntos: {names}",
+        downloadFailed: "No se pudo descargar el archivo adjunto.",
+        newMessageButton: "Nuevo mensaje",
+        composeTitle: "Nuevo mensaje",
+        composeRegardingLabel: "Referente a:",
+        composeRegardingPlaceholder: "Seleccione un registro",
+        composeSubjectLabel: "Asunto:",
+        composeBodyLabel: "Mensaje:",
+        composePlaceholder: "Escriba su mensaje aquí...",
+        sendMessageButton: "Enviar mensaje",
+        loadingRegardingRecords: "Cargando registros...",
+        noRegardingRecords: "No hay registros disponibles",
+        regardingRecordsLoadFailed: "No se pudieron cargar los registros",
+        composePrompt: "Seleccione un registro y escriba un asunto y un mensaje.",
+        confirmSendMessage: "¿Seguro que desea enviar este mensaje?",
+        messageSent: "Su mensaje se envió.",
+        messageSentAttachmentsFailed: "Su mensaje se envió, pero no se pudieron cargar estos archivos adjuntos: {names}",
+        sendMessageFailed: "No se pudo enviar el mensaje: {error}",
+        newBadge: "Nuevo",
+        threadSizeLabel: "{count, plural, one {# mensaje} other {# mensajes}}",
+        justNow: "Ahora mismo",
+        replyPrompt: "Escriba un mensaje de respuesta.",
+        confirmSend: "¿Seguro que desea enviar esta respuesta?",
+        replySent: "¡Respuesta enviada correctamente!",
+        confirmDialogTitle: "Confirmar",
+        alertDialogTitle: "Aviso",
+        errorDialogTitle: "Error",
+        messageRequiredDialogTitle: "Mensaje obligatorio",
+        confirmSendDialogTitle: "Confirmar envío",
+        messageSentDialogTitle: "Mensaje enviado",
+        discardReplyDialogTitle: "Descartar respuesta",
+        externalLinkDialogTitle: "Aviso de vínculo externo",
+        blockedLinkDialogTitle: "Vínculo bloqueado",
+        externalLinkWarning:
+          "Está a punto de salir de este sitio web para ir a un sitio externo.\n\nSitio externo: {domain}\n\nEste vínculo se proporciona para su comodidad. No somos responsables del contenido, las directivas de privacidad ni las prácticas de los sitios externos.\n\n¿Desea continuar?",
+        blockedLinkMessage: "Este vínculo se ha bloqueado por su seguridad.\n\nSitio bloqueado: {domain}",
+        blockedLinkTitle: "Este vínculo está bloqueado",
+      },
+      fr: {
+        inboxButtonLabel: "{count, plural, =0 {Messages} one {Messages, # non lu} other {Messages, # non lus}}",
+        unreadAnnouncement: "{count, plural, =0 {Aucun message non lu} one {# message non lu} other {# messages non lus}}",
+        newMessagesAnnouncement: "{count, plural, one {# nouveau message} other {# nouveaux messages}}, {unread, plural, one {# non lu} other {# non lus}}",
+        messagesHeader: "Messages",
+        archivedHeader: "Messages archivés",
+        unreadLabel: "{count, plural, one {# non lu} other {# non lus}}",
+        noUnreadMessages: "Aucun message",
+        noArchivedMessages: "Aucun message archivé",
+        viewArchived: "Voir les messages archivés",
+        viewUnread: "Voir la boîte de réception",
+        loadingMessages: "Chargement des messages...",
+        loadMoreMessages: "Charger plus de messages",
+        loadingMoreMessages: "Chargement d’autres messages...",
+        failedToLoad: "Impossible de charger les messages",
+        modalTitle: "Message",
+        closeButton: "Fermer",
+        replyButton: "Répondre",
+        sendReplyButton: "Envoyer la réponse",
+        cancelButton: "Annuler",
+        confirmButton: "Confirmer",
+        okButton: "OK",
+        archiveButton: "Archiver",
+        unarchiveButton: "Déplacer vers la boîte de réception",
+        markUnreadButton: "Marquer comme non lu",
+        archiveFailed: "Certains messages n’ont pas pu être déplacés. Veuillez réessayer.",
+        selectAll: "Tout sélectionner",
+        selectedCount: "{count, plural, one {# sélectionné} other {# sélectionnés}}",
+        selectThread: "Sélectionner",
+        archiveSelected: "Archiver la sélection",
+        unarchiveSelected: "Déplacer la sélection vers la boîte de réception",
+        replyPlaceholder: "Saisissez votre réponse ici...",
+        replyPending: "En attente",
+        replyFailed: "Échec",
+        retryReply: "Réessayer",
+        discardReply: "Abandonner",
+        confirmDiscardReply: "Abandonner cette réponse ? Elle n’a pas été envoyée.",
+        replyQueuedOffline: "Vous êtes hors ligne. La réponse sera envoyée dès le retour de la connexion.",
+        replyQueuedFailed: "La réponse n’a pas pu être envoyée. Elle a été conservée pour que vous puissiez réessayer.",
+        replyLabel: "Votre réponse :",
+        sendingLabel: "Envoi...",
+        sendReplyFailed: "Impossible d’envoyer la réponse : {error}",
+        selectMessage: "Sélectionnez un message pour le lire.",
+        searchPlaceholder: "Rechercher des messages",
+        searchFromDate: "Du",
+        searchToDate: "Au",
+        searchRegarding: "Tous les enregistrements",
+        searchSender: "Tous les expéditeurs",
+        clearSearch: "Effacer la recherche",
+        searchingServer: "Recherche dans tous les messages...",
+        searchResultCount: "{count, plural, one {# message correspondant} other {# messages correspondants}}",
+        noSearchResults: "Aucun message ne correspond à votre recherche",
+        youLabel: "Vous",
+        regardingLabel: "Concernant :",
+        loadingConversation: "Chargement de la conversation...",
+        conversationLoadFailed: "Les messages précédents de cette conversation n’ont pas pu être chargés.",
+        attachFiles: "Joindre des fichiers",
+        attachmentLimits: "{count, plural, one {Jusqu’à # fichier de {size}} other {Jusqu’à # fichiers de {size} chacun}}",
+        attachmentTooLarge: "{name} dépasse {size}.",
+        attachmentTypeNotAllowed: "{name} n’est pas un type de fichier autorisé.",
+        tooManyAttachments: "{count, plural, one {Un seul fichier peut être joint.} other {Vous ne pouvez pas joindre plus de # fichiers.}}",
+        removeAttachment: "Retirer",
+        attachmentsLoadFailed: "Les pièces jointes n’ont pas pu être chargées.",
+        attachmentUploadFailed: "Votre réponse a été envoyée, mais ces pièces jointes n’ont pas pu être chargées : {names}",
+        downloadFailed: "La pièce jointe n’a pas pu être téléchargée.",
+        newMessageButton: "Nouveau message",
+        composeTitle: "Nouveau message",
+        composeRegardingLabel: "Concernant :",
+        composeRegardingPlaceholder: "Sélectionnez un enregistrement",
+        composeSubjectLabel: "Objet :",
+        composeBodyLabel: "Message :",
+        composePlaceholder: "Saisissez votre message ici...",
+        sendMessageButton: "Envoyer le message",
+        loadingRegardingRecords: "Chargement des enregistrements...",
+        noRegardingRecords: "Aucun enregistrement disponible",
+        regardingRecordsLoadFailed: "Impossible de charger les enregistrements",
+        composePrompt: "Sélectionnez un enregistrement, puis saisissez un objet et un message.",
+        confirmSendMessage: "Voulez-vous vraiment envoyer ce message ?",
+        messageSent: "Votre message a été envoyé.",
+        messageSentAttachmentsFailed: "Votre message a été envoyé, mais ces pièces jointes n’ont pas pu être chargées : {names}",
+        sendMessageFailed: "Impossible d’envoyer le message : {error}",
+        newBadge: "Nouveau",
+        threadSizeLabel: "{count, plural, one {# message} other {# messages}}",
+        justNow: "À l’instant",
+        replyPrompt: "Veuillez saisir une réponse.",
+        confirmSend: "Voulez-vous vraiment envoyer cette réponse ?",
+        replySent: "Réponse envoyée !",
+        confirmDialogTitle: "Confirmer",
+        alertDialogTitle: "Avertissement",
+        errorDialogTitle: "Erreur",
+        messageRequiredDialogTitle: "Message requis",
+        confirmSendDialogTitle: "Confirmer l’envoi",
+        messageSentDialogTitle: "Message envoyé",
+        discardReplyDialogTitle: "Abandonner la réponse",
+        externalLinkDialogTitle: "Lien externe",
+        blockedLinkDialogTitle: "Lien bloqué",
+        externalLinkWarning:
+          "Vous êtes sur le point de quitter ce site pour un site externe.\n\nSite externe : {domain}\n\nCe lien vous est fourni par commodité. Nous ne sommes pas responsables du contenu, des politiques de confidentialité ni des pratiques des sites externes.\n\nVoulez-vous continuer ?",
+        blockedLinkMessage: "Ce lien a été bloqué pour votre sécurité.\n\nSite bloqué : {domain}",
+        blockedLinkTitle: "Ce lien est bloqué",
+      },
+    },
+  };
+
+  // ============================================================================
+  // UI NAMESPACE
+  // Handles all UI rendering, DOM manipulation, and user interactions
+  // ============================================================================
+  const UI = {
+    config: null,
+
+    // Element ids of the places a message is read: the modal and the full-page reading pane
+    messageViews: {
+      modal: { title: "portalMessageModalLabel", body: "portalMessageBody", footer: "portalMessageFooter" },
+      page: { title: "portal-inbox-page-title", body: "portal-inbox-page-body", footer: "portal-inbox-page-footer" },
+    },
+
+    // Element the full-page inbox is mounted in (see mountPage)
+    pageContainer: null,
+
+    // Delays the server-side search while the user is typing
+    searchTimer: null,
+
+    // Keys of the threads checked in the full-page list, for the bulk archive actions
+    selectedThreads: new Set(),
+
+    // Files picked in the compose form
+    composeFiles: [],
+
+    // Delays saving the reply draft while the user is typing, per message view
+    draftTimers: {},
+
+    // Unread count last read out by the live region (see announce), so an unchanged count is not repeated
+    announcedUnreadCount: null,
+    announceTimer: null,
+
+    /**
+     * Initialize UI namespace with configuration
+     */
+    init: function (config) {
+      this.config = config;
+    },
+
+    /**
+     * Text for a key with its placeholders filled in (see I18n.format)
+     */
+    t: function (key, values) {
+      return I18n.format(this.config.text[key], values);
+    },
+
+    /**
+     * Inject CSS styles for the extension
+     */
+    injectStyles: function () {
+      if (document.getElementById("portal-inbox-extension-styles")) {
+        return;
+      }
+
+      const colors = this.config.colors;
+      const styles = this.config.styles;
+
+      const styleElement = document.createElement("style");
+      styleElement.id = "portal-inbox-extension-styles";
+      styleElement.textContent = `
+                /* Portal Inbox Extension Styles */
+                .message-avatar {
+                    width: 40px !important;
+                    height: 40px !important;
+                    border-radius: 50% !important;
+                    background: linear-gradient(135deg, ${colors.avatarGradientStart} 0%, ${colors.avatarGradientEnd} 100%) !important;
+                    color: ${colors.avatarText} !important;
+                    display: flex !important;
+                    align-items: center !important;
+                    justify-content: center !important;
+                    font-weight: 600 !important;
+                    font-size: 0.875rem !important;
+                    flex-shrink: 0 !important;
+                    margin-inline-end: 0.75rem !important;
+                }
+                
+                .message-from {
+                    color: ${colors.messageFrom} !important;
+                    font-weight: 600 !important;
+                    font-size: 0.95rem !important;
+                }
+                
+                .message-subject {
+                    color: ${colors.messageSubject} !important;
+                    font-size: 0.875rem !important;
+                    overflow: hidden !important;
+                    text-overflow: ellipsis !important;
+                    white-space: nowrap !important;
+                }
+                
+                .message-time {
+                    color: ${colors.messageTime} !important;
+                    font-size: 0.75rem !important;
+                }
+                
+                #portal-inbox-badge {
+                    font-size: 0.65rem !important;
+                    padding: 0.4em 0.8em !important;
+                    font-weight: 600 !important;
+                    background-color: ${colors.badgeBackground} !important;
+                    color: ${colors.badgeText} !important;
+                }
+                
+                #portal-inbox-extension .nav-link {
+                    color: ${colors.navLinkColor} !important;
+                    text-decoration: none !important;
+                }
+                
+                #portal-inbox-extension .nav-link:hover {
+                    color: ${colors.navLinkColor} !important;
+                    text-decoration: none !important;
+                }
+                
+                #portal-inbox-extension .nav-link::after {
+                    border-top-color: ${colors.navLinkCaretColor} !important;
+                }
+                
+                .dropdown-menu {
+                    border: none !important;
+                    border-radius: 12px !important;
+                    box-shadow: 0 10px 40px ${colors.dropdownShadow} !important;
+                    padding: 0 !important;
+                    overflow: hidden !important;
+                    margin-top: 0.5rem !important;
+                    background-color: white !important;
+                }
+                
+                .dropdown-header {
+                    background: linear-gradient(135deg, ${colors.headerGradientStart} 0%, ${colors.headerGradientEnd} 100%) !important;
+                    color: ${colors.headerText} !important;
+                    font-weight: 700 !important;
+                    font-size: 1rem !important;
+                    padding: 16px 20px !important;
+                    margin: 0 !important;
+                    border-radius: 0 !important;
+                }
+                
+                .dropdown-divider {
+                    margin: 0 !important;
+                    border-color: ${colors.dropdownBorder} !important;
+                }
+                
+                #portal-inbox-messages .dropdown-item {
+                    padding: 16px 20px !important;
+                    transition: background-color 0.15s !important;
+                    border-bottom: 1px solid ${colors.itemBorderColor} !important;
+                    text-decoration: none !important;
+                    background-color: white !important;
+                }
+                
+                #portal-inbox-messages .dropdown-item:last-child {
+                    border-bottom: none !important;
+                }
+                
+                #portal-inbox-messages .dropdown-item:hover {
+                    background-color: white !important;
+                    text-decoration: none !important;
+                }
+                
+                #portal-inbox-messages .dropdown-item.fw-bold {
+                    background-color: ${colors.itemUnreadBackground} !important;
+                }
+                
+                @keyframes portal-inbox-badge-pulse {
+                    0% { transform: translate(-50%, -50%) scale(1); }
+                    50% { transform: translate(-50%, -50%) scale(1.25); }
+                    100% { transform: translate(-50%, -50%) scale(1); }
+                }
+                
+                #portal-inbox-badge.portal-inbox-badge-pulse {
+                    animation: portal-inbox-badge-pulse 0.6s ease-in-out 2;
+                }
+                
+                .message-regarding {
+                    color: ${colors.messageTime} !important;
+                    font-size: 0.75rem !important;
+                }
+                
+                .portal-conversation {
+                    display: flex !important;
+                    flex-direction: column !important;
+                    gap: 1rem !important;
+                }
+                
+                .conversation-message {
+                    display: flex !important;
+                    align-items: flex-end !important;
+                    max-width: 85% !important;
+                }
+                
+                .conversation-message.outgoing {
+                    align-self: flex-end !important;
+                }
+                
+                .conversation-bubble {
+                    padding: 0.75rem 1rem !important;
+                    border-radius: 12px !important;
+                    background-color: ${colors.conversationIncomingBackground} !important;
+                    min-width: 0 !important;
+                }
+                
+                .conversation-message.outgoing .conversation-bubble {
+                    background-color: ${colors.conversationOutgoingBackground} !important;
+                }
+                
+                .conversation-bubble .message-body > :last-child {
+                    margin-bottom: 0 !important;
+                }
+                
+                .conversation-bubble .message-body ul,
+                .conversation-bubble .message-body ol {
+                    padding-inline-start: 1.25rem !important;
+                }
+                
+                .conversation-bubble .message-body pre {
+                    white-space: pre-wrap !important;
+                }
+                
+                .conversation-bubble .message-body img {
+                    max-width: 100% !important;
+                }
+                
+                .conversation-bubble .message-body a.portal-link-blocked {
+                    color: ${colors.messageTime} !important;
+                    text-decoration: line-through !important;
+                    cursor: not-allowed !important;
+                }
+                
+                .portal-queued-reply .conversation-bubble {
+                    border: 1px dashed ${colors.itemBorderColor} !important;
+                }
+                
+                .portal-inbox-page {
+                    height: ${styles.pageHeight} !important;
+                    background-color: white !important;
+                    overflow: hidden !important;
+                }
+                
+                .portal-inbox-page-pane {
+                    height: 100% !important;
+                    min-height: 0 !important;
+                }
+                
+                #portal-inbox-page-messages .list-group-item.portal-inbox-page-unread {
+                    background-color: ${colors.itemUnreadBackground} !important;
+                }
+                
+                #portal-inbox-page-messages .list-group-item.portal-inbox-page-selected {
+                    background-color: ${colors.itemHoverBackground} !important;
+                    box-shadow: inset 3px 0 0 ${colors.primaryColor} !important;
+                }
+                
+                @media (max-width: 767.98px) {
+                    .portal-inbox-page {
+                        height: auto !important;
+                    }
+                
+                    .portal-inbox-page-pane {
+                        height: ${styles.pageHeight} !important;
+                    }
+                }
+                
+                @media (prefers-reduced-motion: reduce) {
+                    #portal-inbox-badge.portal-inbox-badge-pulse {
+                        animation: none;
+                    }
+                }
+            `;
+
+      document.head.appendChild(styleElement);
+    },
+
+    /**
+     * Create the widget HTML structure
+     */
+    createWidget: function () {
+      const container = document.getElementById(this.config.containerId);
+      if (!container) {
+        Log.error("Portal Inbox Widget: Container element not found");
+        return;
+      }
+
+      const widgetHTML = `
+                <div class="dropdown" ${I18n.getLanguageAttributes()}>
+                    <a class="nav-link dropdown-toggle position-relative" href="#" id="portalInboxDropdown" 
+                       role="button" data-bs-toggle="dropdown" aria-expanded="false" aria-label="${this.t("inboxButtonLabel", { count: 0 })}" style="cursor: pointer;">
+                        <i class="${this.config.text.dropdownToggleIcon}" aria-hidden="true"></i>
+                        <span class="position-absolute top-0 start-100 translate-middle badge rounded-pill bg-danger" 
+                              id="portal-inbox-badge" aria-hidden="true" style="display: none; pointer-events: none;">
+                            0
+                        </span>
+                    </a>
+                    <ul class="dropdown-menu dropdown-menu-end" aria-labelledby="portalInboxDropdown" 
+                        id="portal-inbox-messages" style="min-width: ${this.config.styles.dropdownMinWidth}; max-height: ${this.config.styles.dropdownMaxHeight}; overflow-y: auto;">
+                        <li><h6 class="dropdown-header">${this.config.text.loadingMessages}</h6></li>
+                    </ul>
+                    <div class="visually-hidden" id="portal-inbox-status" role="status" aria-live="polite" aria-atomic="true"></div>
+                </div>
+            `;
+
+      // Container already verified to exist above
+      container.innerHTML = widgetHTML;
+
+      const messagesContainer = document.getElementById("portal-inbox-messages");
+      messagesContainer.addEventListener("scroll", () => this.handleScroll(messagesContainer));
+      this.initRovingFocus(messagesContainer, "li");
+
+      const dropdownToggle = document.getElementById("portalInboxDropdown");
+      if (dropdownToggle) {
+        dropdownToggle.addEventListener("show.bs.dropdown", (e) => {
+          if (!Data.state.isLoaded) {
+            e.preventDefault();
+            Log.log("Portal Inbox: Messages still loading...");
+          }
+        });
+      } else {
+        Log.error("Portal Inbox: Dropdown toggle element not found");
+      }
+
+      this.createMessageModal();
+    },
+
+    /**
+     * Create the message detail modal
+     */
+    createMessageModal: function () {
+      if (document.getElementById("portalMessageModal")) {
+        return;
+      }
+
+      const modalHTML = `
+                <div class="modal fade" id="portalMessageModal" ${I18n.getLanguageAttributes()} tabindex="-1" aria-labelledby="portalMessageModalLabel" aria-hidden="true">
+                    <div class="modal-dialog modal-dialog-centered modal-lg">
+                        <div class="modal-content">
+                            <div class="modal-header">
+                                <h5 class="modal-title" id="portalMessageModalLabel">${this.config.text.modalTitle}</h5>
+                                <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="${this.config.text.closeButton}"></button>
+                            </div>
+                            <div class="modal-body" id="portalMessageBody">
+                                <!-- Message content will be inserted here -->
+                            </div>
+                            <div class="modal-footer" id="portalMessageFooter">
+                                <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">${this.config.text.closeButton}</button>
+                                ${
+                                  this.config.features.enableReply
+                                    ? `<button type="button" class="btn btn-primary" id="portalReplyBtn">
+                                    <i class="${this.config.icons.reply} me-2" aria-hidden="true"></i>${this.config.text.replyButton}
+                                </button>`
+                                    : ""
+                                }
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+      document.body.insertAdjacentHTML("beforeend", modalHTML);
+
+      this.createConfirmationModal();
+      this.createAlertModal();
+      if (this.config.features.enableCompose) {
+        this.createComposeModal();
+      }
+
+      if (this.config.features.enableReply) {
+        const replyBtn = document.getElementById("portalReplyBtn");
+        if (replyBtn) {
+          replyBtn.addEventListener("click", () => {
+            this.toggleReplyMode("modal");
+          });
+        }
+      }
+    },
+
+    /**
+     * Create the modal for starting a new conversation about one of the contact's regarding records
+     */
+    createComposeModal: function () {
+      if (document.getElementById("portalComposeModal")) {
+        return;
+      }
+
+      const text = this.config.text;
+      const composeModalHTML = `
+                <div class="modal fade" id="portalComposeModal" ${I18n.getLanguageAttributes()} tabindex="-1" aria-labelledby="portalComposeModalLabel" aria-hidden="true">
+                    <div class="modal-dialog modal-dialog-centered modal-lg">
+                        <div class="modal-content">
+                            <div class="modal-header">
+                                <h5 class="modal-title" id="portalComposeModalLabel">${text.composeTitle}</h5>
+                                <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="${this.config.text.closeButton}"></button>
+                            </div>
+                            <form class="modal-body" id="portalComposeBody" novalidate>
+                                <div class="mb-3">
+                                    <label class="form-label fw-bold" for="portal-compose-regarding">${text.composeRegardingLabel}</label>
+                                    <select class="form-select" id="portal-compose-regarding" required></select>
+                                </div>
+                                <div class="mb-3">
+                                    <label class="form-label fw-bold" for="portal-compose-subject">${text.composeSubjectLabel}</label>
+                                    <input type="text" class="form-control" id="portal-compose-subject" required>
+                                </div>
+                                <div>
+                                    <label class="form-label fw-bold" for="portal-compose-body">${text.composeBodyLabel}</label>
+                                    <textarea class="form-control" id="portal-compose-body" rows="6" 
+                                              placeholder="${text.composePlaceholder}" required></textarea>
+                                </div>
+                                ${this.config.features.enableAttachmentUpload ? this.createFilePickerHTML("compose") : ""}
+                            </form>
+                            <div class="modal-footer">
+                                <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">${text.cancelButton}</button>
+                                <button type="button" class="btn btn-primary" id="portal-compose-send">
+                                    <i class="${this.config.icons.send} me-2" aria-hidden="true"></i>${text.sendMessageButton}
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+      document.body.insertAdjacentHTML("beforeend", composeModalHTML);
+
+      const form = document.getElementById("portalComposeBody");
+      form.addEventListener("submit", (e) => e.preventDefault());
+      const fileInput = form.querySelector(".portal-reply-files");
+      if (fileInput) {
+        fileInput.addEventListener("change", () => this.handleFileSelection(form, this.composeFiles, fileInput));
+      }
+      document.getElementById("portal-compose-send").addEventListener("click", () => this.sendNewMessage());
+    },
+
+    /**
+     * Open the compose form, preselecting a regarding record when one is given
+     */
+    openCompose: async function (regardingObjectId) {
+      const modalElement = document.getElementById("portalComposeModal");
+      const form = document.getElementById("portalComposeBody");
+      if (!modalElement || !form) {
+        Log.error("Portal Inbox: Compose modal not found");
+        return;
+      }
+
+      form.reset();
+      this.composeFiles = [];
+      this.renderFileList(form, this.composeFiles);
+      const fileErrors = form.querySelector(".portal-reply-file-errors");
+      if (fileErrors) {
+        fileErrors.textContent = "";
+      }
+      // A new message gets a new activityid; retries of this one reuse it
+      Data.state.pendingMessageId = null;
+
+      this.showModal(modalElement);
+
+      const select = document.getElementById("portal-compose-regarding");
+      const setPlaceholder = (label) => {
+        select.innerHTML = "";
+        const option = document.createElement("option");
+        option.value = "";
+        option.textContent = label;
+        select.appendChild(option);
+      };
+
+      setPlaceholder(this.config.text.loadingRegardingRecords);
+      select.disabled = true;
+
+      let records;
+      try {
+        records = await Data.loadRegardingRecords();
+      } catch (error) {
+        // Logged by Data
+        setPlaceholder(this.config.text.regardingRecordsLoadFailed);
+        return;
+      }
+
+      setPlaceholder(records.length > 0 ? this.config.text.composeRegardingPlaceholder : this.config.text.noRegardingRecords);
+      records.forEach((record) => {
+        const option = document.createElement("option");
+        option.value = record.id;
+        option.textContent = record.name;
+        option.selected = record.id === regardingObjectId;
+        select.appendChild(option);
+      });
+      select.disabled = records.length === 0;
+    },
+
+    /**
+     * Send the message typed in the compose form
+     */
+    sendNewMessage: async function () {
+      const regardingObjectId = document.getElementById("portal-compose-regarding").value;
+      const subject = document.getElementById("portal-compose-subject").value.trim();
+      const body = document.getElementById("portal-compose-body").value.trim();
+
+      if (!regardingObjectId || !subject || !body) {
+        await this.showAlert(this.config.text.composePrompt, this.config.text.messageRequiredDialogTitle);
+        return;
+      }
+
+      const confirmed = await this.showConfirm(this.config.text.confirmSendMessage, this.config.text.confirmSendDialogTitle);
+      if (!confirmed) {
+        return;
+      }
+
+      const sendBtn = document.getElementById("portal-compose-send");
+      const originalText = sendBtn.innerHTML;
+      sendBtn.disabled = true;
+      sendBtn.innerHTML = `<span class="spinner-border spinner-border-sm me-2"></span>${this.config.text.sendingLabel}`;
+
+      const result = await Data.createMessage(regardingObjectId, subject, body, this.composeFiles);
+
+      sendBtn.disabled = false;
+      sendBtn.innerHTML = originalText;
+
+      if (!result.success) {
+        await this.showAlert(this.t("sendMessageFailed", { error: result.message }), this.config.text.errorDialogTitle);
+        return;
+      }
+
+      const modal = bootstrap.Modal.getInstance(document.getElementById("portalComposeModal"));
+      if (modal) {
+        modal.hide();
+      }
+
+      document.dispatchEvent(
+        new CustomEvent("portalInboxMessageSent", {
+          detail: { message: result.sent, timestamp: new Date().toISOString() },
+        })
+      );
+
+      if (result.failedAttachments.length > 0) {
+        await this.showAlert(this.t("messageSentAttachmentsFailed", { names: result.failedAttachments.join(", ") }), this.config.text.errorDialogTitle);
+      } else {
+        await this.showAlert(this.config.text.messageSent, this.config.text.messageSentDialogTitle);
+      }
+    },
+
+    /**
+     * Create a reusable confirmation modal
+     */
+    createConfirmationModal: function () {
+      if (document.getElementById("portalConfirmModal")) {
+        return;
+      }
+
+      const confirmModalHTML = `
+                <div class="modal fade" id="portalConfirmModal" ${I18n.getLanguageAttributes()} tabindex="-1" aria-labelledby="portalConfirmModalLabel" aria-hidden="true">
+                    <div class="modal-dialog modal-dialog-centered">
+                        <div class="modal-content">
+                            <div class="modal-header">
+                                <h5 class="modal-title" id="portalConfirmModalLabel">${this.config.text.confirmDialogTitle}</h5>
+                                <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="${this.config.text.closeButton}"></button>
+                            </div>
+                            <div class="modal-body" id="portalConfirmModalBody">
+                                <!-- Confirmation message will be inserted here -->
+                            </div>
+                            <div class="modal-footer">
+                                <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">${this.config.text.cancelButton}</button>
+                                <button type="button" class="btn btn-primary" id="portalConfirmModalConfirmBtn">${this.config.text.confirmButton}</button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+      document.body.insertAdjacentHTML("beforeend", confirmModalHTML);
+    },
+
+    /**
+     * Create a reusable alert modal
+     */
+    createAlertModal: function () {
+      if (document.getElementById("portalAlertModal")) {
+        return;
+      }
+
+      const alertModalHTML = `
+                <div class="modal fade" id="portalAlertModal" ${I18n.getLanguageAttributes()} tabindex="-1" aria-labelledby="portalAlertModalLabel" aria-hidden="true">
+                    <div class="modal-dialog modal-dialog-centered">
+                        <div class="modal-content">
+                            <div class="modal-header">
+                                <h5 class="modal-title" id="portalAlertModalLabel">${this.config.text.alertDialogTitle}</h5>
+                                <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="${this.config.text.closeButton}"></button>
+                            </div>
+                            <div class="modal-body" id="portalAlertModalBody">
+                                <!-- Alert message will be inserted here -->
+                            </div>
+                            <div class="modal-footer">
+                                <button type="button" class="btn btn-primary" data-bs-dismiss="modal">${this.config.text.okButton}</button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+      document.body.insertAdjacentHTML("beforeend", alertModalHTML);
+    },
+
+    /**
+     * Show a modal and give focus back to the element it was opened from when it closes
+     * When that element was re-rendered or hidden meanwhile, focus goes to the dropdown toggle (for
+     * dropdown items) or to where the modal it was in was opened from
+     */
+    showModal: function (modalElement) {
+      const modal = bootstrap.Modal.getInstance(modalElement) || new bootstrap.Modal(modalElement);
+
+      // Showing an open modal again (another thread from the list) keeps where it was first opened from
+      if (!modalElement.portalFindFocusReturn) {
+        const trigger = document.activeElement;
+        const fromDropdown = Boolean(trigger && trigger.closest(".dropdown-menu"));
+        const parentModal = trigger ? trigger.closest(".modal") : null;
+        // Taken now rather than when this modal closes: two dialogs opened from each other would otherwise ask each other forever
+        const parentFindFocusReturn = parentModal ? parentModal.portalFindFocusReturn : null;
+
+        modalElement.portalFindFocusReturn = () =>
+          [
+            trigger,
+            fromDropdown ? document.getElementById("portalInboxDropdown") : null,
+            parentFindFocusReturn ? parentFindFocusReturn() : null,
+          ].find((element) => this.canReturnFocus(element));
+
+        modalElement.addEventListener(
+          "hidden.bs.modal",
+          () => {
+            const target = modalElement.portalFindFocusReturn();
+            modalElement.portalFindFocusReturn = null;
+            if (target) {
+              target.focus();
+            }
+          },
+          { once: true }
+        );
+      }
+
+      modal.show();
+      return modal;
+    },
+
+    /**
+     * Whether focus can go back to an element: still on the page and not in a closed modal or dropdown
+     */
+    canReturnFocus: function (element) {
+      return Boolean(element && element !== document.body && element.isConnected && !element.closest(".modal:not(.show), .dropdown-menu:not(.show)"));
+    },
+
+    /**
+     * Dialog text as HTML: messages are plain text (they can hold file names and server errors),
+     * so they are escaped before line breaks become <br>
+     */
+    formatDialogMessage: function (message) {
+      return this.escapeHtml(message).replace(/\n/g, "<br>");
+    },
+
+    /**
+     * Show a Bootstrap confirmation dialog
+     */
+    showConfirm: function (message, title = this.config.text.confirmDialogTitle) {
+      return new Promise((resolve) => {
+        const modal = document.getElementById("portalConfirmModal");
+        const modalBody = document.getElementById("portalConfirmModalBody");
+        const modalTitle = document.getElementById("portalConfirmModalLabel");
+        const confirmBtn = document.getElementById("portalConfirmModalConfirmBtn");
+
+        if (!modal || !modalBody || !modalTitle || !confirmBtn) {
+          Log.error("Portal Inbox: Confirm modal elements not found");
+          resolve(false);
+          return;
+        }
+
+        modalTitle.textContent = title;
+        modalBody.innerHTML = this.formatDialogMessage(message);
+
+        const bsModal = bootstrap.Modal.getInstance(modal) || new bootstrap.Modal(modal);
+
+        const newConfirmBtn = confirmBtn.cloneNode(true);
+        confirmBtn.parentNode.replaceChild(newConfirmBtn, confirmBtn);
+
+        const handleConfirm = () => {
+          bsModal.hide();
+          resolve(true);
+        };
+
+        const handleCancel = () => {
+          bsModal.hide();
+          resolve(false);
+        };
+
+        newConfirmBtn.addEventListener("click", handleConfirm);
+
+        modal.addEventListener(
+          "hidden.bs.modal",
+          function cancelHandler(e) {
+            if (e.target === modal) {
+              modal.removeEventListener("hidden.bs.modal", cancelHandler);
+              setTimeout(() => resolve(false), 0);
+            }
+          },
+          { once: true }
+        );
+
+        this.showModal(modal);
+      });
+    },
+
+    /**
+     * Show a Bootstrap alert dialog
+     */
+    showAlert: function (message, title = this.config.text.alertDialogTitle) {
+      return new Promise((resolve) => {
+        const modal = document.getElementById("portalAlertModal");
+        const modalBody = document.getElementById("portalAlertModalBody");
+        const modalTitle = document.getElementById("portalAlertModalLabel");
+
+        if (!modal || !modalBody || !modalTitle) {
+          Log.error("Portal Inbox: Alert modal elements not found");
+          resolve();
+          return;
+        }
+
+        modalTitle.textContent = title;
+        modalBody.innerHTML = this.formatDialogMessage(message);
+
+        const bsModal = bootstrap.Modal.getInstance(modal) || new bootstrap.Modal(modal);
+
+        modal.addEventListener(
+          "hidden.bs.modal",
+          function closeHandler() {
+            modal.removeEventListener("hidden.bs.modal", closeHandler);
+            resolve();
+          },
+          { once: true }
+        );
+
+        this.showModal(modal);
+      });
+    },
+
+    /**
+     * Render messages in the dropdown
+     */
+    renderMessages: function () {
+      this.renderPage();
+
+      const messagesContainer = document.getElementById("portal-inbox-messages");
+      const badge = document.getElementById("portal-inbox-badge");
+
+      if (!messagesContainer) {
+        Log.error("Portal Inbox: Messages container not found");
+        return;
+      }
+
+      if (!badge) {
+        Log.error("Portal Inbox: Badge element not found");
+        return;
+      }
+
+      this.updateBadge(false);
+
+      // Re-rendering after a page load must not jump back to the top, or lose the focused message
+      const scrollTop = messagesContainer.scrollTop;
+      const focus = this.getRovingFocus(messagesContainer, "li");
+      messagesContainer.innerHTML = "";
+
+      const filteredMessages = Data.getFilteredMessages();
+      const threads = Data.groupIntoThreads(filteredMessages);
+      const view = Data.getCurrentView();
+      const page = Data.state.pages[view];
+
+      const header = document.createElement("li");
+      header.innerHTML = `<h6 class="dropdown-header" id="portal-inbox-header">${this.getHeaderText(filteredMessages.length)}</h6>`;
+      messagesContainer.appendChild(header);
+
+      const divider = document.createElement("li");
+      divider.innerHTML = '<hr class="dropdown-divider">';
+      messagesContainer.appendChild(divider);
+
+      if (filteredMessages.length === 0 && page.loaded) {
+        const emptyItem = document.createElement("li");
+        const emptyText = Data.state.showArchived ? this.config.text.noArchivedMessages : this.config.text.noUnreadMessages;
+        emptyItem.innerHTML = `<span class="dropdown-item-text text-muted text-center py-3">${emptyText}</span>`;
+        messagesContainer.appendChild(emptyItem);
+      } else {
+        threads.forEach((thread) => {
+          const messageItem = this.createMessageItem(thread.message, thread.messages.length);
+          messagesContainer.appendChild(messageItem);
+        });
+      }
+
+      if (Data.hasMorePages(view)) {
+        messagesContainer.appendChild(this.createLoadMoreItem(view));
+      }
+
+      if (this.config.features.enableArchive || this.config.features.enableCompose) {
+        const bottomDivider = document.createElement("li");
+        bottomDivider.innerHTML = '<hr class="dropdown-divider">';
+        messagesContainer.appendChild(bottomDivider);
+      }
+
+      if (this.config.features.enableCompose) {
+        const composeItem = document.createElement("li");
+        composeItem.innerHTML = `
+                    <a class="dropdown-item text-center" href="#" id="portal-compose-message">
+                        <i class="${this.config.icons.compose} me-2" aria-hidden="true"></i>${this.config.text.newMessageButton}
+                    </a>
+                `;
+        composeItem.querySelector("a").addEventListener("click", (e) => {
+          e.preventDefault();
+          this.openCompose();
+        });
+        messagesContainer.appendChild(composeItem);
+      }
+
+      if (this.config.features.enableArchive) {
+        const toggleItem = document.createElement("li");
+        const toggleText = Data.state.showArchived
+          ? `<i class="${this.config.icons.inbox} me-2" aria-hidden="true"></i>${this.config.text.viewUnread}`
+          : `<i class="${this.config.icons.archive} me-2" aria-hidden="true"></i>${this.config.text.viewArchived}`;
+        toggleItem.innerHTML = `
+                    <a class="dropdown-item text-center fw-bold" href="#" id="portal-toggle-view" style="color: var(--primary-color);">
+                        ${toggleText}
+                    </a>
+                `;
+        messagesContainer.appendChild(toggleItem);
+
+        const toggleLink = document.getElementById("portal-toggle-view");
+        if (toggleLink) {
+          toggleLink.addEventListener("click", (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.handleToggleView();
+          });
+        } else {
+          Log.error("Portal Inbox: Toggle view link not found");
+        }
+      }
+
+      this.updateRovingFocus(messagesContainer, "li", focus);
+      messagesContainer.scrollTop = scrollTop;
+    },
+
+    /**
+     * Get the dropdown header text for the current view
+     */
+    getHeaderText: function (filteredCount) {
+      return Data.state.showArchived
+        ? `${this.config.text.archivedHeader} (${I18n.formatNumber(filteredCount)})`
+        : `${this.config.text.messagesHeader} (${this.t("unreadLabel", { count: Data.state.unreadCount })})`;
+    },
+
+    /**
+     * Show the unread count on the badge, with a short pulse when animate is set and enabled
+     */
+    updateBadge: function (animate) {
+      const badge = document.getElementById("portal-inbox-badge");
+      if (!badge) {
+        Log.error("Portal Inbox: Badge element not found");
+        return;
+      }
+
+      if (Data.state.unreadCount > 0) {
+        badge.textContent = I18n.formatNumber(Data.state.unreadCount);
+        badge.style.display = this.config.styles.badgeDisplay;
+      } else {
+        badge.style.display = "none";
+      }
+
+      // The badge is hidden from screen readers; the toggle's name carries the count instead
+      const toggle = document.getElementById("portalInboxDropdown");
+      if (toggle) {
+        toggle.setAttribute("aria-label", this.t("inboxButtonLabel", { count: Data.state.unreadCount }));
+      }
+
+      // Read out changes of the count, and the first count unless it is zero
+      if (Data.state.unreadCount !== this.announcedUnreadCount) {
+        if (this.announcedUnreadCount !== null || Data.state.unreadCount > 0) {
+          this.announce(this.t("unreadAnnouncement", { count: Data.state.unreadCount }));
+        }
+        this.announcedUnreadCount = Data.state.unreadCount;
+      }
+
+      if (animate && this.config.features.animateBadge && Data.state.unreadCount > 0) {
+        badge.classList.remove("portal-inbox-badge-pulse");
+        // Force a reflow so the animation restarts when messages arrive back to back
+        void badge.offsetWidth;
+        badge.classList.add("portal-inbox-badge-pulse");
+      }
+    },
+
+    /**
+     * Read text out through the polite live region; of several calls in a row, only the last is read
+     */
+    announce: function (text) {
+      const region = document.getElementById("portal-inbox-status");
+      if (!region) {
+        return;
+      }
 
-      const styleElement = document.createElement("style");
-      styleElement.id = "portal-inbox-extension-styles";
-      styleElement.textContent = `
-                /* Portal Inbox Extension Styles */
-                .message-avatar {
-                    width: 40px !important;
-                    height: 40px !important;
-                    border-radius: 50% !important;
-                    background: linear-gradient(135deg, ${colors.avatarGradientStart} 0%, ${colors.avatarGradientEnd} 100%) !important;
-                    color: ${colors.avatarText} !important;
-                    display: flex !important;
-                    align-items: center !important;
-                    justify-content: center !important;
-                    font-weight: 600 !important;
-                    font-size: 0.875rem !important;
-                    flex-shrink: 0 !important;
-                    margin-right: 0.75rem !important;
-                }
-                
-                .message-from {
-                    color: ${colors.messageFrom} !important;
-                    font-weight: 600 !important;
-                    font-size: 0.95rem !important;
-                }
-                
-                .message-subject {
-                    color: ${colors.messageSubject} !important;
-                    font-size: 0.875rem !important;
-                    overflow: hidden !important;
-                    text-overflow: ellipsis !important;
-                    white-space: nowrap !important;
-                }
-                
-                .message-time {
-                    color: ${colors.messageTime} !important;
-                    font-size: 0.75rem !important;
-                }
-                
-                #portal-inbox-badge {
-                    font-size: 0.65rem !important;
-                    padding: 0.4em 0.8em !important;
-                    font-weight: 600 !important;
-                    background-color: ${colors.badgeBackground} !important;
-                    color: ${colors.badgeText} !important;
-                }
-                
-                #portal-inbox-extension .nav-link {
-                    color: ${colors.navLinkColor} !important;
-                    text-decoration: none !important;
-                }
-                
-                #portal-inbox-extension .nav-link:hover {
-                    color: ${colors.navLinkColor} !important;
-                    text-decoration: none !important;
-                }
-                
-                #portal-inbox-extension .nav-link::after {
-                    border-top-color: ${colors.navLinkCaretColor} !important;
-                }
-                
-                .dropdown-menu {
-                    border: none !important;
-                    border-radius: 12px !important;
-                    box-shadow: 0 10px 40px ${colors.dropdownShadow} !important;
-                    padding: 0 !important;
-                    overflow: hidden !important;
-                    margin-top: 0.5rem !important;
-                    background-color: white !important;
-                }
-                
-                .dropdown-header {
-                    background: linear-gradient(135deg, ${colors.headerGradientStart} 0%, ${colors.headerGradientEnd} 100%) !important;
-                    color: ${colors.headerText} !important;
-                    font-weight: 700 !important;
-                    font-size: 1rem !important;
-                    padding: 16px 20px !important;
-                    margin: 0 !important;
-                    border-radius: 0 !important;
-                }
-                
-                .dropdown-divider {
-                    margin: 0 !important;
-                    border-color: ${colors.dropdownBorder} !important;
-                }
-                
-                #portal-inbox-messages .dropdown-item {
-                    padding: 16px 20px !important;
-                    transition: background-color 0.15s !important;
-                    border-bottom: 1px solid ${colors.itemBorderColor} !important;
-                    text-decoration: none !important;
-                    background-color: white !important;
-                }
-                
-                #portal-inbox-messages .dropdown-item:last-child {
-                    border-bottom: none !important;
-                }
-                
-                #portal-inbox-messages .dropdown-item:hover {
-                    background-color: white !important;
-                    text-decoration: none !important;
-                }
-                
-                #portal-inbox-messages .dropdown-item.fw-bold {
-                    background-color: ${colors.itemUnreadBackground} !important;
-                }
+      clearTimeout(this.announceTimer);
+      // Emptying the region first makes screen readers read a repeated text again
+      region.textContent = "";
+      this.announceTimer = setTimeout(() => {
+        region.textContent = text;
+      }, 100);
+    },
+
+    /**
+     * Add newly polled messages to the top of the open list without re-rendering it
+     */
+    insertNewMessages: function (messages) {
+      this.updateBadge(true);
+      this.announce(this.t("newMessagesAnnouncement", { count: messages.length, unread: Data.state.unreadCount }));
+      this.renderPage();
+      messages.forEach((message) => this.handleConversationChanged(message));
+
+      const messagesContainer = document.getElementById("portal-inbox-messages");
+      const header = document.getElementById("portal-inbox-header");
+      if (!messagesContainer || !header) {
+        return;
+      }
+
+      header.textContent = this.getHeaderText(Data.getFilteredMessages().length);
+
+      // New messages arrive in the inbox, so the archived view has nothing to add
+      if (Data.state.showArchived) {
+        return;
+      }
+
+      const emptyItem = messagesContainer.querySelector(".dropdown-item-text");
+      if (emptyItem) {
+        emptyItem.closest("li").remove();
+      }
+
+      // Insert after the header divider, keeping the newest message first;
+      // a new message in an existing thread moves that thread to the top
+      const divider = header.closest("li").nextElementSibling;
+      const threads = Data.groupIntoThreads(Data.getFilteredMessages());
+      const focus = this.getRovingFocus(messagesContainer, "li");
+      messages
+        .filter((message) => !message.archived)
+        .reverse()
+        .forEach((message) => {
+          const key = Data.getThreadKey(message);
+          const thread = threads.find((t) => t.key === key);
+          const existing = Array.from(messagesContainer.querySelectorAll("a[data-thread-key]")).find((link) => link.dataset.threadKey === key);
+          if (existing) {
+            existing.closest("li").remove();
+          }
+          divider.after(this.createMessageItem(thread ? thread.message : message, thread ? thread.messages.length : 1));
+        });
+      this.updateRovingFocus(messagesContainer, "li", focus);
+    },
+
+    /**
+     * Create the item at the end of a paged list; loads the next page when clicked or scrolled into view
+     */
+    createLoadMoreItem: function (view) {
+      const li = document.createElement("li");
+      const loading = Data.state.pages[view].loading;
+      const text = loading ? this.config.text.loadingMoreMessages : this.config.text.loadMoreMessages;
+
+      li.innerHTML = `
+                <a class="dropdown-item text-center text-muted" href="#" id="portal-load-more" aria-busy="${loading}">
+                    ${text}
+                </a>
+            `;
+
+      li.querySelector("a").addEventListener("click", (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        Data.loadNextPage(view);
+      });
+
+      return li;
+    },
+
+    /**
+     * Load the next page when a message list is scrolled near its end
+     */
+    handleScroll: function (listElement) {
+      const threshold = 40;
+      if (listElement.scrollTop + listElement.clientHeight >= listElement.scrollHeight - threshold) {
+        Data.loadNextPage(Data.getCurrentView());
+      }
+    },
+
+    /**
+     * Let the arrow keys, Home and End move between the rows of a list, with only one row in the tab
+     * order (roving tabindex). Focus keeps its column (checkbox or link) when it moves to another row
+     */
+    initRovingFocus: function (list, rowSelector) {
+      const keys = { ArrowDown: 1, ArrowUp: -1, Home: -Infinity, End: Infinity };
+
+      list.addEventListener("keydown", (e) => {
+        if (!(e.key in keys) || e.altKey || e.ctrlKey || e.metaKey) {
+          return;
+        }
+        const rows = this.getRovingRows(list, rowSelector);
+        const row = rows.find((candidate) => candidate.contains(e.target));
+        if (!row) {
+          return;
+        }
+
+        // Handled here rather than by Bootstrap's dropdown, so the tab order follows focus
+        e.preventDefault();
+        e.stopPropagation();
+        const next = rows[Math.max(0, Math.min(rows.length - 1, rows.indexOf(row) + keys[e.key]))];
+        const controls = this.getRovingControls(next);
+        const column = this.getRovingControls(row).indexOf(e.target);
+        controls[Math.max(0, Math.min(controls.length - 1, column))].focus();
+      });
+
+      list.addEventListener("focusin", (e) => {
+        const row = this.getRovingRows(list, rowSelector).find((candidate) => candidate.contains(e.target));
+        if (row) {
+          this.setRovingRow(list, rowSelector, row);
+        }
+      });
+    },
+
+    /**
+     * Rows of a list that have something to focus
+     */
+    getRovingRows: function (list, rowSelector) {
+      return Array.from(list.querySelectorAll(rowSelector)).filter((row) => this.getRovingControls(row).length > 0);
+    },
+
+    /**
+     * Links, buttons and checkboxes of a row, in order
+     */
+    getRovingControls: function (row) {
+      const selector = 'a[href], button, input[type="checkbox"]';
+      return row.matches(selector) ? [row] : Array.from(row.querySelectorAll(selector));
+    },
+
+    /**
+     * Thread key of a row, or else the id of its first control; identifies the row across re-renders
+     */
+    getRovingKey: function (row) {
+      const thread = row.querySelector("[data-thread-key]") || (row.matches("[data-thread-key]") ? row : null);
+      return thread ? thread.dataset.threadKey : this.getRovingControls(row)[0].id || null;
+    },
+
+    /**
+     * Put one row of a list in the tab order and take the others out
+     */
+    setRovingRow: function (list, rowSelector, activeRow) {
+      this.getRovingRows(list, rowSelector).forEach((row) => {
+        this.getRovingControls(row).forEach((control) => {
+          control.tabIndex = row === activeRow ? 0 : -1;
+        });
+      });
+      list.portalRovingKey = this.getRovingKey(activeRow);
+    },
+
+    /**
+     * Where focus is in a list, to put it back with updateRovingFocus after the list is re-rendered
+     */
+    getRovingFocus: function (list, rowSelector) {
+      const rows = this.getRovingRows(list, rowSelector);
+      const row = rows.find((candidate) => candidate.contains(document.activeElement));
+      return row ? { row: rows.indexOf(row), column: this.getRovingControls(row).indexOf(document.activeElement), key: this.getRovingKey(row) } : null;
+    },
+
+    /**
+     * After rendering a list, put the row that was in the tab order back in it (else the open thread's
+     * row, else the first) and focus it again if focus was in the list
+     */
+    updateRovingFocus: function (list, rowSelector, focus) {
+      const rows = this.getRovingRows(list, rowSelector);
+      if (rows.length === 0) {
+        return;
+      }
+
+      const key = focus ? focus.key : list.portalRovingKey;
+      const row =
+        (key && rows.find((candidate) => this.getRovingKey(candidate) === key)) ||
+        (focus && rows[Math.min(focus.row, rows.length - 1)]) ||
+        rows.find((candidate) => candidate.querySelector('[aria-current="true"]')) ||
+        rows[0];
+
+      this.setRovingRow(list, rowSelector, row);
+      if (focus) {
+        const controls = this.getRovingControls(row);
+        controls[Math.max(0, Math.min(controls.length - 1, focus.column))].focus();
+      }
+    },
+
+    /**
+     * Create a message item element for a thread, shown by its newest message
+     */
+    createMessageItem: function (message, threadSize) {
+      const li = document.createElement("li");
+      const unreadClass = !message.read ? "fw-bold" : "";
+
+      li.innerHTML = `
+                <a class="dropdown-item ${unreadClass}" href="#" data-message-id="${message.id}">
+                    ${this.createMessageSummaryHTML(message, threadSize)}
+                </a>
+            `;
+
+      const link = li.querySelector("a");
+      if (link) {
+        // Set as a property: the key contains the subject, which may hold quotes
+        link.dataset.threadKey = Data.getThreadKey(message);
+        link.addEventListener("click", (e) => {
+          e.preventDefault();
+          this.handleMessageClick(message.id);
+        });
+      } else {
+        Log.error("Portal Inbox: Message link not found in message item");
+      }
+
+      return li;
+    },
+
+    /**
+     * Create the avatar, sender, subject and date of a thread for the dropdown and the full-page list
+     */
+    createMessageSummaryHTML: function (message, threadSize) {
+      const unreadBadge = !message.read ? `<span class="badge bg-primary rounded-pill">${this.config.text.newBadge}</span>` : "";
+      const countBadge =
+        threadSize > 1
+          ? `<span class="badge bg-secondary rounded-pill ms-1"><span aria-hidden="true">${I18n.formatNumber(threadSize)}</span><span class="visually-hidden">${this.t("threadSizeLabel", { count: threadSize })}</span></span>`
+          : "";
+      const queued = Data.getQueuedReplies(message);
+      const queuedBadge = queued.length
+        ? queued.some((entry) => entry.status === "failed")
+          ? `<span class="badge bg-danger rounded-pill ms-1">${this.config.text.replyFailed}</span>`
+          : `<span class="badge bg-warning text-dark rounded-pill ms-1">${this.config.text.replyPending}</span>`
+        : "";
+      const regarding = message.regardingName ? `<div class="message-regarding text-truncate">${this.escapeHtml(message.regardingName)}</div>` : "";
+
+      return `
+                <div class="d-flex align-items-start">
+                    <div class="message-avatar" aria-hidden="true">${this.getInitials(message.from)}</div>
+                    <div class="flex-grow-1" style="min-width: 0;">
+                        <div class="d-flex justify-content-between align-items-center mb-1">
+                            <span class="message-from">${this.escapeHtml(message.from)}</span>
+                            <span class="text-nowrap">${unreadBadge}${countBadge}${queuedBadge}</span>
+                        </div>
+                        <div class="message-subject text-truncate mb-1" style="max-width: 100%;">
+                            ${this.escapeHtml(message.subject)}
+                        </div>
+                        ${regarding}
+                        <small class="message-time">${this.formatDate(message.date)}</small>
+                    </div>
+                </div>
             `;
+    },
+
+    /**
+     * Handle message click
+     */
+    handleMessageClick: function (messageId) {
+      const message = Data.getMessage(messageId);
+      if (!message) return;
+
+      this.openMessage(message);
+
+      const event = new CustomEvent("portalInboxMessageClick", {
+        detail: { messageId: messageId, message: message },
+      });
+      document.dispatchEvent(event);
+    },
+
+    /**
+     * Open a thread in the full-page reading pane when the page has one, otherwise in the modal
+     */
+    openMessage: function (message) {
+      // Opening a thread shows all of its messages, so all of them are read
+      if (Data.markThreadAsRead(message) > 0) {
+        this.renderMessages();
+      }
+
+      if (this.getMessageView("page")) {
+        this.showPageMessage(message);
+      } else {
+        this.showMessageModal(message);
+      }
+    },
+
+    /**
+     * Handle toggle view
+     */
+    handleToggleView: function () {
+      Data.toggleView();
+      // A selection only applies to the view it was made in
+      this.selectedThreads.clear();
+      this.renderMessages();
+
+      // Archived pages are only fetched the first time that view is opened
+      const view = Data.getCurrentView();
+      if (!Data.state.pages[view].loaded) {
+        Data.loadNextPage(view);
+      }
+
+      // A search in the full-page inbox carries over to the other view
+      Data.searchServer();
+    },
+
+    /**
+     * Show a thread's conversation in the modal
+     */
+    showMessageModal: function (message) {
+      if (!this.showMessage("modal", message)) {
+        return;
+      }
 
-      document.head.appendChild(styleElement);
+      const modalElement = document.getElementById("portalMessageModal");
+      if (!modalElement) {
+        Log.error("Portal Inbox: Message modal element not found");
+        return;
+      }
+
+      this.showModal(modalElement);
     },
 
     /**
-     * Create the widget HTML structure
+     * Get the title, body and footer elements of a message view ("modal" or "page")
+     * Returns null when the view is not on the page
      */
-    createWidget: function () {
-      const container = document.getElementById(this.config.containerId);
-      if (!container) {
-        window.PortalExtensions.error("Portal Inbox Widget: Container element not found");
-        return;
+    getMessageView: function (viewName) {
+      const ids = this.messageViews[viewName];
+      const view = {
+        name: viewName,
+        state: Data.state.views[viewName],
+        title: document.getElementById(ids.title),
+        body: document.getElementById(ids.body),
+        footer: document.getElementById(ids.footer),
+      };
+      return view.title && view.body && view.footer ? view : null;
+    },
+
+    /**
+     * Check whether a message view is visible: the modal is shown, or the full-page inbox is mounted
+     */
+    isMessageViewOpen: function (viewName) {
+      if (viewName === "modal") {
+        const modalElement = document.getElementById("portalMessageModal");
+        return !!modalElement && modalElement.classList.contains("show");
       }
+      return !!this.getMessageView(viewName);
+    },
 
-      const widgetHTML = `
-                <div class="dropdown">
-                    <a class="nav-link dropdown-toggle position-relative" href="#" id="portalInboxDropdown" 
-                       role="button" data-bs-toggle="dropdown" aria-expanded="false" style="cursor: pointer;">
-                        <i class="${this.config.text.dropdownToggleIcon}"></i>
-                        <span class="position-absolute top-0 start-100 translate-middle badge rounded-pill bg-danger" 
-                              id="portal-inbox-badge" style="display: none; pointer-events: none;">
-                            0
-                        </span>
-                    </a>
-                    <ul class="dropdown-menu dropdown-menu-end" aria-labelledby="portalInboxDropdown" 
-                        id="portal-inbox-messages" style="min-width: ${this.config.styles.dropdownMinWidth}; max-height: ${this.config.styles.dropdownMaxHeight}; overflow-y: auto;">
-                        <li><h6 class="dropdown-header">${this.config.text.loadingMessages}</h6></li>
-                    </ul>
+    /**
+     * Show a thread's conversation, with a hidden reply box, in a message view
+     */
+    showMessage: function (viewName, message) {
+      const view = this.getMessageView(viewName);
+      if (!view) {
+        Log.error("Portal Inbox: Message view elements not found");
+        return false;
+      }
+
+      view.title.textContent = Data.normalizeSubject(message.subject);
+
+      const regarding = message.regardingName
+        ? `<div class="text-muted mb-3"><small>${this.config.text.regardingLabel} ${this.escapeHtml(message.regardingName)}</small></div>`
+        : "";
+      const replyTextId = `portal-reply-text-${viewName}`;
+
+      view.body.innerHTML = `
+                <div class="portal-message-content">
+                    ${regarding}
+                    <div class="portal-conversation"></div>
+                    <div class="portal-conversation-note text-muted text-center small mt-3"></div>
                 </div>
+                ${
+                  this.config.features.enableReply
+                    ? `<div class="portal-reply-section d-none">
+                    <hr class="my-4">
+                    <div class="reply-compose">
+                        <label class="form-label fw-bold" for="${replyTextId}">${this.config.text.replyLabel}</label>
+                        <textarea class="form-control portal-reply-text" id="${replyTextId}" rows="4" 
+                                  placeholder="${this.config.text.replyPlaceholder}"></textarea>
+                    </div>
+                    ${this.config.features.enableAttachmentUpload ? this.createFilePickerHTML(viewName) : ""}
+                </div>`
+                    : ""
+                }
             `;
 
-      // Container already verified to exist above
-      container.innerHTML = widgetHTML;
+      view.state.message = message;
+      view.state.replyMode = false;
+      view.state.files = [];
 
-      const dropdownToggle = document.getElementById("portalInboxDropdown");
-      if (dropdownToggle) {
-        dropdownToggle.addEventListener("show.bs.dropdown", (e) => {
-          if (!Data.state.isLoaded) {
-            e.preventDefault();
-            window.PortalExtensions.log("Portal Inbox: Messages still loading...");
-          }
-        });
-      } else {
-        window.PortalExtensions.error("Portal Inbox: Dropdown toggle element not found");
+      const fileInput = view.body.querySelector(".portal-reply-files");
+      if (fileInput) {
+        fileInput.addEventListener("change", () => this.handleFileSelection(view.body, Data.state.views[viewName].files, fileInput));
       }
 
-      this.createMessageModal();
+      const replyText = view.body.querySelector(".portal-reply-text");
+      if (replyText) {
+        replyText.addEventListener("input", () => this.scheduleDraftSave(viewName));
+        this.restoreDraft(viewName, message);
+      }
+
+      this.renderConversation(viewName);
+      this.renderViewFooter(viewName);
+      this.loadConversation(viewName, message).then(() => this.loadAttachments(viewName));
+      return true;
     },
 
     /**
-     * Create the message detail modal
+     * Save the reply typed in a view as a draft once the user pauses typing
      */
-    createMessageModal: function () {
-      if (document.getElementById("portalMessageModal")) {
+    scheduleDraftSave: function (viewName) {
+      clearTimeout(this.draftTimers[viewName]);
+      this.draftTimers[viewName] = setTimeout(() => {
+        const view = this.getMessageView(viewName);
+        const replyText = view ? view.body.querySelector(".portal-reply-text") : null;
+        if (replyText && view.state.message) {
+          Data.saveDraft(view.state.message.id, replyText.value.trim() ? replyText.value : "");
+        }
+      }, 500);
+    },
+
+    /**
+     * Open the reply box with the saved draft, if there is one for the message
+     */
+    restoreDraft: async function (viewName, message) {
+      const draft = await Data.loadDraft(message.id);
+      const view = this.getMessageView(viewName);
+      // The view may have moved to another message while the draft was read
+      if (!draft || !view || view.state.message !== message) {
         return;
       }
 
-      const modalHTML = `
-                <div class="modal fade" id="portalMessageModal" tabindex="-1" aria-labelledby="portalMessageModalLabel" aria-hidden="true">
-                    <div class="modal-dialog modal-dialog-centered modal-lg">
-                        <div class="modal-content">
-                            <div class="modal-header">
-                                <h5 class="modal-title" id="portalMessageModalLabel">${this.config.text.modalTitle}</h5>
-                                <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
-                            </div>
-                            <div class="modal-body" id="portalMessageBody">
-                                <!-- Message content will be inserted here -->
-                            </div>
-                            <div class="modal-footer" id="portalMessageFooter">
-                                <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">${this.config.text.closeButton}</button>
-                                ${
-                                  this.config.features.enableReply
-                                    ? `<button type="button" class="btn btn-primary" id="portalReplyBtn">
-                                    <i class="${this.config.icons.reply} me-2"></i>${this.config.text.replyButton}
-                                </button>`
-                                    : ""
-                                }
-                            </div>
-                        </div>
+      const replyText = view.body.querySelector(".portal-reply-text");
+      if (!view.state.replyMode) {
+        this.toggleReplyMode(viewName);
+      }
+      replyText.value = draft;
+    },
+
+    /**
+     * Create the file picker of a reply box or the compose form, with the configured limits
+     */
+    createFilePickerHTML: function (formName) {
+      const limits = this.config.attachments;
+      const inputId = `portal-reply-files-${formName}`;
+      const limitsText = this.t("attachmentLimits", { count: limits.maxFiles, size: I18n.formatFileSize(limits.maxFileSize) });
+
+      return `
+                    <div class="mt-3">
+                        <label class="form-label small mb-1" for="${inputId}">
+                            <i class="${this.config.icons.attachment} me-1" aria-hidden="true"></i>${this.config.text.attachFiles}
+                        </label>
+                        <input type="file" class="form-control form-control-sm portal-reply-files" id="${inputId}" multiple 
+                               accept="${(limits.allowedMimeTypes || []).join(",")}">
+                        <div class="form-text">${limitsText}</div>
+                        <div class="text-danger small portal-reply-file-errors" role="alert"></div>
+                        <ul class="list-unstyled small mb-0 mt-1 portal-reply-file-list"></ul>
                     </div>
-                </div>
             `;
+    },
 
-      document.body.insertAdjacentHTML("beforeend", modalHTML);
+    /**
+     * Add picked files to the files of a form, rejecting those over the size, type or count limits
+     */
+    handleFileSelection: function (form, files, input) {
+      const errors = [];
+      Array.from(input.files).forEach((file) => {
+        const error = this.validateAttachment(file, files);
+        if (error) {
+          errors.push(error);
+        } else {
+          files.push(file);
+        }
+      });
 
-      this.createConfirmationModal();
-      this.createAlertModal();
+      // Clear the input so the same file can be picked again after it is removed
+      input.value = "";
+      form.querySelector(".portal-reply-file-errors").textContent = errors.join(" ");
+      this.renderFileList(form, files);
+    },
 
-      if (this.config.features.enableReply) {
-        const replyBtn = document.getElementById("portalReplyBtn");
-        if (replyBtn) {
-          replyBtn.addEventListener("click", () => {
-            this.toggleReplyMode();
-          });
-        }
+    /**
+     * Check a file against the configured attachment limits; returns an error message, or null when it is allowed
+     */
+    validateAttachment: function (file, selectedFiles) {
+      const limits = this.config.attachments;
+
+      if (selectedFiles.some((selected) => selected.name === file.name && selected.size === file.size)) {
+        return null;
+      }
+      if (selectedFiles.length >= limits.maxFiles) {
+        return this.t("tooManyAttachments", { count: limits.maxFiles });
+      }
+      if (file.size > limits.maxFileSize) {
+        return this.t("attachmentTooLarge", { name: file.name, size: I18n.formatFileSize(limits.maxFileSize) });
       }
+
+      const allowed = limits.allowedMimeTypes || [];
+      const type = (file.type || "").toLowerCase();
+      const typeAllowed = allowed.some((pattern) => {
+        const normalized = pattern.toLowerCase();
+        return normalized.endsWith("/*") ? type.startsWith(normalized.slice(0, -1)) : type === normalized;
+      });
+      if (allowed.length > 0 && !typeAllowed) {
+        return this.t("attachmentTypeNotAllowed", { name: file.name });
+      }
+
+      return null;
     },
 
     /**
-     * Create a reusable confirmation modal
+     * List the files picked in a form, each with a remove button
      */
-    createConfirmationModal: function () {
-      if (document.getElementById("portalConfirmModal")) {
+    renderFileList: function (form, files) {
+      const list = form.querySelector(".portal-reply-file-list");
+      if (!list) return;
+
+      list.innerHTML = "";
+      files.forEach((file, index) => {
+        const item = document.createElement("li");
+        item.className = "d-flex align-items-center gap-2";
+        item.innerHTML = `
+                    <i class="${this.config.icons.attachment}" aria-hidden="true"></i>
+                    <span class="text-truncate">${this.escapeHtml(file.name)}</span>
+                    <span class="text-muted text-nowrap">${I18n.formatFileSize(file.size)}</span>
+                    <button type="button" class="btn btn-link btn-sm p-0 text-danger" aria-label="${this.config.text.removeAttachment} ${this.escapeHtml(file.name)}">
+                        ${this.config.text.removeAttachment}
+                    </button>
+                `;
+        item.querySelector("button").addEventListener("click", () => {
+          files.splice(index, 1);
+          this.renderFileList(form, files);
+        });
+        list.appendChild(item);
+      });
+    },
+
+    /**
+     * Render a view's thread oldest first, the contact's own messages on the right
+     */
+    renderConversation: function (viewName) {
+      const view = this.getMessageView(viewName);
+      const container = view ? view.body.querySelector(".portal-conversation") : null;
+      if (!container || !view.state.message) {
+        Log.error("Portal Inbox: Conversation container not found");
         return;
       }
 
-      const confirmModalHTML = `
-                <div class="modal fade" id="portalConfirmModal" tabindex="-1" aria-labelledby="portalConfirmModalLabel" aria-hidden="true">
-                    <div class="modal-dialog modal-dialog-centered">
-                        <div class="modal-content">
-                            <div class="modal-header">
-                                <h5 class="modal-title" id="portalConfirmModalLabel">Confirm</h5>
-                                <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
-                            </div>
-                            <div class="modal-body" id="portalConfirmModalBody">
-                                <!-- Confirmation message will be inserted here -->
-                            </div>
-                            <div class="modal-footer">
-                                <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
-                                <button type="button" class="btn btn-primary" id="portalConfirmModalConfirmBtn">Confirm</button>
-                            </div>
+      container.innerHTML =
+        Data.getConversation(view.state.message)
+          .map((msg) => this.createConversationItem(msg))
+          .join("") +
+        Data.getQueuedReplies(view.state.message)
+          .map((entry) => this.createQueuedReplyItem(entry))
+          .join("");
+
+      container.querySelectorAll(".portal-attachment").forEach((button) => {
+        button.addEventListener("click", () => this.downloadAttachment(button));
+      });
+      container.querySelectorAll(".portal-outbox-retry").forEach((button) => {
+        button.addEventListener("click", () => Data.retryQueuedReply(button.dataset.replyId));
+      });
+      container.querySelectorAll(".portal-outbox-discard").forEach((button) => {
+        button.addEventListener("click", () => this.discardQueuedReply(button.dataset.replyId));
+      });
+
+      if (this.config.features.allowHtmlInMessages) {
+        container.querySelectorAll("a[data-portal-link]").forEach((link) => {
+          this.applyLinkPolicy(link);
+          link.addEventListener("click", (e) => this.handleLinkClick(e));
+        });
+      }
+    },
+
+    /**
+     * Create the HTML of one message in the conversation
+     */
+    createConversationItem: function (message) {
+      const messageContent = this.formatMessageBody(message);
+      const avatar = message.outgoing ? "" : `<div class="message-avatar">${this.getInitials(message.from)}</div>`;
+      const attachments = this.config.features.enableAttachments ? Data.state.attachments[message.id] || [] : [];
+      const attachmentList = attachments.length
+        ? `<ul class="list-unstyled small mb-0 mt-2 portal-attachments">
+                            ${attachments
+                              .map(
+                                (attachment) => `<li>
+                                <button type="button" class="btn btn-link btn-sm p-0 text-start portal-attachment" 
+                                        data-message-id="${message.id}" data-attachment-id="${this.escapeHtml(attachment.id)}">
+                                    <i class="${this.config.icons.attachment} me-1" aria-hidden="true"></i>${this.escapeHtml(attachment.name)}
+                                </button>
+                                ${attachment.size ? `<span class="text-muted ms-1">${I18n.formatFileSize(attachment.size)}</span>` : ""}
+                            </li>`
+                              )
+                              .join("")}
+                        </ul>`
+        : "";
+
+      return `
+                <div class="conversation-message ${message.outgoing ? "outgoing" : ""}" data-message-id="${message.id}">
+                    ${avatar}
+                    <div class="conversation-bubble">
+                        <div class="d-flex justify-content-between gap-3 mb-1">
+                            <small class="fw-bold">${this.escapeHtml(message.from)}</small>
+                            <small class="text-muted text-nowrap">${this.formatDate(message.date)}</small>
                         </div>
+                        <div class="message-body">${messageContent}</div>
+                        ${attachmentList}
                     </div>
                 </div>
             `;
-
-      document.body.insertAdjacentHTML("beforeend", confirmModalHTML);
     },
 
     /**
-     * Create a reusable alert modal
+     * Message body as HTML: staff messages are sanitized when allowHtmlInMessages is on; replies and
+     * new messages are plain text the contact typed, so they are always escaped with line breaks kept
      */
-    createAlertModal: function () {
-      if (document.getElementById("portalAlertModal")) {
-        return;
+    formatMessageBody: function (message) {
+      if (message.outgoing) {
+        return this.escapeHtml(message.body).replace(/\n/g, "<br>");
       }
+      return this.config.features.allowHtmlInMessages ? this.sanitizeHtml(message.body) : this.escapeHtml(message.body);
+    },
 
-      const alertModalHTML = `
-                <div class="modal fade" id="portalAlertModal" tabindex="-1" aria-labelledby="portalAlertModalLabel" aria-hidden="true">
-                    <div class="modal-dialog modal-dialog-centered">
-                        <div class="modal-content">
-                            <div class="modal-header">
-                                <h5 class="modal-title" id="portalAlertModalLabel">Alert</h5>
-                                <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
-                            </div>
-                            <div class="modal-body" id="portalAlertModalBody">
-                                <!-- Alert message will be inserted here -->
-                            </div>
-                            <div class="modal-footer">
-                                <button type="button" class="btn btn-primary" data-bs-dismiss="modal">OK</button>
-                            </div>
+    /**
+     * Create the HTML of a reply waiting in the outbox, with its pending or failed state
+     */
+    createQueuedReplyItem: function (entry) {
+      const text = this.config.text;
+      const files = entry.files.length
+        ? `<ul class="list-unstyled small mb-0 mt-2 text-muted">
+                            ${entry.files.map((file) => `<li><i class="${this.config.icons.attachment} me-1" aria-hidden="true"></i>${this.escapeHtml(file.name)}</li>`).join("")}
+                        </ul>`
+        : "";
+      const status =
+        entry.status === "failed"
+          ? `<span class="text-danger">${text.replyFailed}</span>
+                            <button type="button" class="btn btn-link btn-sm p-0 ms-2 portal-outbox-retry" data-reply-id="${entry.id}">${text.retryReply}</button>
+                            <button type="button" class="btn btn-link btn-sm p-0 ms-2 text-muted portal-outbox-discard" data-reply-id="${entry.id}">${text.discardReply}</button>`
+          : `<span class="text-muted"><span class="spinner-grow spinner-grow-sm me-1" aria-hidden="true"></span>${text.replyPending}</span>`;
+
+      return `
+                <div class="conversation-message outgoing portal-queued-reply" data-reply-id="${entry.id}">
+                    <div class="conversation-bubble">
+                        <div class="d-flex justify-content-between gap-3 mb-1">
+                            <small class="fw-bold">${this.escapeHtml(text.youLabel)}</small>
+                            <small class="text-muted text-nowrap">${this.formatDate(entry.queuedAt)}</small>
                         </div>
+                        <div class="message-body">${this.escapeHtml(entry.text).replace(/\n/g, "<br>")}</div>
+                        ${files}
+                        <div class="small mt-2" title="${this.escapeHtml(entry.error || "")}">${status}</div>
                     </div>
                 </div>
             `;
+    },
+
+    /**
+     * Remove a failed reply from the outbox once the user confirms
+     */
+    discardQueuedReply: async function (replyId) {
+      const confirmed = await this.showConfirm(this.config.text.confirmDiscardReply, this.config.text.discardReplyDialogTitle);
+      if (confirmed) {
+        await Data.discardQueuedReply(replyId);
+      }
+    },
+
+    /**
+     * Show the outbox as it is now: badges in the lists and queued replies in open conversations
+     */
+    handleOutboxChanged: function () {
+      // Until messages are loaded the lists show their loading state
+      if (Data.state.isLoaded) {
+        this.renderMessages();
+      }
+      Object.keys(this.messageViews).forEach((viewName) => {
+        if (Data.state.views[viewName].message && this.isMessageViewOpen(viewName)) {
+          this.renderConversation(viewName);
+        }
+      });
+    },
+
+    /**
+     * Download the attachment of a clicked attachment button and save it under its file name
+     */
+    downloadAttachment: async function (button) {
+      const attachments = Data.state.attachments[button.dataset.messageId] || [];
+      const attachment = attachments.find((a) => a.id === button.dataset.attachmentId);
+      if (!attachment) return;
+
+      button.disabled = true;
+      try {
+        const blob = await Data.downloadAttachment(attachment);
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = attachment.name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Revoke once the browser has started the download
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+      } catch (error) {
+        // Logged by Data
+        await this.showAlert(this.config.text.downloadFailed, this.config.text.errorDialogTitle);
+      } finally {
+        button.disabled = false;
+      }
+    },
+
+    /**
+     * Load the rest of the conversation (including the contact's own comments) and show it when it arrives
+     */
+    loadConversation: async function (viewName, message) {
+      const conversation = Data.state.conversations[message.regardingObjectId];
+      if (!message.regardingObjectId || Data.isLocalEnvironment() || (conversation && conversation.loaded)) {
+        return;
+      }
+
+      this.setConversationNote(viewName, this.config.text.loadingConversation);
+
+      let failed = false;
+      try {
+        await Data.loadConversation(message.regardingObjectId);
+      } catch (error) {
+        // Logged by Data; the messages already loaded stay visible
+        failed = true;
+      }
+
+      // The view may show another thread by now
+      if (Data.state.views[viewName].message !== message) {
+        return;
+      }
+
+      this.setConversationNote(viewName, failed ? this.config.text.conversationLoadFailed : "");
+      if (!failed) {
+        this.renderConversation(viewName);
+      }
+    },
+
+    /**
+     * Load the attachments of the conversation open in a view and show them when they arrive
+     */
+    loadAttachments: async function (viewName) {
+      const message = Data.state.views[viewName].message;
+      if (!message || !this.config.features.enableAttachments) {
+        return;
+      }
+
+      let failed = false;
+      try {
+        await Data.loadAttachments(Data.getConversation(message));
+      } catch (error) {
+        // Logged by Data; the conversation stays readable
+        failed = true;
+      }
+
+      // The view may show another thread by now
+      if (Data.state.views[viewName].message !== message) {
+        return;
+      }
+
+      if (failed) {
+        this.setConversationNote(viewName, this.config.text.attachmentsLoadFailed);
+      } else {
+        this.renderConversation(viewName);
+      }
+    },
+
+    /**
+     * Show a note (loading or an error) below a view's conversation
+     */
+    setConversationNote: function (viewName, text) {
+      const view = this.getMessageView(viewName);
+      const note = view ? view.body.querySelector(".portal-conversation-note") : null;
+      if (note) {
+        note.textContent = text;
+      }
+    },
+
+    /**
+     * Update open views of a thread when a message of it arrives (a sent reply, a poll or another tab)
+     */
+    handleConversationChanged: function (message) {
+      if (!message) {
+        return;
+      }
+
+      Object.keys(this.messageViews).forEach((viewName) => {
+        const current = Data.state.views[viewName].message;
+        if (current && this.isMessageViewOpen(viewName) && Data.getThreadKey(message) === Data.getThreadKey(current)) {
+          this.renderConversation(viewName);
+          this.loadAttachments(viewName);
+        }
+      });
+    },
+
+    /**
+     * Render a view's footer for reading or replying
+     */
+    renderViewFooter: function (viewName) {
+      const view = this.getMessageView(viewName);
+      if (!view) {
+        Log.error("Portal Inbox: Message view footer not found");
+        return;
+      }
+
+      const status = '<span class="portal-reply-status me-auto text-success small" role="status"></span>';
+
+      if (view.state.replyMode) {
+        view.footer.innerHTML = `
+                    ${status}
+                    <button type="button" class="btn btn-secondary portal-cancel-reply-btn">${this.config.text.cancelButton}</button>
+                    <button type="button" class="btn btn-primary portal-send-reply-btn">
+                        <i class="${this.config.icons.send} me-2" aria-hidden="true"></i>${this.config.text.sendReplyButton}
+                    </button>
+                `;
+
+        view.footer.querySelector(".portal-cancel-reply-btn").addEventListener("click", () => {
+          this.toggleReplyMode(viewName);
+        });
+        view.footer.querySelector(".portal-send-reply-btn").addEventListener("click", () => {
+          this.sendReply(viewName);
+        });
+        return;
+      }
+
+      // The reading pane stays on the page, so only the modal has a close button
+      const closeButton = viewName === "modal" ? `<button type="button" class="btn btn-secondary" data-bs-dismiss="modal">${this.config.text.closeButton}</button>` : "";
+      const message = view.state.message;
+      const markUnreadButton =
+        this.config.features.enableMarkUnread && message && message.read
+          ? `<button type="button" class="btn btn-outline-secondary portal-mark-unread-btn">
+                    <i class="${this.config.icons.unread} me-2" aria-hidden="true"></i>${this.config.text.markUnreadButton}
+                </button>`
+          : "";
+      const archiveIcon = message && message.archived ? this.config.icons.inbox : this.config.icons.archive;
+      const archiveText = message && message.archived ? this.config.text.unarchiveButton : this.config.text.archiveButton;
+      const archiveButton =
+        this.config.features.enableArchive && message
+          ? `<button type="button" class="btn btn-outline-secondary portal-archive-btn">
+                    <i class="${archiveIcon} me-2" aria-hidden="true"></i>${archiveText}
+                </button>`
+          : "";
+
+      view.footer.innerHTML = `
+                ${status}
+                ${closeButton}
+                ${markUnreadButton}
+                ${archiveButton}
+                ${
+                  this.config.features.enableReply
+                    ? `<button type="button" class="btn btn-primary portal-reply-btn">
+                    <i class="${this.config.icons.reply} me-2" aria-hidden="true"></i>${this.config.text.replyButton}
+                </button>`
+                    : ""
+                }
+            `;
 
-      document.body.insertAdjacentHTML("beforeend", alertModalHTML);
+      if (markUnreadButton) {
+        view.footer.querySelector(".portal-mark-unread-btn").addEventListener("click", () => {
+          this.markViewAsUnread(viewName);
+        });
+      }
+      if (archiveButton) {
+        view.footer.querySelector(".portal-archive-btn").addEventListener("click", () => {
+          this.toggleViewArchived(viewName);
+        });
+      }
+      if (this.config.features.enableReply) {
+        view.footer.querySelector(".portal-reply-btn").addEventListener("click", () => {
+          this.toggleReplyMode(viewName);
+        });
+      }
     },
 
     /**
-     * Show a Bootstrap confirmation dialog
+     * Mark the message open in a view as unread and close the view, so opening it does not mark it read again
      */
-    showConfirm: function (message, title = "Confirm") {
-      return new Promise((resolve) => {
-        const modal = document.getElementById("portalConfirmModal");
-        const modalBody = document.getElementById("portalConfirmModalBody");
-        const modalTitle = document.getElementById("portalConfirmModalLabel");
-        const confirmBtn = document.getElementById("portalConfirmModalConfirmBtn");
-
-        if (!modal || !modalBody || !modalTitle || !confirmBtn) {
-          window.PortalExtensions.error("Portal Inbox: Confirm modal elements not found");
-          resolve(false);
-          return;
-        }
+    markViewAsUnread: function (viewName) {
+      const message = Data.state.views[viewName].message;
+      if (!message) return;
 
-        modalTitle.textContent = title;
-        modalBody.innerHTML = message.replace(/\n/g, "<br>");
+      this.closeMessageView(viewName);
+      Data.markMessageAsUnread(message.id);
+      this.renderMessages();
+    },
 
-        const bsModal = new bootstrap.Modal(modal);
+    /**
+     * Archive the thread open in a view, or move it back to the inbox, and close the view
+     */
+    toggleViewArchived: async function (viewName) {
+      const message = Data.state.views[viewName].message;
+      if (!message) return;
 
-        const newConfirmBtn = confirmBtn.cloneNode(true);
-        confirmBtn.parentNode.replaceChild(newConfirmBtn, confirmBtn);
+      this.closeMessageView(viewName);
 
-        const handleConfirm = () => {
-          bsModal.hide();
-          resolve(true);
-        };
+      // The thread moves at once; it moves back if the server update fails
+      const pending = Data.setThreadArchived(message, !message.archived);
+      this.renderMessages();
 
-        const handleCancel = () => {
-          bsModal.hide();
-          resolve(false);
-        };
+      if ((await pending) > 0) {
+        this.renderMessages();
+        await this.showAlert(this.config.text.archiveFailed, this.config.text.errorDialogTitle);
+      }
+    },
 
-        newConfirmBtn.addEventListener("click", handleConfirm);
+    /**
+     * Close a message view: hide the modal, or clear the full-page reading pane and its deep link
+     */
+    closeMessageView: function (viewName) {
+      if (viewName === "modal") {
+        const modalElement = document.getElementById("portalMessageModal");
+        const modal = modalElement ? bootstrap.Modal.getInstance(modalElement) : null;
+        if (modal) {
+          modal.hide();
+        }
+        return;
+      }
 
-        modal.addEventListener(
-          "hidden.bs.modal",
-          function cancelHandler(e) {
-            if (e.target === modal) {
-              modal.removeEventListener("hidden.bs.modal", cancelHandler);
-              setTimeout(() => resolve(false), 0);
-            }
-          },
-          { once: true }
-        );
+      const view = this.getMessageView(viewName);
+      if (!view) return;
 
-        bsModal.show();
-      });
+      Data.state.views[viewName] = { message: null, replyMode: false, files: [] };
+      view.title.textContent = this.config.text.modalTitle;
+      view.body.innerHTML = `<p class="text-muted text-center my-5">${this.config.text.selectMessage}</p>`;
+      view.footer.innerHTML = "";
+      this.setDeepLink(null);
     },
 
     /**
-     * Show a Bootstrap alert dialog
+     * Toggle reply mode: show or hide the compose box below a view's conversation
      */
-    showAlert: function (message, title = "Alert") {
-      return new Promise((resolve) => {
-        const modal = document.getElementById("portalAlertModal");
-        const modalBody = document.getElementById("portalAlertModalBody");
-        const modalTitle = document.getElementById("portalAlertModalLabel");
-
-        if (!modal || !modalBody || !modalTitle) {
-          window.PortalExtensions.error("Portal Inbox: Alert modal elements not found");
-          resolve();
-          return;
-        }
+    toggleReplyMode: function (viewName) {
+      const view = this.getMessageView(viewName);
+      const replySection = view ? view.body.querySelector(".portal-reply-section") : null;
+      const replyTextArea = view ? view.body.querySelector(".portal-reply-text") : null;
 
-        modalTitle.textContent = title;
-        modalBody.innerHTML = message.replace(/\n/g, "<br>");
-
-        const bsModal = new bootstrap.Modal(modal);
+      if (!replySection || !replyTextArea) {
+        Log.error("Portal Inbox: Message view elements not found for reply mode");
+        return;
+      }
 
-        modal.addEventListener(
-          "hidden.bs.modal",
-          function closeHandler() {
-            modal.removeEventListener("hidden.bs.modal", closeHandler);
-            resolve();
-          },
-          { once: true }
-        );
+      view.state.replyMode = !view.state.replyMode;
+      replySection.classList.toggle("d-none", !view.state.replyMode);
+      this.renderViewFooter(viewName);
 
-        bsModal.show();
-      });
+      if (view.state.replyMode) {
+        setTimeout(() => {
+          replyTextArea.focus();
+        }, 100);
+      } else {
+        // Cancelling discards the draft
+        clearTimeout(this.draftTimers[viewName]);
+        if (replyTextArea.value) {
+          Data.saveDraft(view.state.message.id, "");
+        }
+        replyTextArea.value = "";
+        view.state.files = [];
+        this.renderFileList(view.body, view.state.files);
+        const fileErrors = view.body.querySelector(".portal-reply-file-errors");
+        if (fileErrors) {
+          fileErrors.textContent = "";
+        }
+      }
     },
 
     /**
-     * Render messages in the dropdown
+     * Send the reply typed in a view and append it to the conversation
      */
-    renderMessages: function () {
-      const messagesContainer = document.getElementById("portal-inbox-messages");
-      const badge = document.getElementById("portal-inbox-badge");
+    sendReply: async function (viewName) {
+      const view = this.getMessageView(viewName);
+      const replyTextElement = view ? view.body.querySelector(".portal-reply-text") : null;
 
-      if (!messagesContainer) {
-        window.PortalExtensions.error("Portal Inbox: Messages container not found");
+      if (!replyTextElement) {
+        Log.error("Portal Inbox: Reply text element not found");
         return;
       }
 
-      if (!badge) {
-        window.PortalExtensions.error("Portal Inbox: Badge element not found");
-        return;
-      }
+      const replyText = replyTextElement.value.trim();
 
-      if (Data.state.unreadCount > 0) {
-        badge.textContent = Data.state.unreadCount;
-        badge.style.display = this.config.styles.badgeDisplay;
-      } else {
-        badge.style.display = "none";
+      if (!replyText) {
+        await this.showAlert(this.config.text.replyPrompt, this.config.text.messageRequiredDialogTitle);
+        return;
       }
 
-      messagesContainer.innerHTML = "";
+      const confirmed = await this.showConfirm(this.config.text.confirmSend, this.config.text.confirmSendDialogTitle);
 
-      const filteredMessages = Data.getFilteredMessages();
+      if (confirmed) {
+        // Show loading state
+        const sendBtn = view.footer.querySelector(".portal-send-reply-btn");
 
-      const header = document.createElement("li");
-      const headerText = Data.state.showArchived
-        ? `${this.config.text.archivedHeader} (${filteredMessages.length})`
-        : `${this.config.text.messagesHeader} (${Data.state.unreadCount} ${this.config.text.unreadLabel})`;
-      header.innerHTML = `<h6 class="dropdown-header">${headerText}</h6>`;
-      messagesContainer.appendChild(header);
+        if (!sendBtn) {
+          Log.error("Portal Inbox: Send reply button not found");
+          return;
+        }
 
-      const divider = document.createElement("li");
-      divider.innerHTML = '<hr class="dropdown-divider">';
-      messagesContainer.appendChild(divider);
+        const originalText = sendBtn.innerHTML;
+        sendBtn.disabled = true;
+        sendBtn.innerHTML = `<span class="spinner-border spinner-border-sm me-2"></span>${this.config.text.sendingLabel}`;
 
-      if (filteredMessages.length === 0) {
-        const emptyItem = document.createElement("li");
-        const emptyText = Data.state.showArchived ? this.config.text.noArchivedMessages : this.config.text.noUnreadMessages;
-        emptyItem.innerHTML = `<span class="dropdown-item-text text-muted text-center py-3">${emptyText}</span>`;
-        messagesContainer.appendChild(emptyItem);
-      } else {
-        filteredMessages.forEach((message, index) => {
-          const messageItem = this.createMessageItem(message, index);
-          messagesContainer.appendChild(messageItem);
-        });
-      }
+        const message = view.state.message;
+        clearTimeout(this.draftTimers[viewName]);
+        const result = await Data.createReply(message.id, replyText, view.state.files);
 
-      if (this.config.features.enableArchive) {
-        const bottomDivider = document.createElement("li");
-        bottomDivider.innerHTML = '<hr class="dropdown-divider">';
-        messagesContainer.appendChild(bottomDivider);
+        sendBtn.disabled = false;
+        sendBtn.innerHTML = originalText;
 
-        const toggleItem = document.createElement("li");
-        const toggleText = Data.state.showArchived
-          ? `<i class="${this.config.icons.inbox} me-2"></i>${this.config.text.viewUnread}`
-          : `<i class="${this.config.icons.archive} me-2"></i>${this.config.text.viewArchived}`;
-        toggleItem.innerHTML = `
-                    <a class="dropdown-item text-center fw-bold" href="#" id="portal-toggle-view" style="color: var(--primary-color);">
-                        ${toggleText}
-                    </a>
-                `;
-        messagesContainer.appendChild(toggleItem);
+        if (result.queued) {
+          // The reply is kept in the outbox, shown in the conversation with its state
+          Data.saveDraft(message.id, "");
+          this.handleOutboxChanged();
+          if (view.state.message !== message) {
+            return;
+          }
+          this.toggleReplyMode(viewName);
 
-        const toggleLink = document.getElementById("portal-toggle-view");
-        if (toggleLink) {
-          toggleLink.addEventListener("click", (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            this.handleToggleView();
+          const status = view.footer.querySelector(".portal-reply-status");
+          if (status) {
+            status.classList.replace("text-success", result.queued === "pending" ? "text-muted" : "text-danger");
+            status.textContent = result.queued === "pending" ? this.config.text.replyQueuedOffline : this.config.text.replyQueuedFailed;
+          }
+        } else if (result.success) {
+          Data.saveDraft(message.id, "");
+          const event = new CustomEvent("portalInboxReplySent", {
+            detail: {
+              originalMessage: message,
+              replyText: replyText,
+              timestamp: new Date().toISOString(),
+              success: true,
+            },
           });
+          document.dispatchEvent(event);
+
+          // Every open view of the thread shows the reply
+          this.handleConversationChanged(result.reply);
+
+          // The view may have been closed or moved to another thread while sending
+          if (view.state.message !== message) {
+            return;
+          }
+
+          // Close the compose box and confirm the reply was sent
+          this.toggleReplyMode(viewName);
+
+          const status = view.footer.querySelector(".portal-reply-status");
+          if (status) {
+            status.textContent = this.config.text.replySent;
+          }
+
+          if (result.failedAttachments && result.failedAttachments.length > 0) {
+            await this.showAlert(this.t("attachmentUploadFailed", { names: result.failedAttachments.join(", ") }), this.config.text.errorDialogTitle);
+          }
         } else {
-          window.PortalExtensions.error("Portal Inbox: Toggle view link not found");
+          await this.showAlert(this.t("sendReplyFailed", { error: result.message }), this.config.text.errorDialogTitle);
         }
       }
     },
 
     /**
-     * Create a message item element
+     * Mount the full-page inbox in a page element: the message list on the left, a reading pane on the right
+     * It shares Data with the navbar dropdown, so both always show the same messages and read status
      */
-    createMessageItem: function (message, index) {
-      const li = document.createElement("li");
-      const unreadClass = !message.read ? "fw-bold" : "";
-      const unreadBadge = !message.read ? `<span class="badge bg-primary rounded-pill">${this.config.text.newBadge}</span>` : "";
-      const initials = this.getInitials(message.from);
+    mountPage: function (containerOrId) {
+      const container = typeof containerOrId === "string" ? document.getElementById(containerOrId) : containerOrId;
+      if (!container) {
+        Log.error("Portal Inbox: Full-page container not found");
+        return false;
+      }
 
-      li.innerHTML = `
-                <a class="dropdown-item ${unreadClass}" href="#" data-message-id="${message.id}">
-                    <div class="d-flex align-items-start">
-                        <div class="message-avatar">${initials}</div>
-                        <div class="flex-grow-1" style="min-width: 0;">
-                            <div class="d-flex justify-content-between align-items-center mb-1">
-                                <span class="message-from">${this.escapeHtml(message.from)}</span>
-                                ${unreadBadge}
-                            </div>
-                            <div class="message-subject text-truncate mb-1" style="max-width: 100%;">
-                                ${this.escapeHtml(message.subject)}
+      this.unmountPage();
+
+      container.innerHTML = `
+                <div class="portal-inbox-page row g-0 border rounded" ${I18n.getLanguageAttributes()}>
+                    <div class="col-md-5 col-lg-4 border-end d-flex flex-column portal-inbox-page-pane">
+                        <div class="d-flex justify-content-between align-items-center p-3 border-bottom">
+                            <h2 class="h6 mb-0 fw-bold" id="portal-inbox-page-header">${this.config.text.loadingMessages}</h2>
+                            <div class="d-flex align-items-center gap-3">
+                                ${this.config.features.enableArchive ? '<button type="button" class="btn btn-sm btn-link p-0" id="portal-inbox-page-toggle"></button>' : ""}
+                                ${
+                                  this.config.features.enableCompose
+                                    ? `<button type="button" class="btn btn-sm btn-primary" id="portal-inbox-page-compose">
+                                    <i class="${this.config.icons.compose} me-1" aria-hidden="true"></i>${this.config.text.newMessageButton}
+                                </button>`
+                                    : ""
+                                }
                             </div>
-                            <small class="message-time">${this.formatDate(message.date)}</small>
                         </div>
+                        ${this.config.features.enableSearch ? this.createSearchFormHTML() : ""}
+                        ${this.config.features.enableArchive ? this.createBulkActionsHTML() : ""}
+                        <div class="list-group list-group-flush flex-grow-1 overflow-auto" id="portal-inbox-page-messages"></div>
                     </div>
-                </a>
+                    <div class="col-md-7 col-lg-8 d-flex flex-column portal-inbox-page-pane">
+                        <div class="p-3 border-bottom">
+                            <h2 class="h5 mb-0" id="portal-inbox-page-title">${this.config.text.modalTitle}</h2>
+                        </div>
+                        <div class="flex-grow-1 overflow-auto p-3" id="portal-inbox-page-body">
+                            <p class="text-muted text-center my-5">${this.config.text.selectMessage}</p>
+                        </div>
+                        <div class="d-flex flex-wrap justify-content-end align-items-center gap-2 p-3 border-top" id="portal-inbox-page-footer"></div>
+                    </div>
+                </div>
             `;
 
-      const link = li.querySelector("a");
-      if (link) {
-        link.addEventListener("click", (e) => {
+      this.pageContainer = container;
+
+      const list = document.getElementById("portal-inbox-page-messages");
+      list.addEventListener("scroll", () => this.handleScroll(list));
+      this.initRovingFocus(list, ".list-group-item");
+
+      const toggle = document.getElementById("portal-inbox-page-toggle");
+      if (toggle) {
+        toggle.addEventListener("click", () => this.handleToggleView());
+      }
+
+      const compose = document.getElementById("portal-inbox-page-compose");
+      if (compose) {
+        // Start with the record of the thread being read, if any
+        compose.addEventListener("click", () => {
+          const open = Data.state.views.page.message;
+          this.openCompose(open ? open.regardingObjectId : null);
+        });
+      }
+
+      const selectAll = document.getElementById("portal-inbox-page-select-all");
+      if (selectAll) {
+        selectAll.addEventListener("change", () => this.handleSelectAll(selectAll.checked));
+        document.getElementById("portal-inbox-page-archive-selected").addEventListener("click", () => this.archiveSelectedThreads());
+      }
+
+      const searchForm = container.querySelector(".portal-inbox-search");
+      if (searchForm) {
+        searchForm.addEventListener("input", () => this.handleSearchChange(false));
+        searchForm.addEventListener("submit", (e) => {
           e.preventDefault();
-          this.handleMessageClick(message.id);
+          this.handleSearchChange(true);
+        });
+        document.getElementById("portal-inbox-search-clear").addEventListener("click", () => {
+          searchForm.reset();
+          this.handleSearchChange(true);
         });
-      } else {
-        window.PortalExtensions.error("Portal Inbox: Message link not found in message item");
       }
 
-      return li;
+      this.renderPage();
+      return true;
     },
 
     /**
-     * Handle message click
+     * Create the search box, date range and facet filters of the full-page inbox
      */
-    handleMessageClick: function (messageId) {
-      const message = Data.getMessage(messageId);
-      if (!message) return;
-
-      if (!message.read) {
-        Data.markMessageAsRead(messageId);
-        this.renderMessages();
-      }
-
-      this.showMessageModal(message);
-
-      const event = new CustomEvent("portalInboxMessageClick", {
-        detail: { messageId: messageId, message: message },
-      });
-      document.dispatchEvent(event);
+    createSearchFormHTML: function () {
+      const text = this.config.text;
+
+      return `
+                <form class="portal-inbox-search p-3 border-bottom" role="search">
+                    <input type="search" class="form-control form-control-sm mb-2" id="portal-inbox-search-text" 
+                           placeholder="${text.searchPlaceholder}" aria-label="${text.searchPlaceholder}">
+                    <div class="row g-2 mb-2">
+                        <div class="col-6">
+                            <label class="form-label small text-muted mb-0" for="portal-inbox-search-from">${text.searchFromDate}</label>
+                            <input type="date" class="form-control form-control-sm" id="portal-inbox-search-from">
+                        </div>
+                        <div class="col-6">
+                            <label class="form-label small text-muted mb-0" for="portal-inbox-search-to">${text.searchToDate}</label>
+                            <input type="date" class="form-control form-control-sm" id="portal-inbox-search-to">
+                        </div>
+                    </div>
+                    <div class="row g-2">
+                        <div class="col-6">
+                            <select class="form-select form-select-sm" id="portal-inbox-search-regarding" aria-label="${text.searchRegarding}"></select>
+                        </div>
+                        <div class="col-6">
+                            <select class="form-select form-select-sm" id="portal-inbox-search-sender" aria-label="${text.searchSender}"></select>
+                        </div>
+                    </div>
+                    <div class="d-flex justify-content-between align-items-center mt-2">
+                        <small class="text-muted" id="portal-inbox-search-status" role="status"></small>
+                        <button type="button" class="btn btn-sm btn-link p-0" id="portal-inbox-search-clear">${text.clearSearch}</button>
+                    </div>
+                </form>
+            `;
     },
 
     /**
-     * Handle toggle view
+     * Create the select-all checkbox and bulk archive button of the full-page inbox
      */
-    handleToggleView: function () {
-      Data.toggleView();
-      this.renderMessages();
+    createBulkActionsHTML: function () {
+      return `
+                <div class="d-flex align-items-center gap-2 px-3 py-2 border-bottom portal-inbox-page-bulk">
+                    <input class="form-check-input m-0" type="checkbox" id="portal-inbox-page-select-all">
+                    <label class="form-check-label small" for="portal-inbox-page-select-all" id="portal-inbox-page-selected-count">${this.config.text.selectAll}</label>
+                    <button type="button" class="btn btn-sm btn-outline-secondary ms-auto" id="portal-inbox-page-archive-selected" disabled></button>
+                </div>
+            `;
     },
 
     /**
-     * Show message in modal
+     * Update the select-all checkbox, selection count and bulk archive button for the listed threads
      */
-    showMessageModal: function (message) {
-      const modalBody = document.getElementById("portalMessageBody");
-      const modalTitle = document.getElementById("portalMessageModalLabel");
-      const footer = document.getElementById("portalMessageFooter");
-
-      if (!modalBody || !modalTitle || !footer) {
-        window.PortalExtensions.error("Portal Inbox: Message modal elements not found");
+    renderBulkActions: function (threads) {
+      const selectAll = document.getElementById("portal-inbox-page-select-all");
+      const count = document.getElementById("portal-inbox-page-selected-count");
+      const button = document.getElementById("portal-inbox-page-archive-selected");
+      if (!selectAll || !count || !button) {
         return;
       }
 
-      modalTitle.textContent = this.escapeHtml(message.subject);
-
-      const messageContent = this.config.features.allowHtmlInMessages ? this.sanitizeHtmlForLinks(message.body) : this.escapeHtml(message.body);
-
-      const messageHTML = `
-                <div id="portalMessageContent">
-                    <div class="message-header mb-4">
-                        <div class="d-flex align-items-start mb-3">
-                            <div class="message-avatar me-3" style="width: 50px; height: 50px; font-size: 1.2rem;">
-                                ${this.getInitials(message.from)}
-                            </div>
-                            <div class="flex-grow-1">
-                                <h6 class="mb-1 fw-bold">${this.escapeHtml(message.from)}</h6>
-                                <small class="text-muted">${this.config.text.toLabel}</small>
-                            </div>
-                            <small class="text-muted">${this.formatDate(message.date)}</small>
-                        </div>
-                    </div>
-                    <div class="message-body">
-                        <p>${messageContent}</p>
-                    </div>
-                </div>
-            `;
+      const selected = this.selectedThreads.size;
+      selectAll.checked = selected > 0 && selected === threads.length;
+      selectAll.indeterminate = selected > 0 && selected < threads.length;
+      selectAll.disabled = threads.length === 0;
+      count.textContent = selected > 0 ? this.t("selectedCount", { count: selected }) : this.config.text.selectAll;
 
-      modalBody.innerHTML = messageHTML;
+      button.disabled = selected === 0;
+      button.innerHTML = Data.state.showArchived
+        ? `<i class="${this.config.icons.inbox} me-1" aria-hidden="true"></i>${this.config.text.unarchiveSelected}`
+        : `<i class="${this.config.icons.archive} me-1" aria-hidden="true"></i>${this.config.text.archiveSelected}`;
+    },
 
-      if (this.config.features.enableExternalLinkWarning && this.config.features.allowHtmlInMessages) {
-        const links = modalBody.querySelectorAll("a[data-portal-link]");
-        links.forEach((link) => {
-          link.addEventListener("click", (e) => this.handleLinkClick(e));
-        });
+    /**
+     * Select or deselect every listed thread
+     */
+    handleSelectAll: function (checked) {
+      this.selectedThreads.clear();
+      if (checked) {
+        Data.groupIntoThreads(Data.getSearchResults()).forEach((thread) => this.selectedThreads.add(thread.key));
       }
+      this.renderPage();
+    },
 
-      footer.innerHTML = `
-                <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">${this.config.text.closeButton}</button>
-                ${
-                  this.config.features.enableReply
-                    ? `<button type="button" class="btn btn-primary" id="portalReplyBtn">
-                    <i class="${this.config.icons.reply} me-2"></i>${this.config.text.replyButton}
-                </button>`
-                    : ""
-                }
-            `;
-
-      if (this.config.features.enableReply) {
-        const replyBtn = document.getElementById("portalReplyBtn");
-        if (replyBtn) {
-          replyBtn.addEventListener("click", () => {
-            this.toggleReplyMode();
-          });
-        }
+    /**
+     * Archive the selected threads, or move them back to the inbox when the archive is shown
+     */
+    archiveSelectedThreads: async function () {
+      const keys = new Set(this.selectedThreads);
+      const ids = Data.getFilteredMessages()
+        .filter((msg) => keys.has(Data.getThreadKey(msg)))
+        .map((msg) => msg.id);
+      this.selectedThreads.clear();
+
+      const open = Data.state.views.page.message;
+      if (open && keys.has(Data.getThreadKey(open))) {
+        this.closeMessageView("page");
       }
 
-      Data.state.replyMode = false;
-      Data.state.currentMessage = message;
+      // The threads move at once; those whose server update fails move back
+      const pending = Data.setArchived(ids, !Data.state.showArchived);
+      this.renderMessages();
 
-      const modalElement = document.getElementById("portalMessageModal");
-      if (!modalElement) {
-        window.PortalExtensions.error("Portal Inbox: Message modal element not found");
-        return;
+      if ((await pending) > 0) {
+        this.renderMessages();
+        await this.showAlert(this.config.text.archiveFailed, this.config.text.errorDialogTitle);
       }
-
-      const modal = bootstrap.Modal.getInstance(modalElement) || new bootstrap.Modal(modalElement);
-      modal.show();
     },
 
     /**
-     * Toggle reply mode
+     * Filter the full-page list as the search form changes; the server is searched after a pause in typing
      */
-    toggleReplyMode: function () {
-      if (Data.state.replyMode) {
-        this.showMessageModal(Data.state.currentMessage);
-      } else {
-        Data.state.replyMode = true;
-        const message = Data.state.currentMessage;
-        const modalBody = document.getElementById("portalMessageBody");
-        const footer = document.getElementById("portalMessageFooter");
+    handleSearchChange: function (immediate) {
+      const value = (id) => document.getElementById(id).value || null;
+
+      Data.setSearch({
+        text: document.getElementById("portal-inbox-search-text").value,
+        dateFrom: value("portal-inbox-search-from"),
+        dateTo: value("portal-inbox-search-to"),
+        regardingObjectId: value("portal-inbox-search-regarding"),
+        senderId: value("portal-inbox-search-sender"),
+      });
+      this.renderPage();
 
-        if (!modalBody || !footer) {
-          window.PortalExtensions.error("Portal Inbox: Modal elements not found for reply mode");
-          return;
-        }
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => Data.searchServer(), immediate ? 0 : 400);
+    },
 
-        const messageContent = this.config.features.allowHtmlInMessages ? this.sanitizeHtmlForLinks(message.body) : this.escapeHtml(message.body);
+    /**
+     * Fill a facet select with the values of the current view, keeping the selected value
+     */
+    renderSearchFacet: function (selectId, allLabel, values, selected) {
+      const select = document.getElementById(selectId);
+      if (!select) {
+        return;
+      }
 
-        const replyHTML = `
-                    <div id="portalReplySection">
-                        <div class="reply-compose mb-3">
-                            <label class="form-label fw-bold">${this.config.text.replyLabel}</label>
-                            <textarea class="form-control" id="portalReplyText" rows="6" 
-                                      placeholder="${this.config.text.replyPlaceholder}"></textarea>
-                        </div>
-                        <hr class="my-4">
-                        <div class="text-muted mb-2">
-                            <small><strong>${this.config.text.originalMessageLabel}</strong></small>
-                        </div>
-                    </div>
-                    <div id="portalMessageContent">
-                        <div class="message-header mb-4 opacity-75">
-                            <div class="d-flex align-items-start mb-3">
-                                <div class="message-avatar me-3" style="width: 50px; height: 50px; font-size: 1.2rem;">
-                                    ${this.getInitials(message.from)}
-                                </div>
-                                <div class="flex-grow-1">
-                                    <h6 class="mb-1 fw-bold">${this.escapeHtml(message.from)}</h6>
-                                    <small class="text-muted">${this.config.text.toLabel}</small>
-                                </div>
-                                <small class="text-muted">${this.formatDate(message.date)}</small>
-                            </div>
-                        </div>
-                        <div class="message-body opacity-75">
-                            <p>${messageContent}</p>
-                        </div>
-                    </div>
-                `;
+      // A selected value stays available even when the view no longer has messages for it
+      if (selected && !values.some((facet) => facet.value === selected)) {
+        values = values.concat({ value: selected, label: selected, count: 0 });
+      }
 
-        modalBody.innerHTML = replyHTML;
+      select.innerHTML = `<option value="">${allLabel}</option>`;
+      values.forEach((facet) => {
+        const option = document.createElement("option");
+        option.value = facet.value;
+        option.textContent = `${facet.label} (${facet.count})`;
+        option.selected = facet.value === selected;
+        select.appendChild(option);
+      });
+    },
 
-        if (this.config.features.enableExternalLinkWarning && this.config.features.allowHtmlInMessages) {
-          const links = modalBody.querySelectorAll("a[data-portal-link]");
-          links.forEach((link) => {
-            link.addEventListener("click", (e) => this.handleLinkClick(e));
-          });
-        }
+    /**
+     * Remove the full-page inbox, if mounted
+     */
+    unmountPage: function () {
+      if (this.pageContainer) {
+        this.pageContainer.innerHTML = "";
+        this.pageContainer = null;
+      }
+      Data.state.views.page = { message: null, replyMode: false, files: [] };
+      this.selectedThreads.clear();
+      // Only the full-page inbox has a search form
+      clearTimeout(this.searchTimer);
+      Data.clearSearch();
+    },
 
-        footer.innerHTML = `
-                    <button type="button" class="btn btn-secondary" id="portalCancelReplyBtn">${this.config.text.cancelButton}</button>
-                    <button type="button" class="btn btn-primary" id="portalSendReplyBtn">
-                        <i class="${this.config.icons.send} me-2"></i>${this.config.text.sendReplyButton}
-                    </button>
-                `;
+    /**
+     * Render the full-page message list (called by renderMessages, so both lists stay in step)
+     */
+    renderPage: function () {
+      const list = document.getElementById("portal-inbox-page-messages");
+      const header = document.getElementById("portal-inbox-page-header");
+      if (!list || !header) {
+        return;
+      }
 
-        const cancelReplyBtn = document.getElementById("portalCancelReplyBtn");
-        const sendReplyBtn = document.getElementById("portalSendReplyBtn");
+      if (!Data.state.isLoaded) {
+        header.textContent = this.config.text.loadingMessages;
+        return;
+      }
 
-        if (cancelReplyBtn) {
-          cancelReplyBtn.addEventListener("click", () => {
-            this.toggleReplyMode();
-          });
+      const filteredMessages = Data.getFilteredMessages();
+      const results = Data.getSearchResults();
+      const threads = Data.groupIntoThreads(results);
+      const view = Data.getCurrentView();
+      const searching = Data.isSearchActive();
+
+      header.textContent = this.getHeaderText(filteredMessages.length);
+      this.renderSearchStatus(results.length);
+
+      // Threads that were archived, filtered out or merged away are no longer selected
+      const keys = threads.map((thread) => thread.key);
+      this.selectedThreads.forEach((key) => {
+        if (!keys.includes(key)) {
+          this.selectedThreads.delete(key);
         }
+      });
+      this.renderBulkActions(threads);
 
-        if (sendReplyBtn) {
-          sendReplyBtn.addEventListener("click", () => {
-            this.sendReply();
-          });
+      // Re-rendering must not move the list the user is scrolling through, or the focus in it
+      const scrollTop = list.scrollTop;
+      const focus = this.getRovingFocus(list, ".list-group-item");
+      list.innerHTML = "";
+
+      if (threads.length === 0 && Data.state.pages[view].loaded && !Data.state.search.isSearchingServer) {
+        let emptyText = Data.state.showArchived ? this.config.text.noArchivedMessages : this.config.text.noUnreadMessages;
+        if (searching) {
+          emptyText = this.config.text.noSearchResults;
         }
+        list.innerHTML = `<div class="list-group-item text-muted text-center py-4">${emptyText}</div>`;
+      }
 
-        setTimeout(() => {
-          const replyTextArea = document.getElementById("portalReplyText");
-          if (replyTextArea) {
-            replyTextArea.focus();
-          }
-        }, 100);
+      threads.forEach((thread) => {
+        list.appendChild(this.createPageMessageItem(thread.message, thread.messages.length));
+      });
+
+      if (Data.hasMorePages(view)) {
+        const loading = Data.state.pages[view].loading;
+        const loadMore = document.createElement("button");
+        loadMore.type = "button";
+        loadMore.className = "list-group-item list-group-item-action text-center text-muted";
+        loadMore.setAttribute("aria-busy", loading);
+        loadMore.textContent = loading ? this.config.text.loadingMoreMessages : this.config.text.loadMoreMessages;
+        loadMore.addEventListener("click", () => Data.loadNextPage(view));
+        list.appendChild(loadMore);
+      }
+
+      const toggle = document.getElementById("portal-inbox-page-toggle");
+      if (toggle) {
+        toggle.innerHTML = Data.state.showArchived
+          ? `<i class="${this.config.icons.inbox} me-1" aria-hidden="true"></i>${this.config.text.viewUnread}`
+          : `<i class="${this.config.icons.archive} me-1" aria-hidden="true"></i>${this.config.text.viewArchived}`;
       }
+
+      this.updateRovingFocus(list, ".list-group-item", focus);
+      list.scrollTop = scrollTop;
     },
 
     /**
-     * Send reply
+     * Show the number of matches (or that the server is being searched) and refresh the facet filters
      */
-    sendReply: async function () {
-      const replyTextElement = document.getElementById("portalReplyText");
-
-      if (!replyTextElement) {
-        window.PortalExtensions.error("Portal Inbox: Reply text element not found");
+    renderSearchStatus: function (resultCount) {
+      const status = document.getElementById("portal-inbox-search-status");
+      if (!status) {
         return;
       }
 
-      const replyText = replyTextElement.value.trim();
-
-      if (!replyText) {
-        await this.showAlert(this.config.text.replyPrompt, "Message Required");
-        return;
+      const search = Data.state.search;
+      if (search.isSearchingServer) {
+        status.textContent = this.config.text.searchingServer;
+      } else {
+        status.textContent = Data.isSearchActive() ? this.t("searchResultCount", { count: resultCount }) : "";
       }
 
-      const confirmed = await this.showConfirm(this.config.text.confirmSend, "Confirm Send");
+      const facets = Data.getSearchFacets();
+      this.renderSearchFacet("portal-inbox-search-regarding", this.config.text.searchRegarding, facets.regarding, search.regardingObjectId);
+      this.renderSearchFacet("portal-inbox-search-sender", this.config.text.searchSender, facets.senders, search.senderId);
+    },
 
-      if (confirmed) {
-        // Show loading state
-        const sendBtn = document.getElementById("portalSendReplyBtn");
+    /**
+     * Create a thread item of the full-page list; the thread open in the reading pane is highlighted
+     * With archiving enabled, each thread has a checkbox for the bulk actions
+     */
+    createPageMessageItem: function (message, threadSize) {
+      const item = document.createElement("div");
+      const key = Data.getThreadKey(message);
+      const open = Data.state.views.page.message;
 
-        if (!sendBtn) {
-          window.PortalExtensions.error("Portal Inbox: Send reply button not found");
-          return;
-        }
+      item.className = "list-group-item list-group-item-action d-flex align-items-start gap-2";
+      if (!message.read) {
+        item.classList.add("fw-bold", "portal-inbox-page-unread");
+      }
+      if (open && Data.getThreadKey(open) === key) {
+        item.classList.add("portal-inbox-page-selected");
+      }
 
-        const originalText = sendBtn.innerHTML;
-        sendBtn.disabled = true;
-        sendBtn.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Sending...';
+      if (this.config.features.enableArchive) {
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.className = "form-check-input flex-shrink-0 mt-3 portal-inbox-page-select";
+        checkbox.checked = this.selectedThreads.has(key);
+        checkbox.setAttribute("aria-label", `${this.config.text.selectThread} ${message.subject}`);
+        checkbox.addEventListener("change", () => {
+          if (checkbox.checked) {
+            this.selectedThreads.add(key);
+          } else {
+            this.selectedThreads.delete(key);
+          }
+          this.renderPage();
+        });
+        item.appendChild(checkbox);
+      }
 
-        const result = await Data.createReply(Data.state.currentMessage.id, replyText);
+      const link = document.createElement("a");
+      link.href = "#";
+      link.className = "flex-grow-1 text-reset text-decoration-none portal-inbox-page-link";
+      link.style.minWidth = "0";
+      if (item.classList.contains("portal-inbox-page-selected")) {
+        link.setAttribute("aria-current", "true");
+      }
+      link.dataset.messageId = message.id;
+      // Set as a property: the key contains the subject, which may hold quotes
+      link.dataset.threadKey = key;
+      link.innerHTML = this.createMessageSummaryHTML(message, threadSize);
+
+      link.addEventListener("click", (e) => {
+        e.preventDefault();
+        this.handleMessageClick(message.id);
+      });
+      item.appendChild(link);
 
-        sendBtn.disabled = false;
-        sendBtn.innerHTML = originalText;
+      return item;
+    },
 
-        if (result.success) {
-          const event = new CustomEvent("portalInboxReplySent", {
-            detail: {
-              originalMessage: Data.state.currentMessage,
-              replyText: replyText,
-              timestamp: new Date().toISOString(),
-              success: true,
-            },
-          });
-          document.dispatchEvent(event);
+    /**
+     * Show a thread in the full-page reading pane and link to it from the URL
+     */
+    showPageMessage: function (message) {
+      if (!this.showMessage("page", message)) {
+        return;
+      }
+      this.renderPage();
+      this.setDeepLink(message.id);
+    },
 
-          const modalElement = document.getElementById("portalMessageModal");
-          if (!modalElement) {
-            window.PortalExtensions.error("Portal Inbox: Message modal element not found");
-            return;
-          }
+    /**
+     * Get the linked message id from #message=<id> or ?message=<id> (see fullPage.deepLinkParameter)
+     */
+    getDeepLinkMessageId: function () {
+      const parameter = this.config.fullPage.deepLinkParameter;
+      if (!parameter) {
+        return null;
+      }
 
-          const modal = bootstrap.Modal.getInstance(modalElement);
-          if (modal) {
-            modal.hide();
-          }
+      const hashParams = new URLSearchParams(window.location.hash.replace(/^#/, ""));
+      return hashParams.get(parameter) || new URLSearchParams(window.location.search).get(parameter);
+    },
+
+    /**
+     * Put the message open in the reading pane into the URL hash, so it can be bookmarked or shared
+     * A null messageId removes it again once the pane is cleared
+     */
+    setDeepLink: function (messageId) {
+      const parameter = this.config.fullPage.deepLinkParameter;
+      if (!parameter || this.getDeepLinkMessageId() === messageId) {
+        return;
+      }
 
-          Data.state.replyMode = false;
-          Data.state.currentMessage = null;
+      const hashParams = new URLSearchParams(window.location.hash.replace(/^#/, ""));
+      if (messageId) {
+        hashParams.set(parameter, messageId);
+      } else {
+        hashParams.delete(parameter);
+      }
+      // replaceState does not add a history entry per message or fire hashchange
+      history.replaceState(history.state, "", `#${hashParams.toString()}`);
+    },
 
-          const successMessage = this.config.text.replySent;
-          modalElement.addEventListener(
-            "hidden.bs.modal",
-            async function successHandler() {
-              await window.PortalInboxExtension.UI.showAlert(successMessage, "Success");
-              modalElement.removeEventListener("hidden.bs.modal", successHandler);
+    /**
+     * Open the linked message once messages are loaded, fetching it when it is not on a loaded page
+     */
+    openDeepLink: async function () {
+      const messageId = this.getDeepLinkMessageId();
+      if (!messageId || !Data.state.isLoaded) {
+        return;
+      }
 
-              // Refresh messages to show the new reply
-              Data.loadMessages();
-            },
-            { once: true }
-          );
-        } else {
-          await this.showAlert(`Failed to send reply: ${result.message}`, "Error");
-        }
+      const viewName = this.getMessageView("page") ? "page" : "modal";
+      const current = Data.state.views[viewName].message;
+      if (current && current.id === messageId && this.isMessageViewOpen(viewName)) {
+        return;
+      }
+
+      const message = Data.getMessage(messageId) || (await Data.fetchMessage(messageId));
+      if (!message) {
+        Log.warn(`Portal Inbox: Linked message ${messageId} was not found`);
+        return;
       }
+
+      this.openMessage(message);
     },
 
     /**
      * Render error state
      */
     renderError: function () {
+      const pageList = document.getElementById("portal-inbox-page-messages");
+      if (pageList) {
+        pageList.innerHTML = `<div class="list-group-item text-danger">${this.config.text.failedToLoad}</div>`;
+      }
+
       const messagesContainer = document.getElementById("portal-inbox-messages");
 
       if (!messagesContainer) {
-        window.PortalExtensions.error("Portal Inbox: Messages container not found");
+        Log.error("Portal Inbox: Messages container not found");
         return;
       }
 
@@ -1371,15 +5117,13 @@
       const diffHours = Math.floor(diffMs / 3600000);
       const diffDays = Math.floor(diffMs / 86400000);
 
+      // "5 minutes ago", "yesterday" and so on in the inbox language, then the date itself
       if (diffMins < 1) return this.config.text.justNow;
-      if (diffMins === 1) return `1 ${this.config.text.minuteAgo}`;
-      if (diffMins < 60) return `${diffMins} ${this.config.text.minutesAgo}`;
-      if (diffHours === 1) return `1 ${this.config.text.hourAgo}`;
-      if (diffHours < 24) return `${diffHours} ${this.config.text.hoursAgo}`;
-      if (diffDays === 1) return `1 ${this.config.text.dayAgo}`;
-      if (diffDays < 7) return `${diffDays} ${this.config.text.daysAgo}`;
+      if (diffMins < 60) return I18n.formatRelativeTime(-diffMins, "minute");
+      if (diffHours < 24) return I18n.formatRelativeTime(-diffHours, "hour");
+      if (diffDays < 7) return I18n.formatRelativeTime(-diffDays, "day");
 
-      return date.toLocaleDateString();
+      return I18n.formatDate(date);
     },
 
     /**
@@ -1392,79 +5136,196 @@
     },
 
     /**
-     * Sanitize HTML to allow only links
+     * Sanitize message HTML against the htmlSanitizer allowlist
+     * Elements that are not allowed are replaced by their content, except SANITIZER_DROPPED_TAGS,
+     * which are removed with it. Event handlers, styles and URLs with other schemes are always removed
      */
-    sanitizeHtmlForLinks: function (html) {
-      const temp = document.createElement("div");
-      temp.innerHTML = html;
+    sanitizeHtml: function (html) {
+      const options = this.config.htmlSanitizer;
+      const allowedTags = options.allowedTags.map((tag) => tag.toLowerCase());
 
-      const allElements = temp.querySelectorAll("*");
+      // A parsed document is inert: nothing in it loads or runs while it is cleaned
+      const doc = new DOMParser().parseFromString(html || "", "text/html");
 
-      allElements.forEach((el) => {
-        if (el.tagName.toLowerCase() !== "a") {
-          const text = document.createTextNode(el.textContent);
-          el.parentNode.replaceChild(text, el);
-        }
-      });
+      const clean = (parent) => {
+        Array.from(parent.childNodes).forEach((node) => {
+          if (node.nodeType === Node.TEXT_NODE) {
+            return;
+          }
+          // Comments and anything else that is not an element
+          if (node.nodeType !== Node.ELEMENT_NODE) {
+            node.remove();
+            return;
+          }
 
-      const links = temp.querySelectorAll("a");
-      links.forEach((link) => {
-        const href = link.getAttribute("href");
-        const target = link.getAttribute("target");
+          const tag = node.tagName.toLowerCase();
+          if (SANITIZER_DROPPED_TAGS.includes(tag)) {
+            node.remove();
+            return;
+          }
 
-        while (link.attributes.length > 0) {
-          link.removeAttribute(link.attributes[0].name);
-        }
+          clean(node);
+          if (allowedTags.includes(tag)) {
+            this.sanitizeAttributes(node, tag, options);
+          } else {
+            node.replaceWith(...node.childNodes);
+          }
+        });
+      };
 
-        if (href) {
-          link.setAttribute("href", href);
-        }
-        if (target) {
-          link.setAttribute("target", target);
-        } else {
-          link.setAttribute("target", "_blank");
+      clean(doc.body);
+      return doc.body.innerHTML;
+    },
+
+    /**
+     * Remove the attributes of an allowed element that are not allowed for it
+     * Links always open in a new tab and go through the external link check
+     */
+    sanitizeAttributes: function (element, tag, options) {
+      const allowed = (options.allowedAttributes[tag] || []).concat(options.allowedAttributes["*"] || []).map((name) => name.toLowerCase());
+
+      Array.from(element.attributes).forEach((attribute) => {
+        const name = attribute.name.toLowerCase();
+        const keep =
+          allowed.includes(name) &&
+          !name.startsWith("on") &&
+          name !== "style" &&
+          (!SANITIZER_URL_ATTRIBUTES.includes(name) || this.isSafeUrl(attribute.value, options.allowedSchemes));
+        if (!keep) {
+          element.removeAttribute(attribute.name);
         }
-        link.setAttribute("rel", "noopener noreferrer");
-        link.setAttribute("data-portal-link", "true");
       });
 
-      return temp.innerHTML;
+      if (tag === "a") {
+        element.setAttribute("target", "_blank");
+        element.setAttribute("rel", "noopener noreferrer");
+        element.setAttribute("data-portal-link", "true");
+      }
+    },
+
+    /**
+     * Whether a URL is relative or uses one of the allowed schemes
+     * Browsers ignore control characters and whitespace in a scheme ("java\tscript:"), so they are ignored here too
+     */
+    isSafeUrl: function (url, allowedSchemes) {
+      const normalized = String(url).replace(/[\u0000-\u0020\u007f-\u009f]/g, "");
+      const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/i);
+      return !scheme || allowedSchemes.includes(scheme[1].toLowerCase());
     },
 
     /**
-     * Check if a URL is external
+     * Decide what a click on a link does under the link policy
+     * Returns { action: "open" | "warn" | "block", reason, domain, rule, warning }; blocked domains win over trusted ones
      */
-    isExternalLink: function (url) {
+    getLinkDecision: function (href) {
+      const policy = this.config.linkPolicy;
+      let url;
       try {
-        const linkUrl = new URL(url, window.location.href);
-        const currentUrl = new URL(window.location.href);
-        return linkUrl.hostname !== currentUrl.hostname;
+        url = new URL(href, window.location.href);
       } catch (e) {
-        return true;
+        return { action: "block", reason: "invalid", domain: "", rule: null, warning: null };
+      }
+
+      const domain = url.hostname.toLowerCase();
+      const matches = (patterns) => (patterns || []).find((pattern) => window.PortalExtensions.matchesHostPattern(domain, pattern)) || null;
+      const decision = (action, reason, rule, warning) => ({ action: action, reason: reason, domain: domain, rule: rule, warning: warning || null });
+
+      // mailto: and tel: links have no host, and links to this site are not external
+      if (!domain || domain === window.location.hostname.toLowerCase()) {
+        return decision("open", domain ? "internal" : "noHost", null);
+      }
+
+      const blocked = matches(policy.blockedDomains);
+      if (blocked) {
+        return decision("block", "blocked", blocked);
+      }
+
+      const trusted = matches(policy.trustedDomains);
+      if (trusted) {
+        return decision("open", "trusted", trusted);
+      }
+
+      const warningRule = matches(Object.keys(policy.domainWarnings || {}));
+      if (warningRule) {
+        return decision("warn", "domainWarning", warningRule, I18n.format(policy.domainWarnings[warningRule], { domain }));
+      }
+
+      if (!this.config.features.enableExternalLinkWarning) {
+        return decision("open", "warningDisabled", null);
+      }
+      return decision("warn", "external", null, this.t("externalLinkWarning", { domain }));
+    },
+
+    /**
+     * Disable a rendered link to a blocked domain, so it cannot be opened by any kind of click
+     */
+    applyLinkPolicy: function (link) {
+      const decision = this.getLinkDecision(link.getAttribute("href"));
+      if (decision.action !== "block") {
+        return;
+      }
+
+      link.removeAttribute("href");
+      link.setAttribute("role", "link");
+      link.setAttribute("aria-disabled", "true");
+      link.dataset.blockedDomain = decision.domain;
+      link.dataset.blockedRule = decision.rule || "";
+      link.classList.add("portal-link-blocked");
+      link.title = this.config.text.blockedLinkTitle;
+    },
+
+    /**
+     * Report a link policy decision to the log and telemetry
+     * @param {boolean} [confirmed] - For warnings, whether the user chose to continue
+     */
+    trackLinkDecision: function (decision, confirmed) {
+      const outcome = confirmed === undefined ? decision.action : `${decision.action} (${confirmed ? "continued" : "cancelled"})`;
+      Log.log(`Portal Inbox: Link to "${decision.domain}": ${outcome}, reason ${decision.reason}${decision.rule ? `, rule ${decision.rule}` : ""}`);
+
+      const properties = { action: decision.action, reason: decision.reason, domain: decision.domain, rule: decision.rule };
+      if (confirmed !== undefined) {
+        properties.confirmed = confirmed;
       }
+      window.PortalExtensions.telemetry.trackEvent(EXTENSION_ID, "linkPolicy", properties);
     },
 
     /**
-     * Handle link clicks with external domain warnings
+     * Handle link clicks in messages: open, warn or refuse as the link policy decides
      */
     handleLinkClick: async function (event) {
       const link = event.target.closest("a[data-portal-link]");
       if (!link) return;
 
+      if (link.dataset.blockedDomain !== undefined) {
+        event.preventDefault();
+        this.trackLinkDecision({ action: "block", reason: "blocked", domain: link.dataset.blockedDomain, rule: link.dataset.blockedRule || null });
+        await this.showAlert(this.t("blockedLinkMessage", { domain: link.dataset.blockedDomain }), this.config.text.blockedLinkDialogTitle);
+        return;
+      }
+
       const href = link.getAttribute("href");
       if (!href) return;
 
-      if (this.isExternalLink(href)) {
-        event.preventDefault();
+      const decision = this.getLinkDecision(href);
+      if (decision.action === "open") {
+        // The browser follows the link (in a new tab)
+        this.trackLinkDecision(decision);
+        return;
+      }
 
-        const domain = new URL(href, window.location.href).hostname;
-        const message = this.config.text.externalLinkWarning.replace("{domain}", domain);
+      event.preventDefault();
 
-        const confirmed = await this.showConfirm(message, "External Link Warning");
+      if (decision.action === "block") {
+        this.trackLinkDecision(decision);
+        await this.showAlert(this.t("blockedLinkMessage", { domain: decision.domain }), this.config.text.blockedLinkDialogTitle);
+        return;
+      }
 
-        if (confirmed) {
-          window.open(href, link.getAttribute("target") || "_blank", "noopener,noreferrer");
-        }
+      const confirmed = await this.showConfirm(decision.warning, this.config.text.externalLinkDialogTitle);
+      this.trackLinkDecision(decision, confirmed);
+
+      if (confirmed) {
+        window.open(href, link.getAttribute("target") || "_blank", "noopener,noreferrer");
       }
     },
   };
@@ -1486,6 +5347,18 @@
       portalDataSource: {
         entitySetName: "adx_portalcomments",
         baseUrl: "/_api",
+        // Retries for throttled (429) and transient (5xx, network) failures; 401/403 always get one token refresh
+        retry: {
+          maxRetries: 3,
+          baseDelayMs: 500, // Exponential backoff with jitter starts here
+          maxDelayMs: 30000, // Longest wait, including Retry-After
+        },
+        // Background check for messages newer than the newest loaded one
+        polling: {
+          enabled: true,
+          intervalMs: 60000,
+          maxIntervalMs: 600000, // Ceiling for the backoff after failed polls
+        },
         operations: {
           read: {
             enabled: true,
@@ -1493,12 +5366,13 @@
             filter: null, // OData $filter - additional filter criteria
             orderBy: "createdon desc", // OData $orderby
             expand: "adx_portalcomment_activity_parties($expand=partyid_contact,partyid_systemuser)", // OData $expand
+            pageSize: 25, // Messages per page (Prefer: odata.maxpagesize); more pages load on scroll
           },
           create: {
             enabled: true,
           },
           update: {
-            enabled: true, // Required for updating hasread field
+            enabled: true, // Required for updating the hasread and isarchived fields
           },
           delete: {
             enabled: false,
@@ -1511,42 +5385,212 @@
       // ========================================================================
       containerId: null, // Required - ID of DOM element to inject widget into
 
+      // Full-page inbox: a message list and reading pane, mounted when this element is on the page
+      // (or later with PortalInboxExtension.mount)
+      fullPage: {
+        containerId: null,
+        deepLinkParameter: "message", // #message=<id> or ?message=<id> opens that message
+      },
+
+      // New messages from the contact: routed to the user who owns the regarding record, or else to
+      // defaultRecipient (type "queue" or "systemuser") when the record has no owning user
+      newMessage: {
+        routeToOwner: true,
+        defaultRecipient: { type: "queue", id: null },
+      },
+
+      // HTML kept in message bodies when features.allowHtmlInMessages is on (see UI.sanitizeHtml)
+      // Relative URLs are always allowed; event handlers and style attributes never are
+      htmlSanitizer: {
+        allowedTags: [
+          "a",
+          "p",
+          "br",
+          "hr",
+          "div",
+          "span",
+          "b",
+          "strong",
+          "i",
+          "em",
+          "u",
+          "s",
+          "small",
+          "sub",
+          "sup",
+          "ul",
+          "ol",
+          "li",
+          "blockquote",
+          "pre",
+          "code",
+          "h1",
+          "h2",
+          "h3",
+          "h4",
+          "h5",
+          "h6",
+          "table",
+          "thead",
+          "tbody",
+          "tr",
+          "th",
+          "td",
+        ],
+        // Per tag, and "*" for every allowed tag
+        allowedAttributes: {
+          "*": ["title"],
+          a: ["href"],
+          ol: ["start"],
+          th: ["colspan", "rowspan"],
+          td: ["colspan", "rowspan"],
+        },
+        allowedSchemes: ["http", "https", "mailto", "tel"],
+      },
+
+      // Where links in message bodies may lead (see UI.getLinkDecision). Domains are hostname patterns
+      // where * matches any characters: "*.agency.gov" matches its subdomains, so list "agency.gov" too
+      linkPolicy: {
+        trustedDomains: [], // Open without a warning
+        blockedDomains: [], // Never open, even when also trusted
+        domainWarnings: {}, // Warning text per domain pattern instead of text.externalLinkWarning, e.g. { "*.example.com": "... {domain} ..." }
+      },
+
+      // Attachments: notes (annotations) on a comment, plus any file columns of adx_portalcomment
+      attachments: {
+        entitySetName: "annotations",
+        navigationProperty: "objectid_adx_portalcomment", // Binds an uploaded note to its comment
+        fileColumns: [], // File columns holding attachments, e.g. ["msfed_document"]; add them to read.select
+        maxFileSize: 5242880, // Bytes per uploaded file (5 MB)
+        maxFiles: 5, // Files per reply
+        allowedMimeTypes: [
+          "application/pdf",
+          "image/jpeg",
+          "image/png",
+          "text/plain",
+          "application/msword",
+          "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+        ],
+      },
+
+      // ========================================================================
+      // LANGUAGE CONFIGURATION
+      // ========================================================================
+
+      // Inbox language (see I18n): locale null follows the page (<html lang>, then the Power Pages
+      // crm-lang attribute, then the browser). bundles add or change translations of text per language
+      // or locale tag, e.g. { de: { replyButton: "Antworten" }, "pt-BR": { ... } }
+      i18n: {
+        locale: null,
+        bundles: {},
+      },
+
       // ========================================================================
       // UI TEXT CONFIGURATION
+      // English defaults; {name} placeholders and ICU plurals are filled in by I18n.format.
+      // Strings set here win over the language bundles
       // ========================================================================
       text: {
         dropdownToggleIcon: "bi bi-envelope-fill",
+        inboxButtonLabel: "{count, plural, =0 {Messages} other {Messages, # unread}}", // Accessible name of the icon-only dropdown toggle
+        unreadAnnouncement: "{count, plural, =0 {No unread messages} one {# unread message} other {# unread messages}}",
+        newMessagesAnnouncement: "{count, plural, one {# new message} other {# new messages}}, {unread} unread",
         messagesHeader: "Messages",
         archivedHeader: "Archived Messages",
-        unreadLabel: "unread",
-        noUnreadMessages: "No unread messages",
+        unreadLabel: "{count} unread",
+        noUnreadMessages: "No messages",
         noArchivedMessages: "No archived messages",
         viewArchived: "View Archived Messages",
-        viewUnread: "View Unread Messages",
+        viewUnread: "View Inbox",
         loadingMessages: "Loading messages...",
+        loadMoreMessages: "Load more messages",
+        loadingMoreMessages: "Loading more messages...",
         failedToLoad: "Failed to load messages",
         modalTitle: "Message",
         closeButton: "Close",
         replyButton: "Reply",
         sendReplyButton: "Send Reply",
         cancelButton: "Cancel",
+        confirmButton: "Confirm",
+        okButton: "OK",
+        archiveButton: "Archive",
+        unarchiveButton: "Move to Inbox",
+        markUnreadButton: "Mark as unread",
+        archiveFailed: "Some messages could not be moved. Please try again.",
+        selectAll: "Select all",
+        selectedCount: "{count} selected",
+        selectThread: "Select",
+        archiveSelected: "Archive selected",
+        unarchiveSelected: "Move selected to Inbox",
         replyPlaceholder: "Type your reply here...",
+        replyPending: "Pending",
+        replyFailed: "Failed",
+        retryReply: "Retry",
+        discardReply: "Discard",
+        confirmDiscardReply: "Discard this reply? It has not been sent.",
+        replyQueuedOffline: "You are offline. The reply will be sent when the connection returns.",
+        replyQueuedFailed: "The reply could not be sent. It was kept so you can retry it.",
         replyLabel: "Your Reply:",
-        originalMessageLabel: "Original Message:",
-        toLabel: "To: You",
+        sendingLabel: "Sending...",
+        sendReplyFailed: "Failed to send reply: {error}",
+        selectMessage: "Select a message to read it.",
+        searchPlaceholder: "Search messages",
+        searchFromDate: "From",
+        searchToDate: "To",
+        searchRegarding: "All records",
+        searchSender: "All senders",
+        clearSearch: "Clear search",
+        searchingServer: "Searching all messages...",
+        searchResultCount: "{count, plural, one {# matching message} other {# matching messages}}",
+        noSearchResults: "No messages match your search",
+        youLabel: "You",
+        regardingLabel: "Regarding:",
+        loadingConversation: "Loading conversation...",
+        conversationLoadFailed: "Earlier messages in this conversation could not be loaded.",
+        attachFiles: "Attach files",
+        attachmentLimits: "{count, plural, one {Up to # file, {size}} other {Up to # files, {size} each}}",
+        attachmentTooLarge: "{name} is larger than {size}.",
+        attachmentTypeNotAllowed: "{name} is not an allowed file type.",
+        tooManyAttachments: "{count, plural, one {Only one file can be attached.} other {No more than # files can be attached.}}",
+        removeAttachment: "Remove",
+        attachmentsLoadFailed: "Attachments could not be loaded.",
+        attachmentUploadFailed: "Your reply was sent, but these attachments could not be uploaded: {names}",
+        downloadFailed: "The attachment could not be downloaded.",
+        newMessageButton: "New message",
+        composeTitle: "New Message",
+        composeRegardingLabel: "Regarding:",
+        composeRegardingPlaceholder: "Select a record",
+        composeSubjectLabel: "Subject:",
+        composeBodyLabel: "Message:",
+        composePlaceholder: "Type your message here...",
+        sendMessageButton: "Send Message",
+        loadingRegardingRecords: "Loading records...",
+        noRegardingRecords: "No records available",
+        regardingRecordsLoadFailed: "Records could not be loaded",
+        composePrompt: "Please select a record and enter a subject and message.",
+        confirmSendMessage: "Are you sure you want to send this message?",
+        messageSent: "Your message was sent.",
+        messageSentAttachmentsFailed: "Your message was sent, but these attachments could not be uploaded: {names}",
+        sendMessageFailed: "Failed to send message: {error}",
         newBadge: "New",
-        justNow: "Just now",
-        minuteAgo: "minute ago",
-        minutesAgo: "minutes ago",
-        hourAgo: "hour ago",
-        hoursAgo: "hours ago",
-        dayAgo: "day ago",
-        daysAgo: "days ago",
+        threadSizeLabel: "{count, plural, one {# message} other {# messages}}", // Screen reader text of a thread's message count badge
+        justNow: "Just now", // Older times come from Intl.RelativeTimeFormat in the inbox language
         replyPrompt: "Please enter a reply message.",
         confirmSend: "Are you sure you want to send this reply?",
         replySent: "Reply sent successfully!",
+        confirmDialogTitle: "Confirm",
+        alertDialogTitle: "Alert",
+        errorDialogTitle: "Error",
+        messageRequiredDialogTitle: "Message Required",
+        confirmSendDialogTitle: "Confirm Send",
+        messageSentDialogTitle: "Message Sent",
+        discardReplyDialogTitle: "Discard Reply",
+        externalLinkDialogTitle: "External Link Warning",
+        blockedLinkDialogTitle: "Link Blocked",
         externalLinkWarning:
           "You are about to leave this website and navigate to an external site.\n\nExternal Site: {domain}\n\nThis link is being provided for your convenience. We are not responsible for the content, privacy policies, or practices of external sites.\n\nDo you wish to continue?",
+        blockedLinkMessage: "This link has been blocked for your security.\n\nBlocked Site: {domain}",
+        blockedLinkTitle: "This link is blocked",
       },
 
       // ========================================================================
@@ -1555,6 +5599,9 @@
       icons: {
         inbox: "bi bi-inbox-fill",
         archive: "bi bi-archive-fill",
+        unread: "bi bi-envelope-fill",
+        attachment: "bi bi-paperclip",
+        compose: "bi bi-pencil-square",
         reply: "bi bi-reply-fill",
         send: "bi bi-send-fill",
       },
@@ -1566,6 +5613,7 @@
         dropdownMinWidth: "350px",
         dropdownMaxHeight: "400px",
         badgeDisplay: "inline-block",
+        pageHeight: "75vh", // Height of the full-page inbox; each pane scrolls on its own
       },
 
       // ========================================================================
@@ -1600,6 +5648,10 @@
         badgeBackground: "#dc3545",
         badgeText: "#ffffff",
 
+        // Conversation bubbles
+        conversationIncomingBackground: "#f1f3f5",
+        conversationOutgoingBackground: "#e8f1fb",
+
         // Navigation link colors
         navLinkColor: "#ffffff",
         navLinkCaretColor: "#ffffff",
@@ -1612,10 +5664,17 @@
       // FEATURE FLAGS
       // ========================================================================
       features: {
-        enableArchive: true,
+        enableArchive: true, // Archive and move back to the inbox, per thread and in bulk
+        enableMarkUnread: true,
         enableReply: true,
+        enableCompose: true, // "New message" in the dropdown and the full-page inbox
+        enableOutbox: true, // Keep replies that fail to send and retry them (see Data.outbox)
+        enableAttachments: true, // List and download attachments in conversations
+        enableAttachmentUpload: true, // Attach files to replies (see attachments for the limits)
         enableExternalLinkWarning: true,
         allowHtmlInMessages: true,
+        animateBadge: true, // Pulse the badge when new messages arrive
+        enableSearch: true, // Search and facet filters in the full-page inbox
       },
 
       // ========================================================================
@@ -1624,25 +5683,39 @@
       autoInit: false,
     },
 
+    // Opens linked messages on hashchange (see UI.openDeepLink)
+    hashChangeHandler: null,
+
+    // Strings from options.text that differ from the English defaults; they win over language bundles
+    textOverrides: {},
+
     /**
      * Initialize the extension
      */
     init: function (options) {
       if (!options) {
-        window.PortalExtensions.error("Portal Inbox Extension: Configuration object is required");
+        this.fail("Portal Inbox Extension: Configuration object is required");
         return;
       }
 
       if (!options.localDataSource && !options.portalDataSource) {
-        window.PortalExtensions.error("Portal Inbox Extension: Either localDataSource or portalDataSource is required in configuration");
+        this.fail("Portal Inbox Extension: Either localDataSource or portalDataSource is required in configuration");
         return;
       }
 
       if (!options.containerId) {
-        window.PortalExtensions.error("Portal Inbox Extension: containerId is required in configuration");
+        this.fail("Portal Inbox Extension: containerId is required in configuration");
         return;
       }
 
+      // Deployments pass every English string, so only changed ones count as overrides
+      this.textOverrides = {};
+      Object.keys(options.text || {}).forEach((key) => {
+        if (options.text[key] !== this.config.text[key]) {
+          this.textOverrides[key] = options.text[key];
+        }
+      });
+
       this.mergeConfig(this.config, options);
 
       if (document.readyState === "loading") {
@@ -1652,6 +5725,14 @@
       }
     },
 
+    /**
+     * Log an initialization error and report the extension as failed
+     */
+    fail: function (message) {
+      Log.error(message);
+      window.PortalExtensions.setState(EXTENSION_ID, "failed", { error: message });
+    },
+
     /**
      * Deep merge configuration
      */
@@ -1673,15 +5754,68 @@
      */
     setup: function () {
       const isLocal = Data.isLocalEnvironment();
-      window.PortalExtensions.log(`Portal Inbox Extension: Environment detected as ${isLocal ? "LOCAL" : "PORTAL"}`);
-      window.PortalExtensions.log(`Portal Inbox Extension: Using ${isLocal ? "local JSON file" : "Power Pages Web API"}`);
+      Log.log(`Portal Inbox Extension: Environment detected as ${isLocal ? "LOCAL" : "PORTAL"}`);
+      Log.log(`Portal Inbox Extension: Using ${isLocal ? "local JSON file" : "Power Pages Web API"}`);
 
+      I18n.init(this.config, this.textOverrides);
       Data.init(this.config);
       UI.init(this.config);
 
       UI.injectStyles();
       UI.createWidget();
+
+      const pageContainerId = this.config.fullPage.containerId;
+      if (pageContainerId && document.getElementById(pageContainerId)) {
+        UI.mountPage(pageContainerId);
+      }
+
+      // A linked message opens when messages are loaded, and again whenever the hash changes
+      this.hashChangeHandler = () => UI.openDeepLink();
+      window.addEventListener("hashchange", this.hashChangeHandler);
+
       Data.loadMessages();
+      // Replies left in the outbox by an earlier visit, or by another tab
+      Data.loadOutbox().then(() => UI.handleOutboxChanged());
+      // Polling and the outbox start in whichever tabs Sync elects as leaders
+      Sync.init();
+
+      window.PortalExtensions.setState(EXTENSION_ID, "initialized");
+    },
+
+    /**
+     * Remove the widget, modals and styles from the page
+     */
+    dispose: function () {
+      Sync.dispose();
+      Data.stopPolling();
+      UI.unmountPage();
+
+      if (this.hashChangeHandler) {
+        window.removeEventListener("hashchange", this.hashChangeHandler);
+        this.hashChangeHandler = null;
+      }
+
+      const container = this.config.containerId ? document.getElementById(this.config.containerId) : null;
+      if (container) {
+        container.innerHTML = "";
+      }
+
+      ["portalMessageModal", "portalComposeModal", "portalConfirmModal", "portalAlertModal", "portal-inbox-extension-styles"].forEach((elementId) => {
+        const element = document.getElementById(elementId);
+        if (element) {
+          element.remove();
+        }
+      });
+
+      Data.state.messages = [];
+      Data.state.unreadCount = 0;
+      Data.resetPages();
+      Data.state.conversations = {};
+      Data.state.views.modal = { message: null, replyMode: false, files: [] };
+      Data.state.isLoaded = false;
+      UI.announcedUnreadCount = null;
+
+      window.PortalExtensions.setState(EXTENSION_ID, "disposed");
     },
 
     /**
@@ -1690,6 +5824,40 @@
     refresh: function () {
       Data.loadMessages();
     },
+
+    /**
+     * Public API to mount the full-page inbox in an element (or element ID) after initialization
+     */
+    mount: function (containerOrId) {
+      if (!UI.config) {
+        Log.error("Portal Inbox Extension: init() must be called before mount()");
+        return false;
+      }
+
+      const mounted = UI.mountPage(containerOrId);
+      if (mounted) {
+        UI.openDeepLink();
+      }
+      return mounted;
+    },
+
+    /**
+     * Public API to remove the full-page inbox
+     */
+    unmount: function () {
+      UI.unmountPage();
+    },
+
+    /**
+     * Public API to open the new message form, optionally for a given regarding record
+     */
+    compose: function (regardingObjectId) {
+      if (!UI.config || !UI.config.features.enableCompose) {
+        Log.error("Portal Inbox Extension: init() must be called with features.enableCompose before compose()");
+        return;
+      }
+      UI.openCompose(regardingObjectId || null);
+    },
   };
 
   // ============================================================================
@@ -1701,16 +5869,22 @@
     // Main initialization and control
     init: Main.init.bind(Main),
     refresh: Main.refresh.bind(Main),
+    dispose: Main.dispose.bind(Main),
+    mount: Main.mount.bind(Main),
+    unmount: Main.unmount.bind(Main),
+    compose: Main.compose.bind(Main),
 
     // Testing utilities
     clearReadStatus: function () {
       localStorage.removeItem("portalInbox_lastCheckedComments");
-      window.PortalExtensions.log("Portal Inbox: Read status cleared from localStorage");
+      Log.log("Portal Inbox: Read status cleared from localStorage");
       Data.loadMessages();
     },
 
     // Expose namespaces for advanced usage
     Data: Data,
+    Sync: Sync,
+    I18n: I18n,
     UI: UI,
     Main: Main,
   };
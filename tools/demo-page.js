@@ -0,0 +1,135 @@
+/**
+ * Portal Demo Page for Tests
+ * Loads portal-demo.html in jsdom with the loader, the init files and the
+ * local data source, serving Bootstrap from node_modules so no network is
+ * needed. Shared by the scripted checks in tools/
+ *
+ * @author Daniel Penrod <daniel.penrod@microsoft.com>
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..');
+const PAGE = 'portal-demo.html';
+const PAGE_URL = `http://localhost/${PAGE}`;
+const READY_TIMEOUT_MS = 10000;
+
+// CDN files of the demo page, served from node_modules instead of the network
+const CDN_FILES = {
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css': require.resolve('bootstrap/dist/css/bootstrap.min.css'),
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js': require.resolve('bootstrap/dist/js/bootstrap.bundle.min.js')
+};
+
+/**
+ * Map a URL requested by the page to a file in the repository or node_modules
+ * Returns null for anything else (icon fonts, external links)
+ */
+function resolveFile(url) {
+    if (CDN_FILES[url]) {
+        return CDN_FILES[url];
+    }
+
+    const parsed = new URL(url);
+    if (parsed.origin !== new URL(PAGE_URL).origin) {
+        return null;
+    }
+    const filePath = path.join(ROOT, decodeURIComponent(parsed.pathname));
+    return filePath.startsWith(ROOT) && fs.existsSync(filePath) ? filePath : null;
+}
+
+/**
+ * Serve the page's scripts and stylesheets from disk
+ */
+class DiskResourceLoader extends ResourceLoader {
+    fetch(url) {
+        const filePath = resolveFile(url);
+        return Promise.resolve(filePath ? fs.readFileSync(filePath) : Buffer.from(''));
+    }
+}
+
+/**
+ * A minimal fetch() for the loader and the inbox, reading JSON files from disk
+ */
+function createFetch(window) {
+    return url => {
+        const filePath = resolveFile(new URL(String(url), window.location.href).href);
+        if (!filePath) {
+            return Promise.resolve({ ok: false, status: 404, json: () => Promise.reject(new Error(`Not found: ${url}`)) });
+        }
+        const body = fs.readFileSync(filePath, 'utf8');
+        return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(JSON.parse(body)), text: () => Promise.resolve(body) });
+    };
+}
+
+/**
+ * Load the demo page and wait until the inbox reports initialized and its messages are rendered
+ */
+function loadPage() {
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => {
+        // jsdom cannot parse every selector in the Bootstrap stylesheet; axe does not need them
+        if (error.type !== 'css parsing') {
+            console.error(error.message);
+        }
+    });
+
+    const dom = new JSDOM(fs.readFileSync(path.join(ROOT, PAGE), 'utf8'), {
+        url: PAGE_URL,
+        runScripts: 'dangerously',
+        resources: new DiskResourceLoader(),
+        pretendToBeVisual: true,
+        virtualConsole: virtualConsole,
+        beforeParse(window) {
+            window.fetch = createFetch(window);
+        }
+    });
+    const window = dom.window;
+
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`The inbox did not initialize within ${READY_TIMEOUT_MS} ms`)), READY_TIMEOUT_MS);
+        window.addEventListener('load', () => {
+            window.PortalExtensions.whenReady('portal-inbox-extension')
+                .then(() => waitFor(() => window.document.querySelector('#portal-inbox-messages [data-message-id]')))
+                .then(() => {
+                    clearTimeout(timer);
+                    resolve(window);
+                }, error => {
+                    clearTimeout(timer);
+                    reject(error);
+                });
+        });
+    });
+}
+
+/**
+ * Resolve once a condition holds, checking every 20 ms
+ */
+function waitFor(condition) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const check = () => {
+            const result = condition();
+            if (result) {
+                resolve(result);
+            } else if (Date.now() - started > READY_TIMEOUT_MS) {
+                reject(new Error('Timed out waiting for the page'));
+            } else {
+                setTimeout(check, 20);
+            }
+        };
+        check();
+    });
+}
+
+/**
+ * Close every open dialog so the next state starts from the page
+ */
+function closeDialogs(window) {
+    window.document.querySelectorAll('.modal.show').forEach(modal => window.bootstrap.Modal.getInstance(modal).hide());
+    return waitFor(() => !window.document.querySelector('.modal.show, .modal-backdrop'));
+}
+
+module.exports = { PAGE: PAGE, loadPage: loadPage, waitFor: waitFor, closeDialogs: closeDialogs };
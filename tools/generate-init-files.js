@@ -0,0 +1,382 @@
+#!/usr/bin/env node
+/**
+ * Portal Extensions Init File Generator
+ * Generates portal-extensions-init-auth.js and portal-extensions-init-noauth.js
+ * from the manifest.json of every extension folder, and keeps the integrity
+ * hash of every web file in the manifests up to date
+ *
+ * Usage:
+ *   node tools/generate-init-files.js           Write both init files
+ *   node tools/generate-init-files.js --check   Fail if the init files or integrity hashes are out of date
+ *
+ * @author Daniel Penrod <daniel.penrod@microsoft.com>
+ */
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const SCHEMA_PATH = path.join(ROOT, 'manifest.schema.json');
+const REGISTRY_PATH = path.join(ROOT, 'portal-extensions.registry.json');
+const INDENT = '    ';
+
+const INIT_FILES = {
+    auth: {
+        filename: 'portal-extensions-init-auth.js',
+        title: 'Portal Extensions Initialization (Authentication Required)',
+        description: 'Initializes all portal extensions that require user authentication',
+        loadedMessage: 'All portal extensions loaded successfully'
+    },
+    noauth: {
+        filename: 'portal-extensions-init-noauth.js',
+        title: 'Portal Extensions Initialization (No Authentication Required)',
+        description: 'Initializes all portal extensions available to public (anonymous) users',
+        loadedMessage: 'All non-authenticated portal extensions loaded successfully'
+    }
+};
+
+// ============================================================================
+// SCHEMA VALIDATION
+// Supports the JSON Schema draft-07 keywords used by manifest.schema.json
+// ============================================================================
+
+/**
+ * Get the JSON Schema type name of a value
+ */
+function getJsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Validate a value against a schema, collecting errors with their JSON path
+ */
+function validate(value, schema, location, errors) {
+    if (schema.type) {
+        const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const actual = getJsonType(value);
+        const matches = allowed.some(type => type === actual || (type === 'number' && actual === 'integer'));
+        if (!matches) {
+            errors.push(`${location}: expected ${allowed.join(' or ')} but found ${actual}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${location}: must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${location}: "${value}" does not match ${schema.pattern}${schema.description ? ` (${schema.description})` : ''}`);
+    }
+
+    if (getJsonType(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) {
+                errors.push(`${location}: missing required property "${key}"`);
+            }
+        });
+
+        Object.keys(value).forEach(key => {
+            if (schema.properties && schema.properties[key]) {
+                validate(value[key], schema.properties[key], `${location}.${key}`, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${location}: unexpected property "${key}"`);
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                validate(value[key], schema.additionalProperties, `${location}.${key}`, errors);
+            }
+        });
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => validate(item, schema.items, `${location}[${index}]`, errors));
+    }
+
+    return errors;
+}
+
+// ============================================================================
+// MANIFEST DISCOVERY
+// ============================================================================
+
+/**
+ * Find and validate the manifest of every extension folder
+ */
+function loadManifests(schema) {
+    const folders = fs.readdirSync(ROOT, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== 'node_modules')
+        .map(entry => entry.name)
+        .filter(folder => fs.existsSync(path.join(ROOT, folder, 'manifest.json')))
+        .sort();
+
+    const failures = [];
+    const manifests = folders.map(folder => {
+        const manifestPath = `${folder}/manifest.json`;
+        const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, manifestPath), 'utf8'));
+        const errors = validate(manifest, schema, 'manifest', []);
+
+        if (manifest.initialization && !manifest.extension.globalName) {
+            errors.push('manifest.extension: "globalName" is required when "initialization" is present');
+        }
+
+        if (errors.length > 0) {
+            failures.push(`${manifestPath}\n  - ${errors.join('\n  - ')}`);
+        }
+        return { folder: folder, path: manifestPath, manifest: manifest };
+    });
+
+    if (failures.length > 0) {
+        throw new Error(`Manifest validation failed against manifest.schema.json:\n${failures.join('\n')}`);
+    }
+
+    return manifests;
+}
+
+/**
+ * Warn about extension folders the loader will never load
+ */
+function checkRegistry(manifests) {
+    if (!fs.existsSync(REGISTRY_PATH)) {
+        console.warn('Warning: portal-extensions.registry.json not found, the loader will not load any extension');
+        return;
+    }
+
+    const registry = JSON.parse(fs.readFileSync(REGISTRY_PATH, 'utf8'));
+    const registered = (registry.extensions || []).map(entry => (typeof entry === 'string' ? entry : entry.manifest));
+
+    manifests
+        .filter(item => !registered.includes(item.path))
+        .forEach(item => console.warn(`Warning: ${item.path} is not listed in portal-extensions.registry.json`));
+}
+
+// ============================================================================
+// SUBRESOURCE INTEGRITY
+// ============================================================================
+
+/**
+ * Compute the sha384 subresource integrity value of a file
+ */
+function computeIntegrity(filePath) {
+    return `sha384-${crypto.createHash('sha384').update(fs.readFileSync(filePath)).digest('base64')}`;
+}
+
+/**
+ * Set the integrity of every web file in a manifest from its source file
+ * Returns true when a hash changed
+ */
+function updateIntegrity(item) {
+    let changed = false;
+
+    item.manifest.deployment.webFiles.forEach(webFile => {
+        const sourcePath = path.join(ROOT, item.folder, webFile.source);
+        if (!fs.existsSync(sourcePath)) {
+            throw new Error(`${item.path}: web file source ${webFile.source} not found`);
+        }
+
+        const integrity = computeIntegrity(sourcePath);
+        if (webFile.integrity !== integrity) {
+            webFile.integrity = integrity;
+            changed = true;
+        }
+    });
+
+    return changed;
+}
+
+// ============================================================================
+// CODE GENERATION
+// ============================================================================
+
+/**
+ * Serialize a JSON value as a JavaScript object literal in the repository style
+ */
+function toJsLiteral(value, depth) {
+    const pad = INDENT.repeat(depth + 1);
+    const closingPad = INDENT.repeat(depth);
+
+    if (Array.isArray(value)) {
+        if (value.length === 0) return '[]';
+        return `[\n${value.map(item => pad + toJsLiteral(item, depth + 1)).join(',\n')}\n${closingPad}]`;
+    }
+
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value);
+        if (keys.length === 0) return '{}';
+        const lines = keys.map(key => {
+            const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : `'${key.replace(/'/g, "\\'")}'`;
+            return `${pad}${name}: ${toJsLiteral(value[key], depth + 1)}`;
+        });
+        return `{\n${lines.join(',\n')}\n${closingPad}}`;
+    }
+
+    if (typeof value === 'string') {
+        return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+    }
+
+    return JSON.stringify(value);
+}
+
+/**
+ * Generated helper that injects an extension container element into the page
+ */
+function renderInjectContainerHelper() {
+    return `// Injects an extension container element into the page as described by its manifest
+function injectExtensionContainer(containerId, container) {
+    if (document.getElementById(containerId)) {
+        return;
+    }
+    
+    const parent = document.querySelector(container.parentSelector);
+    
+    if (parent) {
+        // Wrapper element (e.g. li for navigation lists)
+        const wrapper = document.createElement(container.wrapperTag || 'div');
+        if (container.wrapperClass) {
+            wrapper.className = container.wrapperClass;
+        }
+        
+        // Container div for the extension
+        const containerDiv = document.createElement('div');
+        containerDiv.id = containerId;
+        Object.assign(containerDiv.style, container.style || {});
+        
+        // Attach container to wrapper
+        wrapper.appendChild(containerDiv);
+        
+        // Position after the last matching anchor element when configured
+        const anchors = container.insertAfterLast ? parent.querySelectorAll(container.insertAfterLast) : [];
+        const lastAnchor = anchors[anchors.length - 1];
+        
+        if (lastAnchor) {
+            lastAnchor.parentNode.insertBefore(wrapper, lastAnchor.nextSibling);
+        } else {
+            // Append to end if no anchor exists
+            parent.appendChild(wrapper);
+        }
+        
+        window.PortalExtensions.log(\`Container #\${containerId} injected into \${container.parentSelector}\`);
+    } else {
+        window.PortalExtensions.warn(\`\${container.parentSelector} not found, could not inject #\${containerId}\`);
+    }
+}`;
+}
+
+/**
+ * Render the initialization block of a single extension
+ */
+function renderExtensionInit(item) {
+    const info = item.manifest.extension;
+    const initialization = item.manifest.initialization;
+    const lines = [`${INDENT}// ${info.name} ${info.version} (${item.path})`];
+
+    if (item.manifest.container) {
+        lines.push(`${INDENT}injectExtensionContainer(${toJsLiteral(initialization.containerId, 1)}, ${toJsLiteral(item.manifest.container, 1)});`);
+        lines.push('');
+    }
+
+    lines.push(`${INDENT}${info.globalName}.init(${toJsLiteral(initialization, 1)});`);
+    return lines.join('\n');
+}
+
+/**
+ * Render a complete init file
+ */
+function renderInitFile(fileInfo, items) {
+    const sources = items.length > 0 ? items.map(item => ` *   - ${item.path}`).join('\n') : ' *   (no extensions)';
+    const initializers = items.filter(item => item.manifest.initialization);
+    const needsContainerHelper = initializers.some(item => item.manifest.container);
+
+    const parts = [
+        `/**
+ * ${fileInfo.title}
+ * ${fileInfo.description}
+ *
+ * GENERATED by tools/generate-init-files.js - do not edit by hand.
+ * Change the extension manifest.json and run: node tools/generate-init-files.js
+ *
+ * Sources:
+${sources}
+ * 
+ * @author Daniel Penrod <daniel.penrod@microsoft.com>
+ */`
+    ];
+
+    if (needsContainerHelper) {
+        parts.push(renderInjectContainerHelper());
+    }
+
+    const body = [`${INDENT}window.PortalExtensions.log('${fileInfo.loadedMessage}');`];
+    initializers.forEach(item => {
+        body.push('');
+        body.push(renderExtensionInit(item));
+    });
+
+    parts.push(`// Portal extensions loaded event handler
+document.addEventListener('portalExtensionsLoaded', function() {
+${body.join('\n')}
+});`);
+
+    return `${parts.join('\n\n')}\n`;
+}
+
+/**
+ * Generate both init files and any manifest with updated integrity hashes,
+ * returning their paths and contents
+ */
+function generate() {
+    const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+    const manifests = loadManifests(schema);
+    checkRegistry(manifests);
+
+    const authItems = manifests.filter(item => item.manifest.extension.requiresAuthentication === true);
+    const noauthItems = manifests.filter(item => item.manifest.extension.requiresAuthentication !== true);
+
+    const manifestOutputs = manifests
+        .filter(item => updateIntegrity(item))
+        .map(item => ({ filePath: path.join(ROOT, item.path), content: `${JSON.stringify(item.manifest, null, 2)}\n` }));
+
+    return manifestOutputs.concat([
+        { filePath: path.join(ROOT, INIT_FILES.auth.filename), content: renderInitFile(INIT_FILES.auth, authItems) },
+        { filePath: path.join(ROOT, INIT_FILES.noauth.filename), content: renderInitFile(INIT_FILES.noauth, noauthItems) }
+    ]);
+}
+
+function main() {
+    const checkOnly = process.argv.includes('--check');
+    const outputs = generate();
+    const stale = [];
+
+    outputs.forEach(output => {
+        const relativePath = path.relative(ROOT, output.filePath);
+        const current = fs.existsSync(output.filePath) ? fs.readFileSync(output.filePath, 'utf8') : null;
+
+        if (current === output.content) {
+            console.log(`${relativePath} is up to date`);
+        } else if (checkOnly) {
+            stale.push(relativePath);
+        } else {
+            fs.writeFileSync(output.filePath, output.content);
+            console.log(`${relativePath} written`);
+        }
+    });
+
+    if (stale.length > 0) {
+        console.error(`Out of date: ${stale.join(', ')}. Run: node tools/generate-init-files.js`);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { validate: validate, generate: generate };
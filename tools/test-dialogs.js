@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * Portal Inbox Dialog Tests
+ * Loads portal-demo.html in jsdom and sends replies and new messages whose
+ * failure alerts carry markup in a file name or a server error. The alert
+ * must show that text literally: no element from it may reach the dialog body
+ *
+ * Usage:
+ *   node tools/test-dialogs.js   (or npm run test:dialogs)
+ *
+ * @author Daniel Penrod <daniel.penrod@microsoft.com>
+ */
+'use strict';
+
+const { loadPage, waitFor, closeDialogs } = require('./demo-page');
+
+const PAYLOAD = '<img src=x onerror="alert(1)"><b>bold</b>';
+
+/**
+ * Resolve when a dialog has finished opening; Bootstrap ignores hide() while a dialog is still fading in
+ */
+function whenShown(window, modalId) {
+    const modal = window.document.getElementById(modalId);
+    return new Promise(resolve => modal.addEventListener('shown.bs.modal', resolve, { once: true }));
+}
+
+/**
+ * Wait for the alert dialog and list what is wrong with its body
+ */
+function checkAlert(window, alertShown, expectedText) {
+    return alertShown.then(() => {
+        const body = window.document.getElementById('portalAlertModalBody');
+        const problems = Array.from(body.querySelectorAll('*'))
+            .filter(element => element.tagName !== 'BR')
+            .map(element => `<${element.tagName.toLowerCase()}> element in the alert`);
+        if (!body.textContent.includes(expectedText)) {
+            problems.push(`alert text ${JSON.stringify(body.textContent)} does not contain ${JSON.stringify(expectedText)}`);
+        }
+        return problems;
+    });
+}
+
+/**
+ * Open the first message in the reading pane and send a reply that returns the given result
+ */
+function sendReply(window, result) {
+    const inbox = window.PortalInboxExtension;
+    inbox.Data.createReply = () => Promise.resolve(result);
+
+    window.document.querySelector('#portal-inbox-page-messages [data-message-id]').click();
+    return waitFor(() => window.document.querySelector('#portal-inbox-page .portal-reply-btn')).then(() => {
+        window.document.querySelector('#portal-inbox-page .portal-reply-btn').click();
+        window.document.querySelector('#portal-inbox-page .portal-reply-text').value = 'Thank you';
+
+        const confirmShown = whenShown(window, 'portalConfirmModal');
+        inbox.UI.sendReply('page');
+        return confirmShown.then(() => window.document.getElementById('portalConfirmModalConfirmBtn').click());
+    });
+}
+
+/**
+ * Fill in the new message form and send it, with Data.createMessage returning the given result
+ */
+function sendNewMessage(window, result) {
+    const inbox = window.PortalInboxExtension;
+    inbox.Data.createMessage = () => Promise.resolve(result);
+
+    const composeShown = whenShown(window, 'portalComposeModal');
+    window.document.getElementById('portal-inbox-page-compose').click();
+    return composeShown
+        .then(() => waitFor(() => window.document.querySelector('#portal-compose-regarding option[value]:not([value=""])')))
+        .then(option => {
+            window.document.getElementById('portal-compose-regarding').value = option.value;
+            window.document.getElementById('portal-compose-subject').value = 'Question';
+            window.document.getElementById('portal-compose-body').value = 'Hello';
+
+            const confirmShown = whenShown(window, 'portalConfirmModal');
+            inbox.UI.sendNewMessage();
+            return confirmShown.then(() => window.document.getElementById('portalConfirmModalConfirmBtn').click());
+        });
+}
+
+// Each case triggers an alert and names the text it must show literally
+const CASES = [
+    {
+        name: 'reply: attachment that failed to upload',
+        run: window => sendReply(window, { success: true, reply: null, failedAttachments: [`${PAYLOAD}.pdf`] }),
+        expectedText: `${PAYLOAD}.pdf`
+    },
+    {
+        name: 'reply: server error message',
+        run: window => sendReply(window, { success: false, message: PAYLOAD }),
+        expectedText: PAYLOAD
+    },
+    {
+        name: 'new message: attachment that failed to upload',
+        run: window => sendNewMessage(window, { success: true, sent: null, failedAttachments: [`${PAYLOAD}.pdf`] }),
+        expectedText: `${PAYLOAD}.pdf`
+    },
+    {
+        name: 'new message: server error message',
+        run: window => sendNewMessage(window, { success: false, message: PAYLOAD }),
+        expectedText: PAYLOAD
+    }
+];
+
+async function main() {
+    const window = await loadPage();
+    let failed = 0;
+
+    try {
+        for (const testCase of CASES) {
+            const alertShown = whenShown(window, 'portalAlertModal');
+            await testCase.run(window);
+            const problems = await checkAlert(window, alertShown, testCase.expectedText);
+
+            if (problems.length === 0) {
+                console.log(`ok - ${testCase.name}`);
+            } else {
+                failed++;
+                console.log(`not ok - ${testCase.name}`);
+                problems.forEach(problem => console.log(`    ${problem}`));
+            }
+            await closeDialogs(window);
+        }
+    } finally {
+        // Polling and leader election timers would keep Node running
+        window.close();
+    }
+
+    console.log(`${CASES.length - failed} of ${CASES.length} dialog cases passed`);
+    if (failed > 0) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
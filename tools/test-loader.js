@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+/**
+ * Portal Extension Loader Tests
+ * Runs portal-extensions.js in jsdom against an in-memory registry and checks
+ * that PortalExtensions.whenReady settles for every id: extensions in the
+ * registry settle with their state, and ids the registry does not list reject
+ * as soon as the registry has loaded instead of waiting forever. Also checks
+ * that a replaced telemetry sink no longer sends when the page is hidden
+ *
+ * Usage:
+ *   node tools/test-loader.js   (or npm run test:loader)
+ *
+ * @author Daniel Penrod <daniel.penrod@microsoft.com>
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..');
+const LOAD_TIMEOUT_MS = 5000;
+
+// A registry with one disabled extension, so nothing is fetched beyond the manifests
+const REGISTRY = {
+    extensions: [{ manifest: 'portal-test-extension/manifest.json', enabled: false }]
+};
+const MANIFEST = {
+    extension: { id: 'portal-test-extension', name: 'Test Extension', version: '1.0.0' },
+    deployment: { webFiles: [{ name: 'portal-test-extension.js', source: './portal-test-extension.js', partialUrl: 'portal-test-extension.js' }] }
+};
+
+/**
+ * Create a window running the loader, with fetch answering from the given documents
+ * A document that is missing answers 404, like an undeployed Web File
+ */
+function createWindow(documents) {
+    const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+        url: 'https://portal.example.gov/',
+        runScripts: 'outside-only'
+    });
+    const window = dom.window;
+    window.fetch = url => {
+        const name = Object.keys(documents).find(key => String(url).endsWith(key));
+        return Promise.resolve(name
+            ? { ok: true, status: 200, json: () => Promise.resolve(documents[name]) }
+            : { ok: false, status: 404, json: () => Promise.reject(new Error(`Not found: ${url}`)) });
+    };
+    // The loader logs the failed registry load of one case; the case checks the outcome itself
+    window.console.error = () => {};
+    window.eval(fs.readFileSync(path.join(ROOT, 'portal-extensions.js'), 'utf8'));
+    return window;
+}
+
+/**
+ * Resolve once the loader has finished its first load
+ */
+function whenLoaded(window) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`The loader did not finish within ${LOAD_TIMEOUT_MS} ms`)), LOAD_TIMEOUT_MS);
+        window.document.addEventListener('portalExtensionsLoaded', () => {
+            clearTimeout(timer);
+            resolve();
+        }, { once: true });
+    });
+}
+
+/**
+ * Describe how a whenReady promise settles: 'resolved', the rejection message,
+ * or 'pending' when it has not settled by the next task
+ */
+function settle(promise) {
+    const pending = new Promise(resolve => setTimeout(() => resolve('pending'), 0));
+    return Promise.race([promise.then(() => 'resolved', error => error.message), pending]);
+}
+
+const WITH_REGISTRY = {
+    'portal-extensions.registry.json': REGISTRY,
+    'portal-test-extension.manifest.json': MANIFEST
+};
+
+const CASES = [
+    {
+        name: 'an id not in the registry, asked for before the registry loads',
+        run: window => {
+            const ready = window.PortalExtensions.whenReady('portal-missing-extension');
+            return whenLoaded(window).then(() => settle(ready));
+        },
+        documents: WITH_REGISTRY,
+        expected: 'Portal extension portal-missing-extension is not in the registry'
+    },
+    {
+        name: 'an id not in the registry, asked for after the registry loads',
+        run: window => whenLoaded(window).then(() => settle(window.PortalExtensions.whenReady('portal-missing-extension'))),
+        documents: WITH_REGISTRY,
+        expected: 'Portal extension portal-missing-extension is not in the registry'
+    },
+    {
+        name: 'an id asked for when the registry cannot be loaded',
+        run: window => whenLoaded(window).then(() => settle(window.PortalExtensions.whenReady('portal-test-extension'))),
+        documents: {},
+        expected: 'Portal extension portal-test-extension is not in the registry'
+    },
+    {
+        name: 'a disabled extension in the registry',
+        run: window => whenLoaded(window).then(() => settle(window.PortalExtensions.whenReady('portal-test-extension'))),
+        documents: WITH_REGISTRY,
+        expected: 'Portal extension portal-test-extension is skipped: disabled'
+    },
+    {
+        name: 'a beacon sink that was replaced',
+        run: window => whenLoaded(window).then(() => {
+            let beacons = 0;
+            window.navigator.sendBeacon = () => {
+                beacons++;
+                return true;
+            };
+
+            const telemetry = window.PortalExtensions.telemetry;
+            const sink = telemetry.createBeaconSink({ endpoint: 'https://telemetry.example.gov/portal' });
+            telemetry.setSink(sink);
+            telemetry.setSink(telemetry.createNoopSink());
+
+            sink.send({ type: 'event' });
+            window.dispatchEvent(new window.Event('pagehide'));
+            return `${beacons} batches sent`;
+        }),
+        documents: WITH_REGISTRY,
+        expected: '0 batches sent'
+    }
+];
+
+async function main() {
+    let failed = 0;
+
+    for (const testCase of CASES) {
+        const window = createWindow(testCase.documents);
+        let actual;
+        try {
+            actual = await testCase.run(window);
+        } catch (error) {
+            actual = error.message;
+        } finally {
+            window.close();
+        }
+
+        if (actual === testCase.expected) {
+            console.log(`ok - ${testCase.name}`);
+        } else {
+            failed++;
+            console.log(`not ok - ${testCase.name}`);
+            console.log(`    expected: ${JSON.stringify(testCase.expected)}`);
+            console.log(`    actual:   ${JSON.stringify(actual)}`);
+        }
+    }
+
+    console.log(`${CASES.length - failed} of ${CASES.length} loader cases passed`);
+    if (failed > 0) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * Portal Inbox HTML Sanitizer Tests
+ * Runs UI.sanitizeHtml of the inbox extension in jsdom against the cases in
+ * tools/fixtures/sanitizer-cases.json. Each case must produce its expected
+ * output exactly, and no output may keep a script-capable element, an event
+ * handler or style attribute, or a URL with a scheme outside the allowlist
+ *
+ * Usage:
+ *   node tools/test-sanitizer.js   (or npm test)
+ *
+ * @author Daniel Penrod <daniel.penrod@microsoft.com>
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..');
+const CASES_PATH = path.join(__dirname, 'fixtures', 'sanitizer-cases.json');
+const SCRIPTS = ['portal-extensions.js', 'portal-inbox-extension/portal-inbox-extension.js'];
+
+// Elements that must never survive sanitizing, whatever a case configures
+const FORBIDDEN_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'svg', 'math', 'template', 'noscript', 'base', 'meta', 'link'];
+const URL_ATTRIBUTES = ['href', 'src', 'cite', 'action', 'formaction', 'xlink:href'];
+
+/**
+ * Create a window with the loader and inbox scripts evaluated in it
+ * The loader finds no registry to fetch, so it loads nothing by itself
+ */
+function createWindow() {
+    const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+        url: 'https://portal.example.gov/',
+        runScripts: 'outside-only'
+    });
+    const window = dom.window;
+    window.fetch = () => Promise.reject(new Error('No network in sanitizer tests'));
+    SCRIPTS.forEach(script => window.eval(fs.readFileSync(path.join(ROOT, script), 'utf8')));
+    return window;
+}
+
+/**
+ * Build the sanitizer options for a case: the inbox defaults with the case's overrides
+ */
+function getOptions(window, overrides) {
+    const defaults = window.PortalInboxExtension.Main.config.htmlSanitizer;
+    return Object.assign(JSON.parse(JSON.stringify(defaults)), overrides || {});
+}
+
+/**
+ * List what is unsafe in sanitized output, independent of the expected string
+ */
+function findUnsafeContent(window, html, options) {
+    const problems = [];
+    const doc = new window.DOMParser().parseFromString(html, 'text/html');
+
+    doc.body.querySelectorAll('*').forEach(element => {
+        const tag = element.tagName.toLowerCase();
+        if (FORBIDDEN_TAGS.includes(tag)) {
+            problems.push(`<${tag}> element`);
+        }
+        Array.from(element.attributes).forEach(attribute => {
+            const name = attribute.name.toLowerCase();
+            if (name.startsWith('on') || name === 'style') {
+                problems.push(`${name} attribute on <${tag}>`);
+            }
+            if (URL_ATTRIBUTES.includes(name)) {
+                const normalized = attribute.value.replace(/[\u0000-\u0020\u007f-\u009f]/g, '');
+                const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/i);
+                if (scheme && !options.allowedSchemes.includes(scheme[1].toLowerCase())) {
+                    problems.push(`${scheme[1]}: URL in ${name} on <${tag}>`);
+                }
+            }
+        });
+    });
+
+    return problems;
+}
+
+function main() {
+    const cases = JSON.parse(fs.readFileSync(CASES_PATH, 'utf8'));
+    const window = createWindow();
+    const UI = window.PortalInboxExtension.UI;
+    let failed = 0;
+
+    cases.forEach(testCase => {
+        const options = getOptions(window, testCase.htmlSanitizer);
+        UI.config = { htmlSanitizer: options };
+
+        const output = UI.sanitizeHtml(testCase.input);
+        const problems = findUnsafeContent(window, output, options);
+        if (output !== testCase.expected) {
+            problems.unshift(`expected ${JSON.stringify(testCase.expected)}`);
+        }
+
+        if (problems.length === 0) {
+            console.log(`ok - ${testCase.name}`);
+        } else {
+            failed++;
+            console.log(`not ok - ${testCase.name}`);
+            console.log(`    input:  ${JSON.stringify(testCase.input)}`);
+            console.log(`    output: ${JSON.stringify(output)}`);
+            problems.forEach(problem => console.log(`    ${problem}`));
+        }
+    });
+
+    console.log(`${cases.length - failed} of ${cases.length} sanitizer cases passed`);
+    if (failed > 0) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}